@@ -0,0 +1,283 @@
+/**
+ * Autonomous Finance Storyboard (RialoFlow)
+ * Charts: SVG line and stacked-area charts over a run's periods, plus scatter plots
+ *
+ * Pure string builders with no DOM access, so the same markup serves the
+ * timeline charts, the compare view and exported reports. Every step gets a
+ * hover band whose tooltip lists that step's values; every scatter point has its own tooltip.
+ * Each chart also has a table builder taking the same options, for screen readers
+ * and anyone who would rather read the numbers.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RialoCharts = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const CHART_WIDTH = 300;
+    const CHART_HEIGHT = 110;
+    const AXIS_SPACE = 14;
+
+    /**
+     * Lines over a run.
+     *   options: {
+     *       labels,     // one label per period; the x axis always spans all of them
+     *       series,     // [{ name, color, values }]; values can stop early (a run in progress)
+     *                   // and non-finite values leave a gap
+     *       format,     // value => text for axes and tooltips
+     *       threshold,  // optional { name, values }: a dashed line, e.g. the target reserve ratio
+     *       min, max,   // optional fixed axis bounds (the data can still extend them)
+     *       ariaLabel,
+     *       className
+     *   }
+     */
+    function renderLineChart(options) {
+        const { labels, series, format, threshold } = options;
+        const all = series.flatMap(s => s.values).concat(threshold ? threshold.values : []).filter(Number.isFinite);
+        if (all.length === 0) return '';
+
+        const scale = createScale(labels, all, options);
+        const lines = series.map(s => `<path d="${linePath(s.values, scale)}" class="chart-line" stroke="${s.color}"/>`).join('');
+        const thresholdLine = threshold
+            ? `<path d="${linePath(threshold.values, scale, true)}" class="chart-threshold"/>`
+            : '';
+        const dots = series.map(s => lastPointDot(s.values, s.color, scale)).join('');
+
+        const tooltips = labels.map((label, i) => {
+            const rows = series
+                .filter(s => i < s.values.length)
+                .map(s => `${s.name}: ${Number.isFinite(s.values[i]) ? format(s.values[i]) : '–'}`);
+            if (threshold && i < threshold.values.length) rows.push(`${threshold.name}: ${format(threshold.values[i])}`);
+            return rows.length ? [label].concat(rows).join('\n') : null;
+        });
+
+        return frame(options, scale, thresholdLine + lines + dots, tooltips);
+    }
+
+    /**
+     * Stacked areas over a run, first series at the bottom.
+     *   options: { labels, series: [{ name, color, values }], format, ariaLabel, className }
+     * Negative values are drawn as zero.
+     */
+    function renderStackedAreaChart(options) {
+        const { labels, series, format } = options;
+        const count = Math.max(0, ...series.map(s => s.values.length));
+        if (count === 0) return '';
+
+        const tops = [];
+        let base = new Array(count).fill(0);
+        series.forEach(s => {
+            const top = base.map((b, i) => b + Math.max(0, s.values[i] || 0));
+            tops.push({ bottom: base, top });
+            base = top;
+        });
+        const scale = createScale(labels, base, { min: 0 });
+
+        const areas = series.map((s, k) => {
+            const { bottom, top } = tops[k];
+            const upper = top.map((v, i) => `${scale.x(i).toFixed(1)},${scale.y(v).toFixed(1)}`);
+            const lower = bottom.map((v, i) => `${scale.x(i).toFixed(1)},${scale.y(v).toFixed(1)}`).reverse();
+            return `<polygon points="${upper.concat(lower).join(' ')}" fill="${s.color}" class="chart-area"/>`;
+        }).join('');
+
+        const tooltips = labels.map((label, i) => {
+            if (i >= count) return null;
+            const rows = series.slice().reverse().map(s => `${s.name}: ${format(s.values[i] || 0)}`);
+            return [label].concat(rows, `Total: ${format(base[i])}`).join('\n');
+        });
+
+        return frame(options, scale, areas, tooltips);
+    }
+
+    /**
+     * Points on two measures, e.g. optimizer candidates.
+     *   options: {
+     *       points,     // [{ x, y, color, label, emphasis }]; label is the tooltip, emphasis draws a larger dot
+     *       frontier,   // optional points joined by a dashed line in x order (e.g. a Pareto frontier)
+     *       formatX, formatY,
+     *       xName, yName, // axis captions
+     *       ariaLabel,
+     *       className
+     *   }
+     * Points with a non-finite coordinate are left out.
+     */
+    function renderScatterChart(options) {
+        const finite = (p) => Number.isFinite(p.x) && Number.isFinite(p.y);
+        const points = options.points.filter(finite);
+        if (points.length === 0) return '';
+        const { formatX, formatY } = options;
+
+        const sx = createAxis(points.map(p => p.x), 4, CHART_WIDTH - 4);
+        const sy = createAxis(points.map(p => p.y), CHART_HEIGHT - 4, 4);
+        const frontier = (options.frontier || []).filter(finite).sort((a, b) => a.x - b.x);
+        const line = frontier.length > 1
+            ? `<path d="${frontier.map((p, i) => `${i ? 'L' : 'M'}${sx(p.x).toFixed(1)},${sy(p.y).toFixed(1)}`).join(' ')}" class="chart-frontier"/>`
+            : '';
+        // Emphasized points go last so they sit on top
+        const dots = points.slice().sort((a, b) => (a.emphasis ? 1 : 0) - (b.emphasis ? 1 : 0)).map(p => `
+            <circle cx="${sx(p.x).toFixed(1)}" cy="${sy(p.y).toFixed(1)}" r="${p.emphasis ? 4 : 2.5}" fill="${p.color}" class="chart-point${p.emphasis ? ' chart-point--emphasis' : ''}"><title>${escapeXml(p.label)}</title></circle>`).join('');
+
+        return `
+            <svg class="${options.className || 'run-chart'}" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT + AXIS_SPACE}" role="img" aria-label="${escapeXml(options.ariaLabel || '')}">
+                ${line}
+                ${dots}
+                <text x="0" y="8" class="chart-axis">${escapeXml(options.yName)} ${escapeXml(formatY(sy.max))}</text>
+                <text x="0" y="${CHART_HEIGHT + 12}" class="chart-axis">${escapeXml(formatY(sy.min))} · ${escapeXml(formatX(sx.min))}</text>
+                <text x="${CHART_WIDTH / 2}" y="${CHART_HEIGHT + 12}" class="chart-axis" text-anchor="middle">${escapeXml(options.xName)}</text>
+                <text x="${CHART_WIDTH}" y="${CHART_HEIGHT + 12}" class="chart-axis" text-anchor="end">${escapeXml(formatX(sx.max))}</text>
+            </svg>
+        `;
+    }
+
+    // --- Data Tables ---
+
+    /**
+     * The values behind a line or stacked-area chart: one row per period drawn so far,
+     * one column per series (and the threshold, if any). Takes the chart's options;
+     * options.total adds a column summing the series, as a stacked chart's top edge.
+     */
+    function renderChartTable(options) {
+        const { labels, series, format, threshold } = options;
+        const count = Math.max(0, ...series.map(s => s.values.length));
+        if (count === 0) return '';
+        const cell = (v) => (Number.isFinite(v) ? escapeXml(format(v)) : '–');
+
+        const columns = series.map(s => s.name)
+            .concat(threshold ? [threshold.name] : [], options.total ? ['Total'] : []);
+        const rows = labels.slice(0, count).map((label, i) => {
+            const values = series.map(s => s.values[i]);
+            if (threshold) values.push(threshold.values[i]);
+            if (options.total) values.push(series.reduce((sum, s) => sum + Math.max(0, s.values[i] || 0), 0));
+            return `<tr><th scope="row">${escapeXml(label)}</th>${values.map(v => `<td>${cell(v)}</td>`).join('')}</tr>`;
+        }).join('');
+
+        return table(options.ariaLabel, ['Step'].concat(columns), rows);
+    }
+
+    /**
+     * The points behind a scatter chart, in the order given. Takes the chart's options;
+     * a point's optional `name` heads its row (else the first line of its label) and its
+     * optional `note` fills a last column.
+     */
+    function renderScatterTable(options) {
+        const points = options.points.filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+        if (points.length === 0) return '';
+        const hasNotes = points.some(p => p.note);
+
+        const rows = points.map(p => `<tr>
+            <th scope="row">${escapeXml(p.name || String(p.label).split('\n')[0])}</th>
+            <td>${escapeXml(options.formatY(p.y))}</td>
+            <td>${escapeXml(options.formatX(p.x))}</td>
+            ${hasNotes ? `<td>${escapeXml(p.note || '')}</td>` : ''}
+        </tr>`).join('');
+
+        return table(options.ariaLabel, ['Point', options.yName, options.xName].concat(hasNotes ? ['Note'] : []), rows);
+    }
+
+    function table(caption, columns, rows) {
+        return `
+            <table class="data-table data-table--numeric chart-table">
+                ${caption ? `<caption>${escapeXml(caption)}</caption>` : ''}
+                <thead><tr>${columns.map(c => `<th scope="col">${escapeXml(c)}</th>`).join('')}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // --- Helpers ---
+
+    function createScale(labels, values, bounds = {}) {
+        let min = Math.min(...values, bounds.min !== undefined ? bounds.min : Infinity);
+        let max = Math.max(...values, bounds.max !== undefined ? bounds.max : -Infinity);
+        // A flat series still needs a non-zero range
+        if (max === min) {
+            max += 1;
+            if (bounds.min === undefined) min -= 1;
+        }
+        const steps = Math.max(1, labels.length - 1);
+        return {
+            min,
+            max,
+            x: (i) => (labels.length > 1 ? (i / steps) * CHART_WIDTH : CHART_WIDTH / 2),
+            y: (v) => CHART_HEIGHT - 4 - ((v - min) / (max - min)) * (CHART_HEIGHT - 8)
+        };
+    }
+
+    // Maps values onto [from, to] (either direction); the bounds are exposed as .min and .max
+    function createAxis(values, from, to) {
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        if (max === min) {
+            max += 1;
+            min -= 1;
+        }
+        const axis = (v) => from + ((v - min) / (max - min)) * (to - from);
+        axis.min = min;
+        axis.max = max;
+        return axis;
+    }
+
+    // A threshold holds its value until the next step, so it is drawn as steps
+    function linePath(values, scale, stepped = false) {
+        let d = '';
+        let pen = 'M';
+        values.forEach((v, i) => {
+            if (!Number.isFinite(v)) {
+                pen = 'M';
+                return;
+            }
+            if (stepped && pen === 'L') d += `H${scale.x(i).toFixed(1)} `;
+            d += `${pen}${scale.x(i).toFixed(1)},${scale.y(v).toFixed(1)} `;
+            pen = 'L';
+        });
+        return d;
+    }
+
+    function lastPointDot(values, color, scale) {
+        const i = values.length - 1;
+        if (i < 0 || !Number.isFinite(values[i])) return '';
+        return `<circle cx="${scale.x(i).toFixed(1)}" cy="${scale.y(values[i]).toFixed(1)}" r="2.5" fill="${color}"/>`;
+    }
+
+    // Axis labels plus one transparent hover band per step carrying its tooltip
+    function frame(options, scale, body, tooltips) {
+        const { labels, format } = options;
+        const half = labels.length > 1 ? CHART_WIDTH / (labels.length - 1) / 2 : CHART_WIDTH / 2;
+        const bands = tooltips.map((text, i) => {
+            if (!text) return '';
+            const x = Math.max(0, scale.x(i) - half);
+            const w = Math.min(CHART_WIDTH, scale.x(i) + half) - x;
+            return `<rect x="${x.toFixed(1)}" y="0" width="${w.toFixed(1)}" height="${CHART_HEIGHT}" class="chart-band"><title>${escapeXml(text)}</title></rect>`;
+        }).join('');
+
+        return `
+            <svg class="${options.className || 'run-chart'}" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT + AXIS_SPACE}" role="img" aria-label="${escapeXml(options.ariaLabel || '')}">
+                ${body}
+                ${bands}
+                <text x="0" y="8" class="chart-axis">${escapeXml(format(scale.max))}</text>
+                <text x="0" y="${CHART_HEIGHT + 12}" class="chart-axis">${escapeXml(format(scale.min))} · ${escapeXml(labels[0])}</text>
+                <text x="${CHART_WIDTH}" y="${CHART_HEIGHT + 12}" class="chart-axis" text-anchor="end">${escapeXml(labels[labels.length - 1])}</text>
+            </svg>
+        `;
+    }
+
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    return {
+        renderLineChart,
+        renderStackedAreaChart,
+        renderScatterChart,
+        renderChartTable,
+        renderScatterTable
+    };
+}));
@@ -0,0 +1,1530 @@
+/**
+ * Autonomous Finance Storyboard (RialoFlow)
+ * Simulation Engine: the headless core (portfolio state, steps, risk, ratio, logs)
+ *
+ * No DOM access. Loads as window.RialoEngine in the browser and as a CommonJS
+ * module in Node:
+ *
+ *   const { createSimulation } = require('./engine.js');
+ *   const sim = createSimulation({ shockMagnitude: 30 }, { usdc: 400000, tBills: 300000, bonds: 200000, cash: 100000 });
+ *   const snapshots = sim.run(); // T+0 .. T+3
+ *
+ * simulation.js (the storyboard UI) is one consumer of this module.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./policy.js'), require('./montecarlo.js'), require('./rebalance.js'), require('./risk.js'), require('./market.js'), require('./oracle.js'), require('./holders.js'), require('./governance.js'), require('./story.js'));
+    } else {
+        root.RialoEngine = factory(root.RialoPolicy, root.RialoMonteCarlo, root.RialoRebalance, root.RialoRisk, root.RialoMarket, root.RialoOracle, root.RialoHolders, root.RialoGovernance, root.RialoStory);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Policy, MonteCarlo, Rebalance, Risk, Market, Oracle, Holders, Governance, Story) {
+    'use strict';
+
+    // --- Configuration & Static Data ---
+
+    // How quickly an asset turns into cash. Payouts and buys are funded from the most liquid assets first.
+    // maxSellPercent caps how much of a position the rebalancer can sell in one period.
+    // hqlaPercent is how much of the value counts as liquid in the liquidity coverage risk model.
+    const LIQUIDITY_TIERS = {
+        instant: { label: 'Instant', rank: 0, maxSellPercent: 100, hqlaPercent: 100 },
+        days: { label: 'Days', rank: 1, maxSellPercent: 100, hqlaPercent: 85 },
+        weeks: { label: 'Weeks', rank: 2, maxSellPercent: 50, hqlaPercent: 50 },
+        locked: { label: 'Locked', rank: 3, maxSellPercent: 0, hqlaPercent: 0 }
+    };
+
+    // Default asset registry. A run can use any list of assets in this shape:
+    //   yield: annual %, riskWeight: 0-100 (feeds the toy risk score), volatility: annual % (VaR / ES models),
+    //   liquidity: LIQUIDITY_TIERS key,
+    //   targetWeight: % of total value the rebalancer aims for, band: allowed drift in percentage points,
+    //   feeBps / spreadBps / impactBps: trading costs (see getTradeCost)
+    const DEFAULT_ASSETS = [
+        { id: 'usdc', name: 'USDC Reserves', color: '#2563eb', desc: 'Stablecoin backing', yield: 3, riskWeight: 5, volatility: 1, liquidity: 'instant', targetWeight: 40, band: 5, feeBps: 0, spreadBps: 2, impactBps: 1 },
+        { id: 'tBills', name: 'T-Bills', color: '#10b981', desc: 'Risk-free yield', yield: 4.5, riskWeight: 10, volatility: 1, liquidity: 'days', targetWeight: 30, band: 5, feeBps: 1, spreadBps: 4, impactBps: 2 },
+        { id: 'bonds', name: 'Corp Bonds', color: '#f59e0b', desc: 'Higher yield, riskier', yield: 6.5, riskWeight: 80, volatility: 8, liquidity: 'weeks', targetWeight: 20, band: 5, feeBps: 5, spreadBps: 40, impactBps: 15 },
+        { id: 'cash', name: 'Cash', color: '#64748b', desc: 'Immediate liquidity', yield: 0, riskWeight: 0, volatility: 0, liquidity: 'instant', targetWeight: 10, band: 5, feeBps: 0, spreadBps: 0, impactBps: 0 }
+    ];
+
+    // Slippage grows with trade size: impactBps applies per this many dollars traded
+    const IMPACT_SIZE = 100000;
+
+    // Time horizons. The storyboard plays a story's steps (see story.js); calendar horizons run
+    // N periods where shocks, policy checks and scheduled policies fire on their own schedules.
+    // A replay runs one period per date of a price series (see market.js) instead of a synthetic shock.
+    // periodYears sets how much yield accrues per period (each story step stands for a month);
+    // replay periods accrue for the time between their dates.
+    const HORIZONS = {
+        storyboard: { label: 'Storyboard', unit: null, stepMs: 2000, periodYears: 1 / 12 },
+        monthly: { label: 'Monthly', unit: 'month', stepMs: 900, defaultPeriods: 12, periodYears: 1 / 12 },
+        daily: { label: 'Daily', unit: 'day', stepMs: 150, defaultPeriods: 365, periodYears: 1 / 365 },
+        replay: { label: 'Historical replay', unit: null, stepMs: 600, periodYears: 1 / 12 }
+    };
+
+    // What the shock event does. Depegs, freezes and bank runs last several periods:
+    // they stay active (see applyActiveShocks) until shockDuration periods have passed.
+    //   pickAsset(assets): the asset hit when shockAsset is '' (null for scenarios without one)
+    const SHOCK_SCENARIOS = {
+        market_drop: {
+            label: 'Market drop',
+            desc: 'The asset drops by the shock magnitude and stays there (by default the riskiest asset).',
+            pickAsset: (assets) => getRiskiestAsset(assets)
+        },
+        depeg: {
+            label: 'Stablecoin depeg',
+            desc: 'The stablecoin trades below $1 by the shock magnitude, then recovers to its peg in a straight line over the duration (0 periods: it never does).',
+            pickAsset: (assets) => getStablecoinAsset(assets)
+        },
+        freeze: {
+            label: 'Custodian freeze',
+            desc: 'A custodian freezes the asset for the duration: it cannot be sold, bought or used for payouts, and is marked down by the shock magnitude until it is released.',
+            pickAsset: (assets) => getSafeHavenAsset(assets, getRiskiestAsset(assets)) || getRiskiestAsset(assets)
+        },
+        bank_run: {
+            label: 'Bank-run redemptions',
+            desc: 'Holders rush to redeem the shock magnitude (as % of liabilities), spread evenly over the duration and paid from liquid assets.',
+            pickAsset: null
+        }
+    };
+
+    // Events a period can fire, applied in the order the period lists them
+    const EVENT_TYPES = {
+        shock: { label: 'Market shock', apply: applyShockEvent },
+        market: { label: 'Price move', apply: applyMarketEvent },
+        policy_check: { label: 'Policy check', apply: applyPolicyCheckEvent },
+        redemption: { label: 'Redemption', apply: applyRedemptionEvent },
+        price_update: { label: 'Oracle update', apply: applyPriceUpdateEvent }
+    };
+
+    // Kinds of log record. The engine writes all but PARAM_CHANGE and SYSTEM, which come from the UI.
+    const LOG_TYPES = {
+        SHOCK: { label: 'Shock' },
+        MARKET: { label: 'Market' },
+        ORACLE: { label: 'Oracle' },
+        GOVERNANCE: { label: 'Governance' },
+        POLICY_CHECK: { label: 'Policy check' },
+        TRADE: { label: 'Trade' },
+        DISTRIBUTION: { label: 'Distribution' },
+        REDEMPTION: { label: 'Redemption' },
+        YIELD: { label: 'Yield' },
+        PARAM_CHANGE: { label: 'Param change' },
+        SYSTEM: { label: 'System' }
+    };
+
+    const LOG_SEVERITIES = ['info', 'warning', 'critical'];
+
+    // Calendar tags a period can carry; each fires the matching `at every <tag>` policies
+    const SCHEDULE_TAGS = {
+        period: 'Every period',
+        day: 'Day',
+        week_end: 'Week end',
+        month_end: 'Month end',
+        quarter_end: 'Quarter end',
+        year_end: 'Year end'
+    };
+
+    const DEFAULT_PARAMS = {
+        shockScenario: 'market_drop', // SHOCK_SCENARIOS key fired by the shock event
+        shockAsset: '', // Asset id the shock hits; '' lets the scenario pick
+        shockMagnitude: 20, // % drop, depeg depth, freeze write-down or liabilities redeemed (see SHOCK_SCENARIOS)
+        shockDuration: 2, // Periods a depeg takes to recover, a freeze lasts or a bank run goes on
+        targetReserveRatio: 110, // %
+        yieldDistribution: 5, // % of total value, paid out of accrued yield
+        allowPrincipalDip: false, // Let distributions pay more than the accrued yield
+        rebalanceStrategy: 'legacy', // REBALANCE_STRATEGIES key used by a bare `rebalance`
+        minTradeSize: 1000, // $; the rebalancer skips smaller trades
+        riskModel: 'toy' // RISK_MODELS key behind the risk score
+    };
+
+    // The ranges the sliders and inputs allow for numeric params: [min, max]
+    const PARAM_LIMITS = {
+        shockMagnitude: [0, 50],
+        targetReserveRatio: [100, 150],
+        yieldDistribution: [0, 10],
+        minTradeSize: [0, Infinity]
+    };
+
+    // Initial Portfolio Config (Total ~1M)
+    const DEFAULT_PORTFOLIO = {
+        usdc: 400000,
+        tBills: 300000,
+        bonds: 200000,
+        cash: 100000
+    };
+
+    // Holder claims the treasury backs. Distributions and redemptions pay holders,
+    // so they reduce liabilities and assets together.
+    const DEFAULT_LIABILITIES = {
+        amount: 1000000, // Outstanding at T+0
+        growthRate: 0, // % added every period (new issuance, accrued claims)
+        redemptionRate: 0, // % of liabilities holders redeem on each redemption date
+        redemptionSchedule: 'month_end' // Schedule tag redemptions fall on
+    };
+
+    const DEFAULT_HORIZON = {
+        mode: 'storyboard',
+        periods: 12, // Calendar horizons only
+        startDate: '2026-01-01', // T+1 is the first day/month from here
+        shockPeriod: 1, // Period the market shock first hits
+        shockRepeat: 'none', // Or a schedule tag (e.g. 'quarter_end') to hit again
+        replay: null, // Replay horizon only: a price series, see market.js
+        story: null // Storyboard horizon only: the story to play, see story.js (null: DEFAULT_STORY)
+    };
+
+    // Policy language vocabulary (see policy.js)
+    // Variables readable in `when` conditions: (portfolio, period context) => number
+    const POLICY_VARIABLES = {
+        reserve_ratio: (p, ctx) => getReserveRatio(p, ctx.liabilities),
+        total_value: (p) => getTotalValue(p),
+        liabilities: (p, ctx) => ctx.liabilities,
+        accrued_yield: (p, ctx) => ctx.accruedYield,
+        risk_score: (p, ctx) => calculateRiskScore(p, ctx.params, ctx.assets, ctx.liabilities),
+        drawdown: (p, ctx) => getDrawdown(p, ctx.peakValue),
+        max_drift: (p, ctx) => Rebalance.getMaxDrift(p, ctx.assets),
+        target_ratio: (p, ctx) => ctx.params.targetReserveRatio,
+        shock_magnitude: (p, ctx) => ctx.params.shockMagnitude,
+        yield_percent: (p, ctx) => ctx.params.yieldDistribution
+    };
+
+    // Variables that name an asset (`weight "bonds" > 30`): (portfolio, period context, asset id) => number
+    const POLICY_ASSET_VARIABLES = {
+        weight: (p, ctx, id) => getAssetWeight(p, id),
+        drift: (p, ctx, id) => Rebalance.getDrift(p, ctx.assets)[id] || 0
+    };
+
+    const REBALANCE_STRATEGIES = Rebalance.REBALANCE_STRATEGIES;
+
+    const RISK_MODELS = Risk.RISK_MODELS;
+
+    // Parameters a policy can set with `name = value`, mapped to params keys
+    const POLICY_PARAMS = {
+        shock_magnitude: 'shockMagnitude',
+        target_ratio: 'targetReserveRatio',
+        yield_percent: 'yieldDistribution'
+    };
+
+    function getPolicyVocabulary(assets) {
+        return {
+            variables: Object.keys(POLICY_VARIABLES),
+            assetVariables: Object.keys(POLICY_ASSET_VARIABLES),
+            params: Object.keys(POLICY_PARAMS),
+            paramLimits: Object.fromEntries(Object.keys(POLICY_PARAMS).map(name => [name, PARAM_LIMITS[POLICY_PARAMS[name]]])),
+            assets: assets.map(a => a.id),
+            schedules: Object.keys(SCHEDULE_TAGS),
+            strategies: Object.keys(REBALANCE_STRATEGIES)
+        };
+    }
+
+    // --- Simulation ---
+
+    /**
+     * Create a headless simulation.
+     *   params:    { shockMagnitude, targetReserveRatio, yieldDistribution }; missing keys use DEFAULT_PARAMS
+     *   portfolio: initial value per asset id
+     *   options:   {
+     *       assets,     // asset registry, see DEFAULT_ASSETS
+     *       horizon,    // see DEFAULT_HORIZON
+     *       liabilities, // see DEFAULT_LIABILITIES
+     *       oracle,     // price feed settings, see DEFAULT_ORACLE in oracle.js
+     *       holders,    // who distributions are paid to, see DEFAULT_HOLDERS in holders.js
+     *       governance, // approval gate on large actions, see DEFAULT_GOVERNANCE in governance.js
+     *       policy,     // policy source text or a compiled program; defaults to buildPolicySource(params)
+     *       drawShocks, // () => { assetId: % move } to replace the deterministic bond shock
+     *       onLog,      // called with each log record as it is written (see createLogRecord)
+     *       periods     // prebuilt buildPeriods(horizon) result, to skip rebuilding in batch runs
+     *   }
+     * step() runs the next period and returns its snapshot, or null when the run is complete.
+     * run() steps to the end and returns every snapshot, T+0 included.
+     * rewind(i) drops every period after i and continues from snapshot i (e.g. with new params).
+     */
+    function createSimulation(params = {}, portfolio = DEFAULT_PORTFOLIO, options = {}) {
+        const assets = options.assets || DEFAULT_ASSETS;
+        const horizon = { ...DEFAULT_HORIZON, ...options.horizon };
+        const liabilitySchedule = { ...DEFAULT_LIABILITIES, ...options.liabilities };
+        const periods = options.periods || buildPeriods(horizon);
+        const drawShocks = options.drawShocks || null;
+        const onLog = options.onLog || null;
+        const oracleConfig = { ...Oracle.DEFAULT_ORACLE, ...options.oracle };
+        const holderConfig = { ...Holders.DEFAULT_HOLDERS, ...options.holders };
+        const governanceConfig = { ...Governance.DEFAULT_GOVERNANCE, ...options.governance };
+
+        let currentParams = { ...DEFAULT_PARAMS, ...params };
+        let program = null;
+        let current = { ...portfolio };
+        let liabilities = liabilitySchedule.amount;
+        let accruedYield = 0;
+        let totalCosts = 0;
+        let totalDistributed = 0;
+        let peakValue = getTotalValue(current);
+        let cooldowns = {};
+        let shocks = [];
+        let prices = getStartPrices(assets);
+        let oracle = Oracle.createOracleState(prices);
+        let grants = [];
+        let proposals = [];
+        let index = 0;
+        const history = [];
+        const logs = [];
+
+        // Replace the running policy. Source that fails to compile leaves the previous program running.
+        function setPolicy(policy) {
+            if (typeof policy !== 'string') {
+                program = policy;
+                return [];
+            }
+            const compiled = compilePolicySource(policy, assets);
+            if (compiled.program) program = compiled.program;
+            return compiled.errors;
+        }
+
+        function setParams(next) {
+            currentParams = { ...currentParams, ...next };
+        }
+
+        function getEffectiveParams() {
+            return resolveEffectiveParams(currentParams, program);
+        }
+
+        function takeSnapshot(activity, trades, costs, periodLogs, oracleEvents = [], proposalEvents = []) {
+            const period = periods[index];
+            const frozen = getFrozenAssets(shocks);
+            const risk = assessRisk(current, getEffectiveParams(), withFrozenAssets(assets, frozen), liabilities);
+            return Object.freeze({
+                index,
+                label: period.label,
+                title: period.title,
+                portfolio: Object.freeze({ ...current }),
+                totalValue: getTotalValue(current),
+                liabilities,
+                accruedYield,
+                reserveRatio: getReserveRatio(current, liabilities),
+                targetRatio: getEffectiveParams().targetReserveRatio,
+                riskScore: risk.score,
+                risk: Object.freeze(risk),
+                peakValue,
+                drawdown: getDrawdown(current, peakValue),
+                cooldowns: Object.freeze({ ...cooldowns }),
+                shocks: Object.freeze(shocks.map(shock => Object.freeze({ ...shock }))),
+                frozen: Object.freeze(frozen),
+                prices: Object.freeze({ ...prices }),
+                oracle: Object.freeze(Oracle.copyOracleState(oracle)),
+                oracleEvents: Object.freeze(oracleEvents),
+                activity: Object.freeze(activity),
+                trades: Object.freeze(trades),
+                costs: Object.freeze(costs),
+                totalCosts,
+                totalDistributed,
+                grants: Object.freeze(grants.slice()),
+                proposals: Object.freeze(proposals.map(proposal => Object.freeze({ ...proposal }))),
+                proposalEvents: Object.freeze(proposalEvents),
+                logs: Object.freeze(periodLogs)
+            });
+        }
+
+        function step() {
+            if (index >= periods.length - 1) return null;
+            index++;
+
+            const periodLogs = [];
+            const result = runPeriod(periods[index], current, {
+                params: getEffectiveParams(),
+                assets,
+                liabilities,
+                liabilitySchedule,
+                accruedYield,
+                peakValue,
+                cooldowns,
+                shocks,
+                prices,
+                oracle,
+                oracleConfig,
+                grants,
+                holderConfig,
+                proposals,
+                governanceConfig,
+                periodYears: HORIZONS[horizon.mode].periodYears,
+                program,
+                drawShocks,
+                log: (type, message, details) => {
+                    const record = createLogRecord(periods[index], type, message, details);
+                    periodLogs.push(record);
+                    logs.push(record);
+                    if (onLog) onLog(record);
+                }
+            });
+            current = result.portfolio;
+            liabilities = result.liabilities;
+            accruedYield = result.accruedYield;
+            peakValue = result.peakValue;
+            cooldowns = result.cooldowns;
+            shocks = result.shocks;
+            prices = result.prices;
+            oracle = result.oracle;
+            grants = result.grants;
+            proposals = result.proposals;
+            totalCosts += result.costs.total;
+            totalDistributed += result.distributed;
+
+            const snapshot = takeSnapshot(result.activity, result.trades, result.costs, periodLogs, result.oracleEvents, result.proposalEvents);
+            history.push(snapshot);
+            return snapshot;
+        }
+
+        function run() {
+            while (step()) {
+                // Keep stepping until the horizon is exhausted
+            }
+            return history.slice();
+        }
+
+        // Snapshots hold the whole period state, so any earlier one can become the head again
+        function rewind(target) {
+            if (target < 0 || target > index) return null;
+            const snapshot = history[target];
+            history.length = target + 1;
+            logs.length = history.reduce((count, snap) => count + snap.logs.length, 0);
+            current = { ...snapshot.portfolio };
+            liabilities = snapshot.liabilities;
+            accruedYield = snapshot.accruedYield;
+            totalCosts = snapshot.totalCosts;
+            totalDistributed = snapshot.totalDistributed;
+            peakValue = snapshot.peakValue;
+            cooldowns = { ...snapshot.cooldowns };
+            shocks = snapshot.shocks.map(shock => ({ ...shock }));
+            prices = { ...snapshot.prices };
+            oracle = Oracle.copyOracleState(snapshot.oracle);
+            grants = snapshot.grants.slice();
+            proposals = snapshot.proposals.map(proposal => ({ ...proposal }));
+            index = target;
+            return snapshot;
+        }
+
+        setPolicy(options.policy !== undefined ? options.policy : buildPolicySource(currentParams));
+        history.push(takeSnapshot([], [], { ...NO_COSTS }, []));
+
+        return {
+            step,
+            run,
+            rewind,
+            setParams,
+            setPolicy,
+            getEffectiveParams,
+            snapshot: () => history[history.length - 1],
+            isComplete: () => index >= periods.length - 1,
+            getIndex: () => index,
+            getPeriods: () => periods,
+            getAssets: () => assets,
+            getHistory: () => history.slice(),
+            getLogs: () => logs.slice(),
+            getProgram: () => program
+        };
+    }
+
+    // --- Time Engine ---
+
+    // Expand a horizon into its period sequence. Period 0 is always the initial state.
+    function buildPeriods(horizon) {
+        if (horizon.mode === 'storyboard') {
+            return (horizon.story || Story.DEFAULT_STORY).steps.map((step, index) => ({
+                index,
+                label: `T+${index}`,
+                title: `T+${index}: ${step.title}`,
+                events: Story.STEP_TYPES[step.type].events,
+                tags: Story.STEP_TYPES[step.type].tags,
+                step
+            }));
+        }
+        if (horizon.mode === 'replay') return buildReplayPeriods(horizon.replay);
+
+        const unit = HORIZONS[horizon.mode].unit;
+        const periods = [{ index: 0, label: 'T+0', title: 'T+0: Initial State', events: [], tags: [] }];
+
+        for (let i = 1; i <= horizon.periods; i++) {
+            const date = getPeriodDate(horizon.startDate, unit, i);
+            const tags = getCalendarTags(date, unit);
+            const events = [];
+
+            const isFirstShock = i === horizon.shockPeriod;
+            const isRepeatShock = i > horizon.shockPeriod && horizon.shockRepeat !== 'none' && tags.includes(horizon.shockRepeat);
+            if (isFirstShock || isRepeatShock) events.push('shock');
+            events.push('policy_check');
+
+            periods.push({
+                index: i,
+                label: `T+${i}`,
+                title: `T+${i}: ${formatPeriodDate(date, unit)}`,
+                date,
+                events,
+                tags
+            });
+        }
+        return periods;
+    }
+
+    // One period per date after the first. Each carries its price moves and the years since the previous date.
+    function buildReplayPeriods(series) {
+        const dates = series.points.map(point => new Date(`${point.date}T00:00:00Z`));
+        const days = (a, b) => Math.round((b - a) / (24 * 60 * 60 * 1000));
+        return series.points.map((point, i) => {
+            const date = dates[i];
+            const title = `T+${i}: ${formatPeriodDate(date, 'day')}`;
+            if (i === 0) return { index: 0, label: 'T+0', title, date, events: [], tags: [], prices: point.prices };
+            return {
+                index: i,
+                label: `T+${i}`,
+                title,
+                date,
+                events: ['market', 'policy_check'],
+                tags: getReplayTags(dates[i - 1], date, dates[i + 1]),
+                prices: point.prices,
+                moves: Market.getPriceMoves(series, i),
+                years: days(dates[i - 1], date) / 365
+            };
+        });
+    }
+
+    // A replay period covers (prev, date]. It closes a week, month, quarter or year when
+    // that boundary falls inside it, or on its date when the next point is in a new one.
+    function getReplayTags(prev, date, next) {
+        const tags = ['period'];
+        const gap = Math.round((date - prev) / (24 * 60 * 60 * 1000));
+        if (gap === 1) tags.push('day');
+        // Periods of up to a week close one when the last Sunday on or before the date is inside them
+        if (gap <= 7 && date.getUTCDay() < gap) tags.push('week_end');
+
+        const monthOf = (d) => d.getUTCFullYear() * 12 + d.getUTCMonth();
+        const after = next || new Date(date.getTime() + 24 * 60 * 60 * 1000);
+        if (monthOf(after) !== monthOf(date)) {
+            tags.push('month_end');
+            if (Math.floor(monthOf(after) / 3) !== Math.floor(monthOf(date) / 3)) tags.push('quarter_end');
+            if (after.getUTCFullYear() !== date.getUTCFullYear()) tags.push('year_end');
+        }
+        return tags;
+    }
+
+    // Closing date of period i (1-based): day i, or the last day of month i
+    function getPeriodDate(startDate, unit, i) {
+        const start = new Date(`${startDate}T00:00:00Z`);
+        if (unit === 'day') {
+            return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() + i - 1));
+        }
+        // Day 0 of the following month is the last day of this one
+        return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + i, 0));
+    }
+
+    function getCalendarTags(date, unit) {
+        const tags = ['period'];
+        if (unit === 'day') {
+            tags.push('day');
+            if (date.getUTCDay() === 0) tags.push('week_end');
+        }
+
+        const tomorrow = new Date(date.getTime() + 24 * 60 * 60 * 1000);
+        if (unit === 'month' || tomorrow.getUTCDate() === 1) {
+            tags.push('month_end');
+            if (date.getUTCMonth() % 3 === 2) tags.push('quarter_end');
+            if (date.getUTCMonth() === 11) tags.push('year_end');
+        }
+        return tags;
+    }
+
+    function formatPeriodDate(date, unit) {
+        const options = unit === 'day'
+            ? { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' }
+            : { month: 'short', year: 'numeric', timeZone: 'UTC' };
+        return date.toLocaleDateString('en-US', options);
+    }
+
+    // Accrue yield and grow liabilities, fire a period's events, then its scheduled policies,
+    // then redemptions. Returns the new portfolio, liabilities and accrued yield, the
+    // activity that actually happened ('shock', 'rebalance', 'distribution', 'redemption'),
+    // every trade (tagged with the policy that made it, or 'redemption'), its trading costs and
+    // the total paid to holders by distributions.
+    // options: { params, program, assets, liabilities, liabilitySchedule, accruedYield, peakValue, cooldowns,
+    //            shocks, prices, oracle, oracleConfig, grants, holderConfig, proposals, governanceConfig,
+    //            periodYears, log, drawShocks }
+    // peakValue is the highest total value before this period (for `drawdown`); cooldowns maps
+    // rule keys to the period they may fire again; shocks are the depegs, freezes and bank runs
+    // still playing out. All three come back updated, with the ids of the assets left frozen.
+    // prices are market price indices (1 at T+0) and oracle the feed state (see oracle.js);
+    // without an oracle, policies read market prices directly. grants are every payout to a holder
+    // so far (see holders.js); this period's distributions are added to them. proposals are every
+    // action queued for approval so far (see governance.js), with this period's signatures,
+    // executions and expiries; proposalEvents lists what happened to them, as { kind, id }.
+    // log(type, message, details) receives LOG_TYPES records, see createLogRecord.
+    function runPeriod(period, portfolio, options) {
+        const schedule = options.liabilitySchedule || DEFAULT_LIABILITIES;
+        const ctx = {
+            period,
+            params: options.params,
+            program: options.program,
+            assets: options.assets || DEFAULT_ASSETS,
+            liabilities: options.liabilities * (1 + schedule.growthRate / 100),
+            accruedYield: options.accruedYield || 0,
+            peakValue: options.peakValue !== undefined ? options.peakValue : getTotalValue(portfolio),
+            cooldowns: { ...options.cooldowns },
+            shocks: (options.shocks || []).map(shock => ({ ...shock })),
+            prices: { ...getStartPrices(options.assets || DEFAULT_ASSETS), ...options.prices },
+            oracle: options.oracle || null,
+            oracleConfig: { ...Oracle.DEFAULT_ORACLE, ...options.oracleConfig },
+            oracleEvents: [],
+            grants: (options.grants || []).slice(),
+            holders: options.holderConfig || Holders.DEFAULT_HOLDERS,
+            proposals: (options.proposals || []).map(proposal => ({ ...proposal })),
+            governance: options.governanceConfig || Governance.DEFAULT_GOVERNANCE,
+            proposalEvents: [],
+            activity: [],
+            trades: [],
+            costs: { ...NO_COSTS },
+            distributed: 0,
+            log: options.log,
+            drawShocks: options.drawShocks || null
+        };
+        let p = applyYieldAccrual(portfolio, ctx, period.years !== undefined ? period.years : options.periodYears || 0);
+        p = applyActiveShocks(p, ctx);
+        freezeAssets(ctx, options.assets || DEFAULT_ASSETS);
+
+        // Prices move first; the oracle then reads them, and policy checks act on its view
+        period.events.filter(type => type !== 'policy_check').forEach(type => {
+            p = EVENT_TYPES[type].apply(p, ctx);
+        });
+        applyOracleUpdate(ctx);
+        p = applyGovernance(p, ctx);
+        if (period.events.includes('policy_check')) p = EVENT_TYPES.policy_check.apply(p, ctx);
+        p = applyScheduledPolicies(p, ctx);
+        p = applyHolderLedger(p, ctx);
+        if (schedule.redemptionRate > 0 && period.tags.includes(schedule.redemptionSchedule)) {
+            p = applyRedemptions(p, ctx, schedule.redemptionRate);
+        }
+
+        return {
+            portfolio: p,
+            liabilities: ctx.liabilities,
+            accruedYield: ctx.accruedYield,
+            peakValue: Math.max(ctx.peakValue, getTotalValue(p)),
+            cooldowns: ctx.cooldowns,
+            shocks: ctx.shocks,
+            frozen: getFrozenAssets(ctx.shocks),
+            prices: ctx.prices,
+            oracle: ctx.oracle,
+            oracleEvents: ctx.oracleEvents,
+            grants: ctx.grants,
+            proposals: ctx.proposals,
+            proposalEvents: ctx.proposalEvents,
+            activity: ctx.activity,
+            trades: ctx.trades,
+            costs: ctx.costs,
+            distributed: ctx.distributed
+        };
+    }
+
+    // Each asset earns its annual yield for one period. Interest stays in the asset that
+    // earned it (coupons, T-Bill accretion, lending interest) and is tracked as accrued
+    // yield until a distribution pays it out.
+    function applyYieldAccrual(portfolio, ctx, periodYears) {
+        const p = { ...portfolio };
+        let earned = 0;
+
+        ctx.assets.forEach(asset => {
+            const interest = (p[asset.id] || 0) * (asset.yield / 100) * periodYears;
+            p[asset.id] = (p[asset.id] || 0) + interest;
+            earned += interest;
+        });
+        ctx.accruedYield = Math.max(0, ctx.accruedYield + earned);
+
+        if (ctx.period.step && earned !== 0) {
+            ctx.log('YIELD', `Yield accrued: ${earned >= 0 ? '+' : '-'}$${(Math.abs(earned) / 1000).toFixed(1)}k (accrued balance $${(ctx.accruedYield / 1000).toFixed(1)}k)`, { amount: earned });
+        }
+        return p;
+    }
+
+    // The shock fires the selected scenario. Monte Carlo paths draw a % move per asset instead of the
+    // story's fixed drop, on top of a depeg, freeze or bank run.
+    function applyShockEvent(portfolio, ctx) {
+        const scenario = SHOCK_SCENARIOS[ctx.params.shockScenario] ? ctx.params.shockScenario : 'market_drop';
+        let p = portfolio;
+        ctx.activity.push('shock');
+        if (scenario === 'market_drop' || ctx.drawShocks) p = applyPriceShock(p, ctx);
+        if (scenario === 'depeg') p = startDepeg(p, ctx);
+        if (scenario === 'freeze') p = startFreeze(p, ctx);
+        if (scenario === 'bank_run') p = startBankRun(p, ctx);
+        return p;
+    }
+
+    function applyPriceShock(portfolio, ctx) {
+        const p = { ...portfolio };
+        const target = getShockAsset(ctx.params, ctx.assets);
+        const moves = ctx.drawShocks ? ctx.drawShocks() : { [target.id]: -ctx.params.shockMagnitude };
+        const before = getTotalValue(p);
+
+        Object.keys(moves).forEach(id => {
+            p[id] = (p[id] || 0) * (1 + moves[id] / 100);
+            movePrice(ctx, id, 1 + moves[id] / 100);
+        });
+        const loss = before - getTotalValue(p);
+
+        const moved = Object.keys(moves).filter(id => moves[id] !== 0);
+        const details = { amount: -loss, assets: moved, severity: loss > 0 ? 'warning' : 'info' };
+        if (!ctx.drawShocks) {
+            ctx.log('SHOCK', `Market shock: ${target.name} dropped by ${-moves[target.id]}% (-$${(loss / 1000).toFixed(0)}k)`, details);
+        } else {
+            const text = moved
+                .map(id => `${getAssetName(id, ctx.assets)} ${moves[id] > 0 ? '+' : ''}${moves[id].toFixed(1)}%`)
+                .join(', ');
+            ctx.log('SHOCK', `Market shock: ${text || 'no price moves'} (${loss >= 0 ? '-' : '+'}$${(Math.abs(loss) / 1000).toFixed(0)}k)`, details);
+        }
+        return p;
+    }
+
+    // A depeg or freeze leaves at least 1% of the asset: the recovery scales what is left back up
+    const MAX_WRITE_DOWN = 99;
+
+    // The stablecoin's price falls to 1 - depth and climbs back over `duration` periods
+    function startDepeg(portfolio, ctx) {
+        const p = { ...portfolio };
+        const target = getShockAsset(ctx.params, ctx.assets);
+        const depth = Math.min(MAX_WRITE_DOWN, ctx.params.shockMagnitude);
+        const duration = ctx.params.shockDuration;
+        const loss = (p[target.id] || 0) * (depth / 100);
+        p[target.id] = (p[target.id] || 0) - loss;
+        movePrice(ctx, target.id, 1 - depth / 100);
+
+        if (duration > 0) ctx.shocks.push({ type: 'depeg', asset: target.id, start: ctx.period.index, depth, duration, price: 1 - depth / 100 });
+        const recovery = duration > 0 ? `recovering over ${duration} period${duration === 1 ? '' : 's'}` : 'no recovery expected';
+        ctx.log('SHOCK', `Stablecoin depeg: ${target.name} fell to $${(1 - depth / 100).toFixed(2)} (-$${(loss / 1000).toFixed(0)}k), ${recovery}`,
+            { amount: -loss, assets: [target.id], severity: 'warning' });
+        return p;
+    }
+
+    // The asset is written down and locked until `duration` periods have passed
+    function startFreeze(portfolio, ctx) {
+        const p = { ...portfolio };
+        const target = getShockAsset(ctx.params, ctx.assets);
+        const haircut = Math.min(MAX_WRITE_DOWN, ctx.params.shockMagnitude);
+        const duration = Math.max(1, ctx.params.shockDuration);
+        const loss = (p[target.id] || 0) * (haircut / 100);
+        p[target.id] = (p[target.id] || 0) - loss;
+
+        ctx.shocks.push({ type: 'freeze', asset: target.id, start: ctx.period.index, haircut, duration });
+        freezeAssets(ctx, ctx.assets);
+        ctx.log('SHOCK', `Custodian freeze: ${target.name} frozen for ${duration} period${duration === 1 ? '' : 's'}, marked down ${haircut}% (-$${(loss / 1000).toFixed(0)}k)`,
+            { amount: -loss, assets: [target.id], severity: 'warning' });
+        return p;
+    }
+
+    // Holders redeem `rate`% of today's liabilities in equal dollar amounts over `duration` periods, starting now
+    function startBankRun(portfolio, ctx) {
+        const rate = Math.min(100, ctx.params.shockMagnitude);
+        const duration = Math.max(1, ctx.params.shockDuration);
+        const total = ctx.liabilities * (rate / 100);
+        ctx.log('SHOCK', `Bank run: holders rush to redeem $${(total / 1000).toFixed(0)}k (${rate}% of liabilities) over ${duration} period${duration === 1 ? '' : 's'}`,
+            { amount: -total, severity: 'warning' });
+        const shock = { type: 'bank_run', start: ctx.period.index, amount: total / duration, duration };
+        ctx.shocks.push(shock);
+        return redeemWave(portfolio, ctx, shock);
+    }
+
+    function redeemWave(portfolio, ctx, shock) {
+        const rate = ctx.liabilities > 0 ? Math.min(100, (shock.amount / ctx.liabilities) * 100) : 0;
+        return applyRedemptions(portfolio, ctx, rate, 'Bank run');
+    }
+
+    // Shocks started in earlier periods play out: depegs recover, freezes are released,
+    // bank runs keep redeeming. Finished ones are dropped.
+    function applyActiveShocks(portfolio, ctx) {
+        let p = portfolio;
+        ctx.shocks = ctx.shocks.filter(shock => {
+            const elapsed = ctx.period.index - shock.start;
+            const name = shock.asset ? getAssetName(shock.asset, ctx.assets) : '';
+
+            if (shock.type === 'depeg') {
+                const price = 1 - (shock.depth / 100) * Math.max(0, 1 - elapsed / shock.duration);
+                const gain = (p[shock.asset] || 0) * (price / shock.price - 1);
+                p = { ...p, [shock.asset]: (p[shock.asset] || 0) + gain };
+                movePrice(ctx, shock.asset, price / shock.price);
+                shock.price = price;
+                const status = elapsed >= shock.duration ? 'back at its peg' : `recovering to $${price.toFixed(2)}`;
+                ctx.log('SHOCK', `Depeg recovery: ${name} ${status} (+$${(gain / 1000).toFixed(0)}k)`, { amount: gain, assets: [shock.asset] });
+                return elapsed < shock.duration;
+            }
+            if (shock.type === 'freeze') {
+                if (elapsed < shock.duration) return true;
+                const restored = (p[shock.asset] || 0) * (1 / (1 - shock.haircut / 100) - 1);
+                p = { ...p, [shock.asset]: (p[shock.asset] || 0) + (Number.isFinite(restored) ? restored : 0) };
+                ctx.log('SHOCK', `Custodian freeze lifted: ${name} can be traded again, write-down reversed (+$${(restored / 1000).toFixed(0)}k)`,
+                    { amount: restored, assets: [shock.asset] });
+                return false;
+            }
+            if (shock.type === 'bank_run') {
+                if (elapsed >= shock.duration) return false;
+                p = redeemWave(p, ctx, shock);
+                return elapsed + 1 < shock.duration;
+            }
+            return false;
+        });
+        return p;
+    }
+
+    // Frozen assets are left out of payouts and trades for the rest of the period
+    function freezeAssets(ctx, assets) {
+        ctx.assets = withFrozenAssets(assets, getFrozenAssets(ctx.shocks));
+        ctx.env = getPolicyEnv(ctx);
+    }
+
+    // The registry as a frozen period sees it: frozen ids trade like the locked tier
+    function withFrozenAssets(assets, frozen) {
+        return assets.map(a => (frozen.includes(a.id) ? { ...a, liquidity: 'locked', frozen: true } : a));
+    }
+
+    function getFrozenAssets(shocks) {
+        // Overlapping freezes of one asset list it once
+        return [...new Set(shocks.filter(shock => shock.type === 'freeze').map(shock => shock.asset))];
+    }
+
+    // A replay period marks each asset by its price move since the previous date
+    function applyMarketEvent(portfolio, ctx) {
+        return applyPriceMoves(portfolio, ctx, ctx.period.moves);
+    }
+
+    // A story's oracle update moves one asset by the step's move
+    function applyPriceUpdateEvent(portfolio, ctx) {
+        const target = getPriceUpdateAsset(ctx.period.step, ctx.params, ctx.assets);
+        return applyPriceMoves(portfolio, ctx, { [target.id]: ctx.period.step.move });
+    }
+
+    // moves: { assetId: % move }
+    function applyPriceMoves(portfolio, ctx, moves) {
+        const p = { ...portfolio };
+        const before = getTotalValue(p);
+        const moved = ctx.assets.filter(a => moves[a.id]);
+
+        moved.forEach(a => {
+            p[a.id] = (p[a.id] || 0) * (1 + moves[a.id] / 100);
+            movePrice(ctx, a.id, 1 + moves[a.id] / 100);
+        });
+        const change = getTotalValue(p) - before;
+
+        // A loss of 1% or more of total value counts as a shock
+        const loss = before > 0 ? -change / before : 0;
+        if (loss >= 0.01) ctx.activity.push('shock');
+        const text = moved
+            .map(a => `${a.name} ${moves[a.id] > 0 ? '+' : ''}${moves[a.id].toFixed(1)}%`)
+            .join(', ');
+        ctx.log('MARKET', `Price moves: ${text || 'none'} (${change >= 0 ? '+' : '-'}$${(Math.abs(change) / 1000).toFixed(0)}k)`,
+            { amount: change, assets: moved.map(a => a.id), severity: loss >= 0.01 ? 'warning' : 'info' });
+        return p;
+    }
+
+    // A freeze's write-down is the treasury's own mark, not a market price, so it does not move prices
+    function movePrice(ctx, id, factor) {
+        ctx.prices[id] = (ctx.prices[id] !== undefined ? ctx.prices[id] : 1) * factor;
+    }
+
+    function getStartPrices(assets) {
+        const prices = {};
+        assets.forEach(a => {
+            prices[a.id] = 1;
+        });
+        return prices;
+    }
+
+    // The oracle reads this period's market prices and its guardrails decide what the policies see
+    function applyOracleUpdate(ctx) {
+        if (!ctx.oracle) return;
+        const config = ctx.oracleConfig;
+        const rng = MonteCarlo.createPathRng(config.seed, ctx.period.index);
+        const target = ctx.assets.find(a => a.id === config.incidentAsset) || getRiskiestAsset(ctx.assets);
+        const { state, events } = Oracle.stepOracle(ctx.oracle, {
+            index: ctx.period.index,
+            prices: ctx.prices,
+            config,
+            drawNoise: () => MonteCarlo.sampleShock({ type: 'normal', mean: 0, sd: config.noise }, rng),
+            target: target.id
+        });
+        ctx.oracle = state;
+        ctx.oracleEvents = events.map(event => event.kind);
+        if (events.some(event => event.kind !== 'accepted')) ctx.activity.push('oracle');
+
+        const price = (id, value) => `${getAssetName(id, ctx.assets)} ${value.toFixed(3)}`;
+        const published = (at) => (at < ctx.period.index ? ` (published T+${at})` : '');
+        events.forEach(event => {
+            if (event.kind === 'outage') {
+                ctx.log('ORACLE', 'Oracle feed down: no reading published', { severity: 'warning' });
+            } else if (event.kind === 'manipulated') {
+                ctx.log('ORACLE', `Oracle manipulation: ${getAssetName(event.asset, ctx.assets)} reading pushed ${event.move > 0 ? '+' : ''}${event.move}% to ${event.price.toFixed(3)}`,
+                    { assets: [event.asset], severity: 'warning' });
+            } else if (event.kind === 'accepted') {
+                const ids = Object.keys(event.changes);
+                const text = ids.map(id => {
+                    const move = Number(event.changes[id].toFixed(1));
+                    return `${price(id, state.prices[id])} (${move > 0 ? '+' : ''}${move.toFixed(1)}%)`;
+                }).join(', ');
+                ctx.log('ORACLE', `Oracle update${published(event.publishedAt)}: ${text}`, { assets: ids });
+            } else if (event.kind === 'reanchored') {
+                ctx.log('ORACLE', `Circuit breaker reset: oracle re-anchored at the reading${published(event.publishedAt)}, checks resume`, { severity: 'warning' });
+            } else if (event.kind === 'rejected') {
+                ctx.log('ORACLE', `Oracle update rejected${published(event.publishedAt)}: ${price(event.asset, event.price)} is ${event.deviation.toFixed(1)}% from ${event.previous.toFixed(3)} (max deviation ${config.maxDeviation}%)`,
+                    { assets: [event.asset], severity: 'warning' });
+            } else if (event.kind === 'tripped') {
+                ctx.log('ORACLE', `Circuit breaker tripped after ${event.rejections} rejected update${event.rejections === 1 ? '' : 's'}: checks halted until T+${event.until}`,
+                    { severity: 'critical' });
+            } else if (event.kind === 'stale') {
+                ctx.log('ORACLE', `Oracle stale: last update T+${state.updatedAt}, ${event.age} periods old (heartbeat ${config.heartbeat})`, { severity: 'warning' });
+            }
+        });
+    }
+
+    // Evaluate every `when` rule and log its outcome clause by clause, then the trades it made.
+    // A stale or halted oracle pauses the checks: acting on prices nobody trusts is worse than waiting.
+    function applyPolicyCheckEvent(portfolio, ctx) {
+        if (ctx.oracle && ctx.oracle.status !== 'live') {
+            const reason = ctx.oracle.status === 'halted'
+                ? `circuit breaker open until T+${ctx.oracle.haltedUntil}`
+                : `oracle stale since T+${ctx.oracle.updatedAt}`;
+            ctx.log('POLICY_CHECK', `Checks paused: ${reason}, no rules evaluated`, { severity: 'warning' });
+            return portfolio;
+        }
+        const total = getTotalValue(portfolio);
+        let { portfolio: p, results } = Policy.runPolicies(ctx.program, { type: 'when' }, portfolio, ctx.env);
+
+        if (results.length === 0 && ctx.period.step) {
+            ctx.log('POLICY_CHECK', 'Policy check: no "when" rules defined, nothing to evaluate');
+        }
+        results.forEach(r => {
+            const check = { policy: r.policy, clauses: r.clauses };
+            if (r.deferred) {
+                ctx.log('POLICY_CHECK', `Check "${r.policy}" passed: ${r.explanation}`, check);
+                queueProposal(r, ctx);
+                return;
+            }
+            const principal = settleDistribution(r, ctx);
+            if (!r.matched) {
+                ctx.log('POLICY_CHECK', `Check "${r.policy}" failed: ${r.explanation}, no action needed`, check);
+            } else if (r.cooling) {
+                ctx.log('POLICY_CHECK', `Check "${r.policy}" passed: ${r.explanation}, cooling down until T+${r.readyAt}, no action taken`, check);
+            } else {
+                ctx.log('POLICY_CHECK', `Check "${r.policy}" passed: ${r.explanation}`, check);
+                if (!logDistribution(r, principal, total, ctx)) {
+                    if (r.trades.length > 0) {
+                        ctx.activity.push('rebalance');
+                        ctx.log('TRADE', `Rebalance triggered by "${r.policy}": ${describeTrades(r.trades, ctx.assets)}`, tradeDetails(r.trades, r.policy));
+                        logTradeWeights(r.trades, r.policy, ctx);
+                    } else {
+                        ctx.log('POLICY_CHECK', `Rebalance triggered by "${r.policy}": nothing left to trade`, { policy: r.policy });
+                    }
+                }
+            }
+            p = chargeTradingCosts(p, r.trades, r.policy, ctx);
+        });
+        return p;
+    }
+
+    // Fire the `at every <tag>` policies for each tag the period carries
+    function applyScheduledPolicies(portfolio, ctx) {
+        let p = portfolio;
+
+        ctx.period.tags.forEach(schedule => {
+            const total = getTotalValue(p);
+            const outcome = Policy.runPolicies(ctx.program, { type: 'every', schedule }, p, ctx.env);
+            p = outcome.portfolio;
+
+            if (outcome.results.length === 0 && ctx.period.step && schedule !== 'period') {
+                ctx.log('POLICY_CHECK', `${SCHEDULE_TAGS[schedule]}: no "at every ${schedule}" policies scheduled`);
+            }
+            outcome.results.forEach(r => {
+                if (r.deferred) {
+                    queueProposal(r, ctx);
+                    return;
+                }
+                const principal = settleDistribution(r, ctx);
+                if (!logDistribution(r, principal, total, ctx)) {
+                    if (r.trades.length > 0) ctx.activity.push('rebalance');
+                    ctx.log('TRADE', `Scheduled "${r.policy}" ran: ${describeTrades(r.trades, ctx.assets)}`, tradeDetails(r.trades, r.policy));
+                    logTradeWeights(r.trades, r.policy, ctx);
+                }
+                p = chargeTradingCosts(p, r.trades, r.policy, ctx);
+            });
+        });
+        return p;
+    }
+
+    // Log a rule's distribution, with a warning for any part paid out of principal.
+    // total is the treasury before the rule ran. Returns false when the rule distributed nothing.
+    function logDistribution(r, principal, total, ctx) {
+        // Short of the request: the accrued yield ran out, or frozen assets held the rest
+        const limit = !ctx.params.allowPrincipalDip && ctx.accruedYield < 1 ? 'accrued yield' : 'what unfrozen assets hold';
+        if (r.distributed > 0) {
+            const pct = total > 0 ? (r.distributed / total) * 100 : 0;
+            const capped = r.distributed < r.requested - 1
+                ? `; $${(r.requested / 1000).toFixed(0)}k requested, capped at ${limit}`
+                : '';
+            ctx.activity.push('distribution');
+            ctx.log('DISTRIBUTION', `Distribution ("${r.policy}"): Paid out $${(r.distributed / 1000).toFixed(0)}k (${Number(pct.toFixed(1))}%) yield${capped}`,
+                { ...tradeDetails(r.trades, r.policy), amount: r.distributed });
+            if (principal > 0) {
+                ctx.log('DISTRIBUTION', `Warning: "${r.policy}" paid $${(principal / 1000).toFixed(0)}k out of principal, beyond the $${((r.distributed - principal) / 1000).toFixed(0)}k of accrued yield`,
+                    { amount: principal, policy: r.policy, severity: 'warning' });
+            }
+            return true;
+        }
+        if (r.requested > 0) {
+            ctx.log('DISTRIBUTION', `Distribution ("${r.policy}"): Nothing paid, ${limit === 'accrued yield' ? 'no accrued yield to distribute' : 'every asset that could pay is frozen'} ($${(r.requested / 1000).toFixed(0)}k requested)`,
+                { amount: 0, policy: r.policy });
+            return true;
+        }
+        return false;
+    }
+
+    // A distribution settles holder claims and spends accrued yield first. It is split
+    // pro rata across the holder registry. Returns the part paid out of principal.
+    function settleDistribution(result, ctx) {
+        const fromYield = Math.min(result.distributed, ctx.accruedYield);
+        ctx.accruedYield -= fromYield;
+        ctx.distributed += result.distributed;
+        Holders.allocateDistribution(result.distributed, ctx.holders.registry, ctx.period.index, result.policy)
+            .forEach(grant => ctx.grants.push(Object.freeze(grant)));
+        ctx.liabilities = Math.max(0, ctx.liabilities - result.distributed);
+        return result.distributed - fromYield;
+    }
+
+    // Vesting releases and holder claims only move money between the escrow and holders.
+    // Claims left past the window come back to the most liquid asset.
+    function applyHolderLedger(portfolio, ctx) {
+        const config = ctx.holders;
+        if (ctx.grants.length === 0 || (config.vestingPeriods === 0 && config.claimWindow === 0)) return portfolio;
+        const flows = Holders.getLedgerFlows(ctx.grants, ctx.period.index, config);
+        const money = (v) => `$${(v / 1000).toFixed(1)}k`;
+        const names = (addresses) => {
+            const labels = addresses.map(address => (config.registry.find(h => h.address === address) || { label: address }).label);
+            return labels.length > 3 ? `${labels.slice(0, 3).join(', ')} and ${labels.length - 3} more` : labels.join(', ');
+        };
+
+        const parts = [];
+        if (config.vestingPeriods > 0 && flows.vested > 0.5) parts.push(`${money(flows.vested)} vested`);
+        if (config.claimWindow > 0 && flows.claimed > 0.5) parts.push(`${money(flows.claimed)} claimed by ${names(flows.claimants)}`);
+        if (parts.length > 0) ctx.log('DISTRIBUTION', `Holder payouts: ${parts.join(', ')}`, { amount: flows.claimed });
+
+        if (flows.returned <= 0.5) return portfolio;
+        const p = { ...portfolio };
+        const fundingAsset = getPayoutOrder(ctx.assets)[0] || ctx.assets[0].id;
+        p[fundingAsset] = (p[fundingAsset] || 0) + flows.returned;
+        ctx.log('DISTRIBUTION', `Unclaimed payouts returned to treasury: ${money(flows.returned)} from ${names(flows.lapsed)} after the ${config.claimWindow}-period claim window`,
+            { amount: flows.returned, assets: [fundingAsset] });
+        return p;
+    }
+
+    // --- Governance ---
+
+    // An action over the threshold becomes a proposal. A rule that fires again while its
+    // last proposal is still waiting adds nothing: signers are already looking at it.
+    function queueProposal(result, ctx) {
+        const config = ctx.governance;
+        const size = Governance.getActionSize(result.trades);
+        const waiting = ctx.proposals.find(proposal => proposal.status === 'queued' && proposal.rule === result.rule);
+        if (waiting) {
+            ctx.log('GOVERNANCE', `"${result.policy}" would act again ($${(size / 1000).toFixed(0)}k), but proposal #${waiting.id} is still waiting for approval`,
+                { amount: size, policy: result.policy });
+            return;
+        }
+        const proposal = Governance.createProposal({
+            id: ctx.proposals.length + 1,
+            rule: result.rule,
+            policy: result.policy,
+            trades: result.trades,
+            distributed: result.distributed,
+            index: ctx.period.index,
+            prices: ctx.prices
+        }, config);
+        ctx.proposals.push(proposal);
+        ctx.proposalEvents.push({ kind: 'queued', id: proposal.id });
+        ctx.activity.push('proposal');
+        const wait = proposal.mode === 'timelock'
+            ? `timelocked until T+${proposal.readyAt}`
+            : `needs ${proposal.quorum} of ${proposal.signers} signatures by T+${proposal.expiresAt}`;
+        ctx.log('GOVERNANCE', `Proposal #${proposal.id} queued: "${result.policy}" to ${describePlannedTrades(result.trades, ctx.assets)} ($${(size / 1000).toFixed(0)}k, over the $${(config.threshold / 1000).toFixed(0)}k threshold); ${wait}`,
+            { ...tradeDetails(result.trades, result.policy), amount: size });
+    }
+
+    // Signers sign (or a timelock runs out) before this period's checks, so an approved
+    // proposal executes on the same prices the checks then see
+    function applyGovernance(portfolio, ctx) {
+        if (!ctx.proposals.some(proposal => proposal.status === 'queued')) return portfolio;
+        const config = ctx.governance;
+        const rng = MonteCarlo.createPathRng(config.seed, ctx.period.index);
+        const { proposals, events } = Governance.stepProposals(ctx.proposals, { index: ctx.period.index, config, random: rng });
+        ctx.proposals = proposals;
+
+        let p = portfolio;
+        events.forEach(event => {
+            const i = ctx.proposals.findIndex(proposal => proposal.id === event.id);
+            const proposal = ctx.proposals[i];
+            if (event.kind === 'signed') {
+                if (proposal.status === 'queued') {
+                    ctx.log('GOVERNANCE', `Proposal #${proposal.id}: ${event.added} signature${event.added === 1 ? '' : 's'}, ${event.signatures} of ${proposal.quorum} needed`,
+                        { policy: proposal.policy });
+                }
+            } else if (event.kind === 'expired') {
+                ctx.proposalEvents.push({ kind: 'expired', id: proposal.id });
+                ctx.log('GOVERNANCE', `Proposal #${proposal.id} expired with ${proposal.signatures} of ${proposal.quorum} signatures: "${proposal.policy}" ($${(proposal.size / 1000).toFixed(0)}k, queued T+${proposal.proposedAt}) never executed`,
+                    { amount: proposal.size, policy: proposal.policy, severity: 'warning' });
+            } else if (event.kind === 'approved') {
+                const outcome = executeProposal(p, proposal, ctx);
+                ctx.proposals[i] = { ...proposal, status: 'executed', resolvedAt: ctx.period.index, executed: Governance.getActionSize(outcome.trades) };
+                ctx.proposalEvents.push({ kind: 'executed', id: proposal.id });
+                p = outcome.portfolio;
+            }
+        });
+        return p;
+    }
+
+    // The proposal executes the quantities it was approved for: each sale is scaled by how far
+    // its asset's price moved while it waited, and buys share whatever the sales raised.
+    // Frozen assets are skipped. A distribution pays the approved amount from the most liquid assets.
+    function executeProposal(portfolio, proposal, ctx) {
+        let p = { ...portfolio };
+        const frozen = ctx.assets.filter(a => a.frozen).map(a => a.id);
+        const fundingAsset = getPayoutOrder(ctx.assets)[0];
+        const moved = (id) => (proposal.prices[id] > 0 ? ctx.prices[id] / proposal.prices[id] : 1);
+        const trades = [];
+
+        let proceeds = 0;
+        proposal.trades.filter(t => t.side === 'sell' && !frozen.includes(t.asset)).forEach(t => {
+            const sold = Math.min(p[t.asset] || 0, t.amount * moved(t.asset));
+            if (sold <= 0) return;
+            p[t.asset] -= sold;
+            proceeds += sold;
+            trades.push({ side: 'sell', asset: t.asset, amount: sold });
+        });
+
+        const buys = proposal.trades.filter(t => t.side === 'buy' && !frozen.includes(t.asset));
+        const planned = buys.reduce((sum, t) => sum + t.amount, 0);
+        if (planned > 0) {
+            // Buys without sales were funded from the funding asset, as in the policy itself
+            const fromFunding = !proposal.trades.some(t => t.side === 'sell');
+            const budget = fromFunding ? Math.min(planned, p[fundingAsset] || 0) : proceeds;
+            if (fromFunding) p[fundingAsset] -= budget;
+            else proceeds = 0;
+            buys.forEach(t => {
+                const spend = budget * (t.amount / planned);
+                p[t.asset] = (p[t.asset] || 0) + spend;
+                if (spend > 0) trades.push({ side: 'buy', asset: t.asset, amount: spend });
+            });
+        }
+        if (proceeds > 0) p[fundingAsset] = (p[fundingAsset] || 0) + proceeds;
+
+        let distributed = 0;
+        if (proposal.distributed > 0) {
+            const payout = withdrawLiquid(p, proposal.distributed, ctx.assets);
+            p = payout.portfolio;
+            distributed = payout.paid;
+            trades.push(...payout.trades);
+            settleDistribution({ distributed, policy: proposal.policy }, ctx);
+            ctx.activity.push('distribution');
+        }
+        if (trades.some(t => t.side !== 'pay')) ctx.activity.push('rebalance');
+
+        const moves = proposal.trades
+            .map(t => t.asset)
+            .filter((id, i, ids) => ids.indexOf(id) === i && Math.abs(moved(id) - 1) >= 0.0005)
+            .map(id => `${getAssetName(id, ctx.assets)} ${moved(id) > 1 ? '+' : ''}${((moved(id) - 1) * 100).toFixed(1)}%`);
+        const signed = proposal.mode === 'multisig' ? ` with ${proposal.signatures} of ${proposal.signers} signatures` : ' after its timelock';
+        ctx.log('GOVERNANCE', `Proposal #${proposal.id} approved${signed} and executed (queued T+${proposal.proposedAt} as $${(proposal.size / 1000).toFixed(0)}k): ${describeTrades(trades, ctx.assets)}`
+            + (moves.length ? `. While it waited: ${moves.join(', ')}` : ''),
+        { ...tradeDetails(trades, proposal.policy), amount: distributed || Governance.getActionSize(trades) });
+        return { portfolio: chargeTradingCosts(p, trades, proposal.policy, ctx), trades, distributed };
+    }
+
+    // One record per rebalancer trade: "Sell $81k Corp Bonds: 16.6% → 8.3% (target 20%)"
+    function logTradeWeights(trades, policy, ctx) {
+        if (!ctx.period.step) return;
+        trades.filter(t => t.fromWeight !== undefined).forEach(t => {
+            const side = t.side === 'sell' ? 'Sell' : 'Buy';
+            const target = t.targetWeight !== null ? ` (target ${Number(t.targetWeight.toFixed(1))}%)` : '';
+            ctx.log('TRADE', `${side} $${(t.amount / 1000).toFixed(0)}k ${getAssetName(t.asset, ctx.assets)}: ${t.fromWeight.toFixed(1)}% → ${t.toWeight.toFixed(1)}%${target}`,
+                { amount: t.amount, assets: [t.asset], policy });
+        });
+    }
+
+    // Total traded and the assets involved, for a log record
+    function tradeDetails(trades, policy) {
+        return {
+            amount: trades.filter(t => t.side !== 'buy').reduce((sum, t) => sum + t.amount, 0),
+            assets: trades.map(t => t.asset).filter((id, i, ids) => ids.indexOf(id) === i),
+            policy
+        };
+    }
+
+    // A story's redemption step: holders redeem the step's rate at once
+    function applyRedemptionEvent(portfolio, ctx) {
+        return applyRedemptions(portfolio, ctx, ctx.period.step.rate);
+    }
+
+    // Holders redeem a share of liabilities; each redeemed dollar is paid out of assets
+    function applyRedemptions(portfolio, ctx, rate, label = 'Redemption') {
+        const requested = ctx.liabilities * (rate / 100);
+        const { portfolio: p, trades, paid } = withdrawLiquid(portfolio, requested, ctx.assets);
+        const shortfall = requested - paid;
+
+        ctx.liabilities -= paid;
+        ctx.activity.push('redemption');
+        ctx.log('REDEMPTION', `${label}: Holders redeemed $${(paid / 1000).toFixed(0)}k (${Number(rate.toFixed(2))}% of liabilities). ${describeTrades(trades, ctx.assets)}`
+            + (shortfall >= 500 ? `. Short by $${(shortfall / 1000).toFixed(0)}k: the treasury ran out of assets` : ''),
+        { ...tradeDetails(trades, 'redemption'), amount: paid, severity: shortfall >= 500 ? 'critical' : 'info' });
+        return chargeTradingCosts(p, trades, 'redemption', ctx);
+    }
+
+    // Take value from the most liquid assets first, as far as the assets stretch.
+    // Pays holders (redemptions) and settles trading costs.
+    function withdrawLiquid(portfolio, amount, assets) {
+        const p = { ...portfolio };
+        const trades = [];
+        let remaining = amount;
+
+        getPayoutOrder(assets).forEach(id => {
+            const paid = Math.min(p[id] || 0, remaining);
+            if (paid > 0) {
+                p[id] -= paid;
+                remaining -= paid;
+                trades.push({ side: 'pay', asset: id, amount: paid });
+            }
+        });
+        return { portfolio: p, trades, paid: amount - remaining };
+    }
+
+    // --- Log Records ---
+
+    /**
+     * One structured log entry, written for a period.
+     *   details: { amount, assets, policy, severity, changes, clauses }
+     *     amount:   $ involved (loss, trade size, payout, cost), or null
+     *     assets:   asset ids involved
+     *     severity: one of LOG_SEVERITIES, 'info' by default
+     *     changes:  PARAM_CHANGE only, [{ param, from, to }]
+     *     clauses:  POLICY_CHECK only, [{ condition, values, passed }] per comparison
+     */
+    function createLogRecord(period, type, message, details = {}) {
+        return Object.freeze({
+            step: period.index,
+            label: period.label,
+            date: period.date ? period.date.toISOString().slice(0, 10) : null,
+            type,
+            severity: details.severity || 'info',
+            message,
+            amount: details.amount !== undefined ? details.amount : null,
+            assets: Object.freeze(details.assets || []),
+            policy: details.policy || null,
+            changes: details.changes || null,
+            clauses: details.clauses ? Object.freeze(details.clauses) : null
+        });
+    }
+
+    // The record as one line of text: "[T+2] Market shock: ..."
+    function formatLogRecord(record) {
+        return `[${record.label}] ${record.message}`;
+    }
+
+    // --- Trading Costs ---
+
+    const NO_COSTS = { fee: 0, spread: 0, slippage: 0, total: 0 };
+
+    // Cost of one trade in $: a flat fee, half the bid/ask spread, and slippage that
+    // grows linearly with size (impactBps per IMPACT_SIZE traded)
+    function getTradeCost(trade, assets) {
+        const asset = assets.find(a => a.id === trade.asset) || {};
+        const bps = (value) => trade.amount * ((value || 0) / 10000);
+        return {
+            fee: bps(asset.feeBps),
+            spread: bps(asset.spreadBps) / 2,
+            slippage: bps(asset.impactBps) * (trade.amount / IMPACT_SIZE)
+        };
+    }
+
+    // Record trades with their costs on the period and settle the costs from the most liquid assets
+    function chargeTradingCosts(portfolio, trades, source, ctx) {
+        const costs = { ...NO_COSTS };
+        trades.forEach(t => {
+            const cost = getTradeCost(t, ctx.assets);
+            const total = cost.fee + cost.spread + cost.slippage;
+            Object.keys(cost).forEach(k => { costs[k] += cost[k]; });
+            costs.total += total;
+            ctx.trades.push({ ...t, policy: source, cost: total });
+        });
+        if (costs.total <= 0) return portfolio;
+
+        Object.keys(costs).forEach(k => { ctx.costs[k] += costs[k]; });
+        if (costs.total >= 0.5) {
+            ctx.log('TRADE', `Trading costs: ${formatCost(costs.total)} (fees ${formatCost(costs.fee)}, spread ${formatCost(costs.spread)}, slippage ${formatCost(costs.slippage)})`,
+                { ...tradeDetails(trades, source), amount: costs.total });
+        }
+        return withdrawLiquid(portfolio, costs.total, ctx.assets).portfolio;
+    }
+
+    // Costs are small next to positions, so show dollars below $1k: "$338", "$1.2k"
+    function formatCost(value) {
+        return value >= 1000 ? `$${(value / 1000).toFixed(1)}k` : `$${value.toFixed(0)}`;
+    }
+
+    // --- Policy Program ---
+
+    // The default guardrail rebalances with the selected strategy. The legacy strategy sells
+    // the riskiest asset into the safest yield-bearing term asset.
+    function buildPolicySource(params) {
+        return `policy: "reserve_guardrail" {
+    shock_magnitude = ${params.shockMagnitude}%
+    when reserve_ratio < ${params.targetReserveRatio} {
+        rebalance
+    }
+}
+
+policy: "monthly_yield" {
+    at every month_end {
+        distribute ${params.yieldDistribution}% to holders
+    }
+}
+`;
+    }
+
+    // Parse + validate against the engine's vocabulary and an asset registry: { program, errors }
+    function compilePolicySource(source, assets = DEFAULT_ASSETS) {
+        return Policy.compilePolicy(source, getPolicyVocabulary(assets));
+    }
+
+    // Params overridden by any `name = value` assignments in the program
+    function resolveEffectiveParams(params, program) {
+        const effective = { ...params };
+        if (program) {
+            const assigned = Policy.getPolicyAssignments(program);
+            Object.keys(assigned).forEach(name => {
+                effective[POLICY_PARAMS[name]] = assigned[name];
+            });
+        }
+        return effective;
+    }
+
+    // ctx is read at resolve time, so conditions see liabilities as they change within the period
+    function getPolicyEnv(ctx) {
+        const payoutOrder = getPayoutOrder(ctx.assets);
+        const tradable = ctx.assets.filter(a => !a.frozen);
+        const riskiest = getRiskiestAsset(tradable.length ? tradable : ctx.assets);
+        const haven = getSafeHavenAsset(tradable, riskiest);
+        return {
+            // Conditions read the portfolio at oracle prices; trades still execute at market
+            resolve: (name, p, arg) => {
+                const view = ctx.oracle ? Oracle.markToOracle(p, ctx.prices, ctx.oracle.prices) : p;
+                return arg ? POLICY_ASSET_VARIABLES[name](view, ctx, arg) : POLICY_VARIABLES[name](view, ctx);
+            },
+            fundingAsset: payoutOrder[0],
+            payoutOrder,
+            rebalance: (p, strategy) => Rebalance.planRebalance(p, ctx.assets, {
+                strategy: strategy || ctx.params.rebalanceStrategy,
+                minTrade: ctx.params.minTradeSize,
+                tiers: LIQUIDITY_TIERS,
+                fundingAsset: payoutOrder[0],
+                legacyPair: { sell: riskiest.id, buy: haven ? haven.id : null }
+            }),
+            // Without the principal option, holders are paid out of accrued yield only
+            distributionLimit: ctx.params.allowPrincipalDip ? null : () => ctx.accruedYield,
+            cooldowns: ctx.cooldowns,
+            periodIndex: ctx.period.index,
+            // Large actions wait for approval instead of executing (see governance.js)
+            defer: (result) => Governance.needsApproval(result.trades, ctx.governance),
+            frozen: ctx.assets.filter(a => a.frozen).map(a => a.id)
+        };
+    }
+
+    // "Sold $80k Corp Bonds, bought $80k T-Bills"
+    function describeTrades(trades, assets) {
+        if (trades.length === 0) return 'Nothing to trade';
+        const text = trades.map(t => {
+            const amount = `$${(t.amount / 1000).toFixed(0)}k`;
+            const name = getAssetName(t.asset, assets);
+            if (t.side === 'sell') return `sold ${amount} ${name}`;
+            if (t.side === 'buy') return `bought ${amount} ${name}`;
+            return `paid ${amount} from ${name}`;
+        }).join(', ');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // "sell $80k Corp Bonds, buy $80k T-Bills", for actions not taken yet
+    function describePlannedTrades(trades, assets) {
+        return trades.map(t => {
+            const amount = `$${(t.amount / 1000).toFixed(0)}k`;
+            const name = getAssetName(t.asset, assets);
+            if (t.side === 'sell') return `sell ${amount} ${name}`;
+            if (t.side === 'buy') return `buy ${amount} ${name}`;
+            return `pay ${amount} from ${name}`;
+        }).join(', ');
+    }
+
+    // --- Monte Carlo ---
+
+    // One silent path through the same period logic the story uses, with random shocks
+    function simulatePath(params, portfolio, options) {
+        const sim = createSimulation(params, portfolio, options);
+        let worstRatio = sim.snapshot().reserveRatio;
+        let snapshot;
+        while ((snapshot = sim.step())) {
+            worstRatio = Math.min(worstRatio, snapshot.reserveRatio);
+        }
+        return { finalValue: sim.snapshot().totalValue, worstRatio };
+    }
+
+    /**
+     * Paths [start, start + count) of a seeded Monte Carlo run. Each path has its own
+     * random stream, so batching does not change results.
+     *   config: { params, portfolio, assets, liabilities, horizon, oracle, holders, governance, policy, distributions, seed }
+     * Assets without a distribution do not move.
+     */
+    function runMonteCarloPaths(config, start, count) {
+        const periods = buildPeriods({ ...DEFAULT_HORIZON, ...config.horizon });
+        // Compile once rather than once per path
+        const assets = config.assets || DEFAULT_ASSETS;
+        const policy = typeof config.policy === 'string' ? compilePolicySource(config.policy, assets).program : config.policy;
+        const results = [];
+
+        for (let i = start; i < start + count; i++) {
+            const rng = MonteCarlo.createPathRng(config.seed, i);
+            const drawShocks = () => {
+                const moves = {};
+                assets.forEach(asset => {
+                    const dist = config.distributions[asset.id];
+                    moves[asset.id] = dist ? MonteCarlo.sampleShock(dist, rng) : 0;
+                });
+                return moves;
+            };
+            results.push(simulatePath(config.params, config.portfolio, {
+                assets,
+                horizon: config.horizon,
+                liabilities: config.liabilities,
+                oracle: config.oracle,
+                holders: config.holders,
+                governance: config.governance,
+                policy,
+                periods,
+                drawShocks,
+                onLog: null
+            }));
+        }
+        return results;
+    }
+
+    // --- Calculation Helpers ---
+
+    function getAssetName(id, assets = DEFAULT_ASSETS) {
+        const asset = assets.find(a => a.id === id);
+        return asset ? asset.name : id;
+    }
+
+    // Most liquid first; ties go to the lower risk weight
+    function getPayoutOrder(assets) {
+        return assets.filter(a => !a.frozen)
+            .sort((a, b) => (LIQUIDITY_TIERS[a.liquidity].rank - LIQUIDITY_TIERS[b.liquidity].rank) || (a.riskWeight - b.riskWeight))
+            .map(a => a.id);
+    }
+
+    // The asset the selected scenario hits: shockAsset when it is in the registry, otherwise the
+    // scenario's own pick. null for scenarios that hit liabilities instead.
+    function getShockAsset(params, assets) {
+        const scenario = SHOCK_SCENARIOS[params.shockScenario] || SHOCK_SCENARIOS.market_drop;
+        if (!scenario.pickAsset) return null;
+        return assets.find(a => a.id === params.shockAsset) || scenario.pickAsset(assets);
+    }
+
+    // The asset a story's oracle update moves: the step's own, else the one the shock scenario
+    // hits, else the riskiest (bank runs hit no asset)
+    function getPriceUpdateAsset(step, params, assets) {
+        return assets.find(a => a.id === step.asset) || getShockAsset(params, assets) || getRiskiestAsset(assets);
+    }
+
+    // Lowest-risk instant-liquidity asset that earns a yield (USDC in the default registry)
+    function getStablecoinAsset(assets) {
+        return assets
+            .filter(a => LIQUIDITY_TIERS[a.liquidity].rank === 0 && a.yield > 0)
+            .reduce((min, a) => (!min || a.riskWeight < min.riskWeight ? a : min), null) || assets[0];
+    }
+
+    function getRiskiestAsset(assets) {
+        return assets.reduce((max, a) => (a.riskWeight > max.riskWeight ? a : max), assets[0]);
+    }
+
+    // Lowest-risk asset that earns a yield outside the instant-liquidity payout buffer, other than `exclude`
+    function getSafeHavenAsset(assets, exclude) {
+        return assets
+            .filter(a => a !== exclude && a.yield > 0 && LIQUIDITY_TIERS[a.liquidity].rank > 0)
+            .reduce((min, a) => (!min || a.riskWeight < min.riskWeight ? a : min), null);
+    }
+
+    function getTotalValue(p) {
+        return Object.keys(p).reduce((sum, id) => sum + p[id], 0);
+    }
+
+    // Share of total value held in one asset, in %
+    function getAssetWeight(p, id) {
+        const total = getTotalValue(p);
+        return total > 0 ? ((p[id] || 0) / total) * 100 : 0;
+    }
+
+    // % below the highest total value seen so far (the current value counts as a new peak)
+    function getDrawdown(p, peakValue) {
+        const total = getTotalValue(p);
+        const peak = Math.max(peakValue || 0, total);
+        return peak > 0 ? ((peak - total) / peak) * 100 : 0;
+    }
+
+    // Assets over holder liabilities. With nothing owed the treasury is fully covered.
+    function getReserveRatio(p, liabilities) {
+        if (liabilities <= 0) return Infinity;
+        return (getTotalValue(p) / liabilities) * 100;
+    }
+
+    // Score and per-asset breakdown from the risk model the params select (see risk.js)
+    function assessRisk(p, params, assets = DEFAULT_ASSETS, liabilities = DEFAULT_LIABILITIES.amount) {
+        return Risk.assessRisk(p, assets, {
+            model: params.riskModel,
+            shockMagnitude: params.shockMagnitude,
+            liabilities,
+            tiers: LIQUIDITY_TIERS
+        });
+    }
+
+    function calculateRiskScore(p, params, assets = DEFAULT_ASSETS, liabilities = DEFAULT_LIABILITIES.amount) {
+        return assessRisk(p, params, assets, liabilities).score;
+    }
+
+    return {
+        ASSET_ID_PATTERN: Policy.ASSET_ID_PATTERN,
+        DEFAULT_ASSETS,
+        LIQUIDITY_TIERS,
+        REBALANCE_STRATEGIES,
+        RISK_MODELS,
+        SHOCK_SCENARIOS,
+        HORIZONS,
+        EVENT_TYPES,
+        SCHEDULE_TAGS,
+        LOG_TYPES,
+        LOG_SEVERITIES,
+        DEFAULT_PARAMS,
+        PARAM_LIMITS,
+        DEFAULT_PORTFOLIO,
+        DEFAULT_LIABILITIES,
+        DEFAULT_HORIZON,
+        createSimulation,
+        createLogRecord,
+        formatLogRecord,
+        buildPeriods,
+        buildPolicySource,
+        compilePolicySource,
+        resolveEffectiveParams,
+        runMonteCarloPaths,
+        getAssetName,
+        getPayoutOrder,
+        getShockAsset,
+        getPriceUpdateAsset,
+        withFrozenAssets,
+        getTradeCost,
+        formatCost,
+        getTotalValue,
+        getReserveRatio,
+        assessRisk,
+        calculateRiskScore
+    };
+}));
@@ -0,0 +1,175 @@
+/**
+ * Autonomous Finance Storyboard (RialoFlow)
+ * Governance: an approval gate between policy decisions and their execution
+ *
+ * With governance on, any policy action that moves at least the threshold is not
+ * executed when its rule fires. It is queued as a proposal instead: under a multi-sig
+ * it waits for M of N simulated signers (and expires if they are too slow); under a
+ * timelock it waits a fixed number of periods. The market keeps moving meanwhile, and
+ * the approved proposal executes the same quantities at the prices of the day.
+ * engine.js queues proposals and executes the approved ones; this module holds the
+ * settings and each proposal's lifecycle.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./limits.js'));
+    } else {
+        root.RialoGovernance = factory(root.RialoLimits);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Limits) {
+    'use strict';
+
+    // --- Configuration ---
+
+    // The default is Rialo's autonomous execution: every action runs in the period its rule fires
+    const DEFAULT_GOVERNANCE = {
+        mode: 'off', // GOVERNANCE_MODES key
+        threshold: 50000, // Actions moving at least this many dollars need approval
+        signers: 5, // N: signers on the multi-sig
+        quorum: 3, // M: signatures a proposal needs
+        signChance: 50, // % chance each signer who has not signed yet signs in a period
+        seed: 11, // Signatures are seeded per period, so reruns and rewinds sign the same way
+        expiry: 3, // Periods a multi-sig proposal can collect signatures before it expires
+        timelock: 2 // Periods a timelocked proposal waits before it executes
+    };
+
+    const GOVERNANCE_MODES = {
+        off: { label: 'Autonomous', desc: 'Actions execute in the period their rule fires.' },
+        multisig: { label: 'Multi-sig', desc: 'Large actions wait for M of N signers, and expire if they do not sign in time.' },
+        timelock: { label: 'Timelock', desc: 'Large actions wait a fixed number of periods, then execute.' }
+    };
+
+    // Limits for the numeric settings: [min, max, whole number]
+    const GOVERNANCE_LIMITS = {
+        threshold: [0, 1e12, false],
+        signers: [1, 50, true],
+        quorum: [1, 50, true],
+        signChance: [0, 100, false],
+        seed: [-Infinity, Infinity, false],
+        expiry: [1, 730, true],
+        timelock: [1, 730, true]
+    };
+
+    /**
+     * Check and normalize untrusted governance settings (a scenario file, a link).
+     * Missing keys use DEFAULT_GOVERNANCE. Returns { governance, errors }; governance is null when there are errors.
+     */
+    function normalizeGovernanceConfig(data) {
+        const errors = [];
+        const governance = { ...DEFAULT_GOVERNANCE };
+        const source = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+
+        if (source.mode !== undefined) {
+            if (!GOVERNANCE_MODES[source.mode]) errors.push(`unknown mode "${source.mode}"`);
+            else governance.mode = source.mode;
+        }
+        errors.push(...Limits.applyLimits(source, GOVERNANCE_LIMITS, governance));
+        if (errors.length === 0 && governance.quorum > governance.signers) {
+            errors.push(`quorum (${governance.quorum}) cannot be more than the ${governance.signers} signers`);
+        }
+        return { governance: errors.length ? null : governance, errors };
+    }
+
+    // --- Proposals ---
+
+    // Dollars an action moves: what it sells or pays out, or what it buys when it only buys
+    function getActionSize(trades) {
+        const out = trades.filter(t => t.side !== 'buy').reduce((sum, t) => sum + t.amount, 0);
+        const bought = trades.filter(t => t.side === 'buy').reduce((sum, t) => sum + t.amount, 0);
+        return Math.max(out, bought);
+    }
+
+    function needsApproval(trades, config) {
+        return config.mode !== 'off' && trades.length > 0 && getActionSize(trades) >= config.threshold;
+    }
+
+    /**
+     * A queued proposal for the action a rule would have taken.
+     *   action: { id, rule, policy, trades, distributed, index, prices }
+     * prices are the market prices the action was sized at; execution scales each sale by how
+     * far its asset has moved since. Status goes 'queued' -> 'executed' | 'expired'.
+     */
+    function createProposal(action, config) {
+        return {
+            id: action.id,
+            rule: action.rule,
+            policy: action.policy,
+            trades: action.trades.map(t => ({ side: t.side, asset: t.asset, amount: t.amount })),
+            distributed: action.distributed,
+            size: getActionSize(action.trades),
+            prices: { ...action.prices },
+            proposedAt: action.index,
+            mode: config.mode,
+            signatures: 0,
+            signers: config.mode === 'multisig' ? config.signers : null,
+            quorum: config.mode === 'multisig' ? config.quorum : null,
+            readyAt: config.mode === 'timelock' ? action.index + config.timelock : null,
+            expiresAt: config.mode === 'multisig' ? action.index + config.expiry : null,
+            status: 'queued',
+            resolvedAt: null
+        };
+    }
+
+    /**
+     * Advance every queued proposal by one period. Signing starts the period after a proposal
+     * is queued, so even a unanimous multi-sig costs a period. Signers stop once the quorum is met.
+     *   input: { index, config, random } where random() draws from [0, 1) for each signer
+     * Returns { proposals, events }. Events, in order of the proposals:
+     *   { kind: 'signed', id, signatures, added }
+     *   { kind: 'approved', id }   the host executes it this period
+     *   { kind: 'expired', id }
+     */
+    function stepProposals(proposals, input) {
+        const { index, config } = input;
+        const events = [];
+        const next = proposals.map(proposal => {
+            if (proposal.status !== 'queued' || proposal.proposedAt >= index) return proposal;
+            const updated = { ...proposal };
+
+            if (proposal.mode === 'timelock') {
+                if (index >= proposal.readyAt) {
+                    updated.status = 'approved';
+                    events.push({ kind: 'approved', id: proposal.id });
+                }
+                return updated;
+            }
+
+            let added = 0;
+            for (let i = proposal.signatures; i < proposal.signers; i++) {
+                if (input.random() * 100 < config.signChance) added++;
+            }
+            added = Math.min(added, proposal.quorum - proposal.signatures);
+            updated.signatures = proposal.signatures + added;
+            if (added > 0) events.push({ kind: 'signed', id: proposal.id, signatures: updated.signatures, added });
+            if (updated.signatures >= proposal.quorum) {
+                updated.status = 'approved';
+                events.push({ kind: 'approved', id: proposal.id });
+            } else if (index >= proposal.expiresAt) {
+                updated.status = 'expired';
+                updated.resolvedAt = index;
+                events.push({ kind: 'expired', id: proposal.id });
+            }
+            return updated;
+        });
+        return { proposals: next, events };
+    }
+
+    // Counts by status, for summaries
+    function countProposals(proposals) {
+        const counts = { queued: 0, executed: 0, expired: 0 };
+        proposals.forEach(p => { if (counts[p.status] !== undefined) counts[p.status]++; });
+        return counts;
+    }
+
+    return {
+        DEFAULT_GOVERNANCE,
+        GOVERNANCE_MODES,
+        normalizeGovernanceConfig,
+        getActionSize,
+        needsApproval,
+        createProposal,
+        stepProposals,
+        countProposals
+    };
+}));
@@ -0,0 +1,279 @@
+/**
+ * Autonomous Finance Storyboard (RialoFlow)
+ * Holders: who distributions are paid to, and what each holder has received
+ *
+ * Every distribution is split pro rata by shares into one grant per holder. A grant
+ * can vest in equal tranches over several periods, and each released tranche can
+ * have to be claimed within a window. Holders claim a set number of periods after a
+ * tranche is released (or never); whatever is still unclaimed when the window closes
+ * goes back to the treasury. engine.js records the grants and settles the returns;
+ * everything else here is derived from the grant list, so a snapshot's grants are
+ * enough to rebuild the ledger at that step.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RialoHolders = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // --- Configuration ---
+
+    // The defaults pay every grant straight to the holders' wallets, so the treasury
+    // sees exactly the lump-sum payout it always did.
+    const DEFAULT_HOLDERS = {
+        registry: [
+            { address: '0x4e9ce36e442e55ecd9025b9a6e0d88485d628a67', label: 'Foundation multisig', shares: 400000, claimDelay: 0 },
+            { address: '0x2b5ad5c4795c026514f8317c7a215e218dccd6cf', label: 'Ecosystem fund', shares: 250000, claimDelay: 1 },
+            { address: '0x6813eb9362372eef6200f3b1dbc3f819671cba69', label: 'Early backers', shares: 200000, claimDelay: 0 },
+            { address: '0x1eff47bc3a10a45d4b230b5d10e37751fe6aa718', label: 'Community pool', shares: 100000, claimDelay: 2 },
+            { address: '0xe1ab8145f7e55dc933d51a18c793f901a3a0b276', label: 'Dormant wallet', shares: 50000, claimDelay: null }
+        ],
+        vestingPeriods: 0, // Each grant is released in this many equal tranches, one per period after it is paid (0: at once)
+        claimWindow: 0 // Periods a released tranche can be claimed before it returns to the treasury (0: no claim needed)
+    };
+
+    const MAX_HOLDERS = 1000;
+    const MAX_PERIODS = 730;
+
+    /**
+     * Check and normalize untrusted holder settings (a scenario file, a link).
+     * Missing keys use DEFAULT_HOLDERS. Returns { holders, errors }; holders is null when there are errors.
+     */
+    function normalizeHolderConfig(data) {
+        const errors = [];
+        const source = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+        const holders = { ...DEFAULT_HOLDERS };
+
+        ['vestingPeriods', 'claimWindow'].forEach(key => {
+            if (source[key] === undefined) return;
+            if (!Number.isInteger(source[key]) || source[key] < 0 || source[key] > MAX_PERIODS) {
+                errors.push(`${key} must be a whole number from 0 to ${MAX_PERIODS}`);
+            } else {
+                holders[key] = source[key];
+            }
+        });
+        if (source.registry !== undefined) {
+            const checked = normalizeRegistry(source.registry);
+            checked.errors.forEach(msg => errors.push(`registry: ${msg}`));
+            holders.registry = checked.registry;
+        }
+        return { holders: errors.length ? null : holders, errors };
+    }
+
+    // Rows of { address, label, shares, claimDelay }: { registry, errors }
+    function normalizeRegistry(rows) {
+        const errors = [];
+        if (!Array.isArray(rows)) return { registry: null, errors: ['expected a list of holders'] };
+        if (rows.length > MAX_HOLDERS) return { registry: null, errors: [`too many holders: ${rows.length} (at most ${MAX_HOLDERS})`] };
+
+        const seen = new Set();
+        const registry = [];
+        rows.forEach((row, i) => {
+            const at = `Row ${i + 1}`;
+            if (!row || typeof row !== 'object') {
+                errors.push(`${at}: expected an object with an address and shares`);
+                return;
+            }
+            const address = typeof row.address === 'string' ? row.address.trim() : '';
+            if (!address) {
+                errors.push(`${at}: address is missing`);
+                return;
+            }
+            if (seen.has(address.toLowerCase())) {
+                errors.push(`${at}: ${address} is listed twice`);
+                return;
+            }
+            seen.add(address.toLowerCase());
+            if (typeof row.shares !== 'number' || !Number.isFinite(row.shares) || row.shares < 0) {
+                errors.push(`${at}: shares for ${address} must be a number of 0 or more`);
+                return;
+            }
+            const claimDelay = row.claimDelay === undefined || row.claimDelay === null ? null : row.claimDelay;
+            if (claimDelay !== null && (!Number.isInteger(claimDelay) || claimDelay < 0 || claimDelay > MAX_PERIODS)) {
+                errors.push(`${at}: claim delay for ${address} must be a whole number from 0 to ${MAX_PERIODS}, or blank for never`);
+                return;
+            }
+            const label = typeof row.label === 'string' && row.label.trim() ? row.label.trim() : address;
+            registry.push({ address, label, shares: row.shares, claimDelay });
+        });
+        return { registry: errors.length ? null : registry, errors };
+    }
+
+    // --- Import ---
+
+    // Header names each column may go by, lower case
+    const CSV_COLUMNS = {
+        address: ['address', 'wallet', 'holder', 'id'],
+        label: ['label', 'name'],
+        shares: ['shares', 'balance', 'units'],
+        claimDelay: ['claim_delay', 'claimdelay', 'claims_after', 'claim delay']
+    };
+
+    /**
+     * Read a holder registry from CSV: a header row, then one row per holder.
+     * address and shares are required; label defaults to the address and a blank
+     * claim delay means the holder never claims.
+     * Returns { registry, errors, warnings }; registry is null when there are errors.
+     */
+    function parseHolderCsv(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+        if (lines.length < 2) return { registry: null, errors: ['Expected a header row and at least one holder'], warnings: [] };
+
+        const header = lines[0].split(',').map(cell => cell.trim().toLowerCase());
+        const index = {};
+        Object.keys(CSV_COLUMNS).forEach(field => {
+            index[field] = header.findIndex(column => CSV_COLUMNS[field].includes(column));
+        });
+        if (index.address < 0 || index.shares < 0) {
+            return { registry: null, errors: ['The header needs an address column and a shares column'], warnings: [] };
+        }
+        const warnings = header
+            .filter((column, i) => !Object.keys(index).some(field => index[field] === i))
+            .map(column => `Column "${column}" is not a holder field and was ignored`);
+
+        const errors = [];
+        const rows = lines.slice(1).map((line, i) => {
+            const cells = line.split(',').map(cell => cell.trim());
+            const cell = (field) => (index[field] >= 0 ? cells[index[field]] : undefined);
+            const shares = Number(cell('shares'));
+            const delay = cell('claimDelay');
+            if (cell('shares') === undefined || cell('shares') === '' || Number.isNaN(shares)) {
+                errors.push(`Row ${i + 1}: "${cell('shares') || ''}" is not a number of shares`);
+            }
+            return {
+                address: cell('address') || '',
+                label: cell('label') || '',
+                shares,
+                claimDelay: delay === undefined || delay === '' || /^never$/i.test(delay) ? null : Number(delay)
+            };
+        });
+        if (errors.length) return { registry: null, errors, warnings };
+        const checked = normalizeRegistry(rows);
+        return { registry: checked.registry, errors: checked.errors, warnings };
+    }
+
+    // --- Allocation ---
+
+    /**
+     * Split a distribution pro rata by shares: one grant per holder with shares.
+     *   { holder, period, policy, amount }
+     * Returns [] when no holder has shares.
+     */
+    function allocateDistribution(amount, registry, period, policy) {
+        const totalShares = registry.reduce((sum, h) => sum + h.shares, 0);
+        if (!(amount > 0) || totalShares <= 0) return [];
+        return registry
+            .filter(h => h.shares > 0)
+            .map(h => ({ holder: h.address, period, policy, amount: amount * (h.shares / totalShares) }));
+    }
+
+    // --- Ledger ---
+
+    /**
+     * Where one grant stands at the end of period t, cumulatively:
+     * { vested, claimed, returned, claimable, unvested }.
+     * Tranches are released at the grant's period (no vesting) or one per period after it.
+     * Without a claim window, released tranches go straight to the holder; with one, a
+     * holder claims `claimDelay` periods after release if that is inside the window,
+     * otherwise the tranche returns to the treasury when the window closes.
+     */
+    function getGrantPosition(grant, t, config, claimDelay) {
+        const tranches = config.vestingPeriods > 0 ? config.vestingPeriods : 1;
+        const firstRelease = grant.period + (config.vestingPeriods > 0 ? 1 : 0);
+        const releasedBy = (time) => Math.min(tranches, Math.max(0, time - firstRelease + 1)) * (grant.amount / tranches);
+
+        const vested = releasedBy(t);
+        let claimed = 0;
+        let returned = 0;
+        if (config.claimWindow === 0) {
+            claimed = vested;
+        } else if (claimDelay !== null && claimDelay < config.claimWindow) {
+            claimed = releasedBy(t - claimDelay);
+        } else {
+            returned = releasedBy(t - config.claimWindow);
+        }
+        return { vested, claimed, returned, claimable: vested - claimed - returned, unvested: grant.amount - vested };
+    }
+
+    /**
+     * What changed in period t: { vested, claimed, returned, claimants, lapsed }.
+     * claimants and lapsed are the addresses that claimed and that let a claim expire.
+     */
+    function getLedgerFlows(grants, t, config) {
+        const delays = getClaimDelays(config.registry);
+        const flows = { vested: 0, claimed: 0, returned: 0, claimants: [], lapsed: [] };
+        grants.forEach(grant => {
+            const delay = delays[grant.holder] !== undefined ? delays[grant.holder] : null;
+            const now = getGrantPosition(grant, t, config, delay);
+            const before = getGrantPosition(grant, t - 1, config, delay);
+            flows.vested += now.vested - before.vested;
+            flows.claimed += now.claimed - before.claimed;
+            flows.returned += now.returned - before.returned;
+            if (now.claimed > before.claimed && !flows.claimants.includes(grant.holder)) flows.claimants.push(grant.holder);
+            if (now.returned > before.returned && !flows.lapsed.includes(grant.holder)) flows.lapsed.push(grant.holder);
+        });
+        return flows;
+    }
+
+    /**
+     * The ledger at the end of period t.
+     *   holders: one row per registry holder: { address, label, shares, share (%), allocated,
+     *            vested, unvested, claimed, claimable, returned, payouts }
+     *   payouts: one row per grant with its position: { period, policy, address, label, amount, ... }
+     *   totals:  the holder columns summed
+     */
+    function describeLedger(grants, t, config) {
+        const delays = getClaimDelays(config.registry);
+        const totalShares = config.registry.reduce((sum, h) => sum + h.shares, 0);
+        const fields = ['allocated', 'vested', 'unvested', 'claimed', 'claimable', 'returned'];
+        const rows = {};
+        config.registry.forEach(h => {
+            rows[h.address] = { address: h.address, label: h.label, shares: h.shares, share: totalShares > 0 ? (h.shares / totalShares) * 100 : 0, payouts: 0 };
+            fields.forEach(field => { rows[h.address][field] = 0; });
+        });
+
+        const payouts = grants.filter(grant => grant.period <= t).map(grant => {
+            const position = getGrantPosition(grant, t, config, delays[grant.holder] !== undefined ? delays[grant.holder] : null);
+            const row = rows[grant.holder];
+            if (row) {
+                row.allocated += grant.amount;
+                row.payouts++;
+                ['vested', 'unvested', 'claimed', 'claimable', 'returned'].forEach(field => { row[field] += position[field]; });
+            }
+            return { period: grant.period, policy: grant.policy, address: grant.holder, label: row ? row.label : grant.holder, amount: grant.amount, ...position };
+        });
+
+        const holders = config.registry.map(h => rows[h.address]);
+        const totals = {};
+        fields.forEach(field => { totals[field] = holders.reduce((sum, row) => sum + row[field], 0); });
+        return { holders, payouts, totals };
+    }
+
+    function getClaimDelays(registry) {
+        const delays = {};
+        registry.forEach(h => { delays[h.address] = h.claimDelay; });
+        return delays;
+    }
+
+    // "0x4e9c…8a67"
+    function shortAddress(address) {
+        return /^0x[0-9a-f]{12,}$/i.test(address) ? `${address.slice(0, 6)}…${address.slice(-4)}` : address;
+    }
+
+    return {
+        DEFAULT_HOLDERS,
+        MAX_HOLDERS,
+        normalizeHolderConfig,
+        normalizeRegistry,
+        parseHolderCsv,
+        allocateDistribution,
+        getGrantPosition,
+        getLedgerFlows,
+        describeLedger,
+        shortAddress
+    };
+}));
@@ -0,0 +1,42 @@
+/**
+ * Autonomous Finance Storyboard (RialoFlow)
+ * Limits: range checks for untrusted numeric settings
+ *
+ * Settings modules (oracle.js, governance.js) describe each numeric setting as
+ * [min, max, whole number] and normalize a scenario file or link with applyLimits().
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RialoLimits = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Copy the numeric settings present in source onto target, each checked against its
+     * [min, max, whole number] limits. Returns the problems; a bad value is not copied.
+     */
+    function applyLimits(source, limits, target) {
+        const errors = [];
+        Object.keys(limits).forEach(key => {
+            if (source[key] === undefined) return;
+            const [min, max, whole] = limits[key];
+            const value = source[key];
+            const valid = typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max && (!whole || Number.isInteger(value));
+            if (!valid) {
+                const range = Number.isFinite(min) ? ` from ${min} to ${max}` : '';
+                errors.push(`${key} must be a ${whole ? 'whole number' : 'number'}${range}`);
+            } else {
+                target[key] = value;
+            }
+        });
+        return errors;
+    }
+
+    return {
+        applyLimits
+    };
+}));
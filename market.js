@@ -0,0 +1,259 @@
+/**
+ * Autonomous Finance Storyboard (RialoFlow)
+ * Market Data: historical price series for the replay horizon
+ *
+ * A price series is a list of dated points with a price per asset id:
+ *
+ *   { name, dataset, points: [{ date: '2022-01-31', prices: { bonds: 96.6 } }] }
+ *
+ * Each replay period marks the portfolio by the price change from the previous
+ * point. Prices only move value: yield still accrues from the asset registry, so
+ * series should be price (not total return) indices. Assets without a column stay flat.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RialoMarket = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // --- Bundled Datasets ---
+
+    // Approximate, rounded levels for illustration: shaped like the real episodes, not exact quotes
+    const MARKET_DATASETS = {
+        credit_2022: {
+            label: '2022 credit drawdown (monthly)',
+            desc: 'Investment-grade corporate bond prices through the 2022 rate hikes, about -19% at the October low.',
+            csv: `date,bonds
+2021-12-31,100
+2022-01-31,96.6
+2022-02-28,94.6
+2022-03-31,92.2
+2022-04-29,86.9
+2022-05-31,87.6
+2022-06-30,83.9
+2022-07-29,86.6
+2022-08-31,83.3
+2022-09-30,78.3
+2022-10-31,77.2
+2022-11-30,81.6
+2022-12-30,81.0`
+        },
+        usdc_depeg_2023: {
+            label: 'USDC depeg, March 2023 (daily)',
+            desc: 'USDC loses its peg over the SVB weekend, trades near $0.89 and recovers within days.',
+            csv: `date,usdc
+2023-03-08,1.000
+2023-03-09,0.999
+2023-03-10,0.966
+2023-03-11,0.890
+2023-03-12,0.965
+2023-03-13,0.991
+2023-03-14,0.998
+2023-03-15,0.999
+2023-03-16,1.000
+2023-03-17,1.000`
+        },
+        covid_2020: {
+            label: 'March 2020 credit crunch (weekly)',
+            desc: 'Corporate bonds gap down about 15% in two weeks, then rebound once central banks step in.',
+            csv: `date,bonds
+2020-02-21,100
+2020-02-28,99.1
+2020-03-06,101.2
+2020-03-13,94.0
+2020-03-20,85.5
+2020-03-27,95.0
+2020-04-03,94.2
+2020-04-09,99.3
+2020-04-17,99.8`
+        }
+    };
+
+    // One point is the starting state, so this allows as many periods as a calendar run
+    const MAX_POINTS = 731;
+
+    // --- Parsing ---
+
+    /**
+     * Read a price series from CSV or JSON text.
+     *   CSV:  a header row `date,<asset>,<asset>...` then one row per date
+     *   JSON: [{ date, <asset>: price, ... }] or { name, points: [...] } (either row shape)
+     *   options: { format: 'csv' | 'json', name, assets }
+     * Columns are matched to assets by id, then by name (case-insensitive).
+     * Returns { series, errors, warnings }; series is null when there are errors.
+     */
+    function parsePriceSeries(text, options) {
+        if (options.format === 'json') {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                return { series: null, errors: [`Not valid JSON: ${e.message}`], warnings: [] };
+            }
+            const rows = Array.isArray(data) ? data : (data && data.points);
+            const name = data && typeof data.name === 'string' && data.name.trim() ? data.name.trim() : options.name;
+            return normalizeSeries({ name, points: rows }, options.assets);
+        }
+        return normalizeSeries({ name: options.name, points: csvToRows(text) }, options.assets);
+    }
+
+    function csvToRows(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+        if (lines.length === 0) return [];
+        const header = lines[0].split(',').map(cell => cell.trim());
+        return lines.slice(1).map(line => {
+            const cells = line.split(',').map(cell => cell.trim());
+            const row = {};
+            header.forEach((column, i) => {
+                if (cells[i] === undefined || cells[i] === '') return;
+                row[column] = column === header[0] ? cells[i] : Number(cells[i]);
+            });
+            // The first column is the date, whatever it is called
+            if (header[0] !== 'date') {
+                row.date = row[header[0]];
+                delete row[header[0]];
+            }
+            return row;
+        });
+    }
+
+    /**
+     * Check and normalize untrusted series data (a parsed import, a scenario file).
+     * Rows may be { date, <column>: price } or already { date, prices: {...} }.
+     * Missing prices carry the last known one forward. Returns { series, errors, warnings }.
+     */
+    function normalizeSeries(data, assets) {
+        const errors = [];
+        const warnings = [];
+        const rows = data && Array.isArray(data.points) ? data.points : null;
+        if (!rows) return { series: null, errors: ['Expected a list of rows with a date and prices'], warnings };
+        if (rows.length < 2) return { series: null, errors: ['A price series needs at least two dates'], warnings };
+        if (rows.length > MAX_POINTS) return { series: null, errors: [`Too many dates: ${rows.length} (at most ${MAX_POINTS})`], warnings };
+
+        const columns = {}; // column -> asset id
+        const unmatched = new Set();
+        const points = [];
+        rows.forEach((row, i) => {
+            const at = `Row ${i + 1}`;
+            if (!row || typeof row !== 'object') {
+                errors.push(`${at}: expected an object with a date and prices`);
+                return;
+            }
+            const date = parseDate(row.date);
+            if (!date) {
+                errors.push(`${at}: "${row.date}" is not a date (use YYYY-MM-DD)`);
+                return;
+            }
+            if (points.length && date <= points[points.length - 1].date) {
+                errors.push(`${at}: ${date} is not after ${points[points.length - 1].date}; dates must increase`);
+                return;
+            }
+
+            const prices = {};
+            const cells = row.prices && typeof row.prices === 'object' ? row.prices : row;
+            Object.keys(cells).filter(column => column !== 'date').forEach(column => {
+                if (columns[column] === undefined) columns[column] = matchAsset(column, assets);
+                if (columns[column] === null) {
+                    unmatched.add(column);
+                    return;
+                }
+                const price = cells[column];
+                if (typeof price !== 'number' || !Number.isFinite(price) || price <= 0) {
+                    errors.push(`${at}: price for "${column}" must be a number above 0`);
+                } else {
+                    prices[columns[column]] = price;
+                }
+            });
+            points.push({ date, prices });
+        });
+
+        unmatched.forEach(column => warnings.push(`Column "${column}" matches no asset and was ignored`));
+        const ids = Object.keys(columns).map(c => columns[c]).filter((id, i, all) => id !== null && all.indexOf(id) === i);
+        if (errors.length === 0 && ids.length === 0) errors.push('No column matches an asset id or name');
+        if (errors.length > 0) return { series: null, errors, warnings };
+
+        return {
+            series: {
+                name: data.name || 'Imported prices',
+                dataset: data.dataset || null,
+                points: fillForward(points, ids)
+            },
+            errors,
+            warnings
+        };
+    }
+
+    function parseDate(value) {
+        if (typeof value !== 'string') return null;
+        const date = value.trim().slice(0, 10);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
+        const parsed = new Date(`${date}T00:00:00Z`);
+        return Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date ? null : date;
+    }
+
+    function matchAsset(column, assets) {
+        const key = column.toLowerCase();
+        const asset = assets.find(a => a.id === column) || assets.find(a => a.id.toLowerCase() === key || a.name.toLowerCase() === key);
+        return asset ? asset.id : null;
+    }
+
+    // Every point gets a price for every matched asset; gaps repeat the previous price,
+    // and an asset that starts late is flat until its first quote.
+    function fillForward(points, ids) {
+        const last = {};
+        ids.forEach(id => {
+            const first = points.find(point => point.prices[id] !== undefined);
+            last[id] = first.prices[id];
+        });
+        return points.map(point => {
+            ids.forEach(id => {
+                if (point.prices[id] !== undefined) last[id] = point.prices[id];
+            });
+            return { date: point.date, prices: { ...last } };
+        });
+    }
+
+    // A bundled dataset, read against an asset registry: { series, errors, warnings }
+    function loadDataset(key, assets) {
+        const dataset = MARKET_DATASETS[key];
+        if (!dataset) return { series: null, errors: [`Unknown dataset "${key}"`], warnings: [] };
+        return normalizeSeries({ name: dataset.label, dataset: key, points: csvToRows(dataset.csv) }, assets);
+    }
+
+    // --- Replay ---
+
+    // % price move of each asset from point i - 1 to point i
+    function getPriceMoves(series, i) {
+        const prev = series.points[i - 1].prices;
+        const curr = series.points[i].prices;
+        const moves = {};
+        Object.keys(curr).forEach(id => {
+            moves[id] = (curr[id] / prev[id] - 1) * 100;
+        });
+        return moves;
+    }
+
+    // Each asset's price indexed to 100 at the first point, for charting
+    function getIndexedPrices(series) {
+        const first = series.points[0].prices;
+        const indexed = {};
+        Object.keys(first).forEach(id => {
+            indexed[id] = series.points.map(point => (point.prices[id] / first[id]) * 100);
+        });
+        return indexed;
+    }
+
+    return {
+        MARKET_DATASETS,
+        MAX_POINTS,
+        parsePriceSeries,
+        normalizeSeries,
+        loadDataset,
+        getPriceMoves,
+        getIndexedPrices
+    };
+}));
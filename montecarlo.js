@@ -0,0 +1,170 @@
+/**
+ * Autonomous Finance Storyboard (RialoFlow)
+ * Monte Carlo: seedable randomness, shock distributions and outcome statistics
+ *
+ * Paths themselves are simulated by engine.js (simulatePath) so that every
+ * path runs through exactly the same period logic as the on-screen story.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RialoMonteCarlo = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // --- Random Numbers ---
+
+    // Mulberry32: small, fast, seedable PRNG returning floats in [0, 1)
+    function createRng(seed) {
+        let a = seed >>> 0;
+        return function () {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // One independent stream per path, so results do not depend on how paths are batched
+    function createPathRng(seed, pathIndex) {
+        return createRng(Math.imul(seed ^ 0x9E3779B9, 0x85EBCA6B) + Math.imul(pathIndex + 1, 0xC2B2AE35));
+    }
+
+    // Standard normal via Box-Muller
+    function sampleStandardNormal(rng) {
+        const u1 = 1 - rng(); // (0, 1], keeps log() finite
+        const u2 = rng();
+        return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    }
+
+    // --- Shock Distributions ---
+
+    // Each draw is a % price change for one asset at one shock event
+    const SHOCK_DISTRIBUTION_TYPES = {
+        fixed: { label: 'Fixed', defaults: { value: 0 } },
+        normal: { label: 'Normal', defaults: { mean: 0, sd: 1 } },
+        uniform: { label: 'Uniform', defaults: { min: -5, max: 5 } },
+        student_t: { label: 'Student-t (fat tails)', defaults: { mean: 0, scale: 1, df: 4 } }
+    };
+
+    const SHOCK_DISTRIBUTION_FIELDS = {
+        value: 'Move %',
+        mean: 'Mean %',
+        sd: 'Std dev',
+        min: 'Min %',
+        max: 'Max %',
+        scale: 'Scale',
+        df: 'Tail df'
+    };
+
+    const DEFAULT_SHOCK_DISTRIBUTIONS = {
+        usdc: { type: 'normal', mean: 0, sd: 0.5 },
+        tBills: { type: 'normal', mean: 0, sd: 1 },
+        bonds: { type: 'student_t', mean: -20, scale: 8, df: 4 },
+        cash: { type: 'fixed', value: 0 }
+    };
+
+    // Draw one % change. Clamped at -100%: an asset can be wiped out but not go negative.
+    function sampleShock(dist, rng) {
+        let draw;
+        switch (dist.type) {
+            case 'normal':
+                draw = dist.mean + dist.sd * sampleStandardNormal(rng);
+                break;
+            case 'uniform':
+                draw = dist.min + (dist.max - dist.min) * rng();
+                break;
+            case 'student_t': {
+                // t = Z / sqrt(chi2(df) / df), chi2 built from df squared normals
+                const df = Math.max(1, Math.round(dist.df));
+                let chi2 = 0;
+                for (let k = 0; k < df; k++) {
+                    const z = sampleStandardNormal(rng);
+                    chi2 += z * z;
+                }
+                draw = dist.mean + dist.scale * (sampleStandardNormal(rng) / Math.sqrt(chi2 / df));
+                break;
+            }
+            default:
+                draw = dist.value || 0;
+        }
+        return Math.max(-100, draw);
+    }
+
+    // --- Statistics ---
+
+    // Linear-interpolated percentile of an ascending array, p in [0, 100]
+    function percentile(sorted, p) {
+        if (sorted.length === 0) return NaN;
+        const rank = (p / 100) * (sorted.length - 1);
+        const lo = Math.floor(rank);
+        const hi = Math.ceil(rank);
+        return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+    }
+
+    const MONTE_CARLO_PERCENTILES = [5, 25, 50, 75, 95];
+
+    // Non-finite values (a reserve ratio with nothing owed) are counted as unbounded, not ranked
+    function describeDistribution(values) {
+        const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+        const stats = {
+            mean: sorted.length ? sorted.reduce((sum, v) => sum + v, 0) / sorted.length : NaN,
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            unbounded: values.length - sorted.length,
+            sorted
+        };
+        MONTE_CARLO_PERCENTILES.forEach(p => {
+            stats[`p${p}`] = percentile(sorted, p);
+        });
+        return stats;
+    }
+
+    /**
+     * paths: Array of { finalValue, worstRatio } from simulatePath
+     * Returns percentiles for both measures and breach probabilities. Paths that never owe
+     * anything have an unbounded worst ratio: worstRatio.unbounded counts them.
+     */
+    function summarizeMonteCarlo(paths, targetRatio) {
+        const count = paths.length || 1;
+        return {
+            count: paths.length,
+            finalValue: describeDistribution(paths.map(r => r.finalValue)),
+            worstRatio: describeDistribution(paths.map(r => r.worstRatio)),
+            probBelowTarget: paths.filter(r => r.worstRatio < targetRatio).length / count,
+            probUnderwater: paths.filter(r => r.worstRatio < 100).length / count
+        };
+    }
+
+    // Equal-width bins for a histogram of an ascending array; non-finite values are left out
+    function histogram(values, binCount) {
+        const sorted = values.filter(Number.isFinite);
+        if (sorted.length === 0) return [];
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        const width = (max - min) / binCount || 1;
+        const bins = Array.from({ length: binCount }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+        sorted.forEach(v => {
+            const i = Math.min(binCount - 1, Math.floor((v - min) / width));
+            bins[i].count++;
+        });
+        return bins;
+    }
+
+    return {
+        SHOCK_DISTRIBUTION_TYPES,
+        SHOCK_DISTRIBUTION_FIELDS,
+        DEFAULT_SHOCK_DISTRIBUTIONS,
+        MONTE_CARLO_PERCENTILES,
+        createRng,
+        createPathRng,
+        sampleShock,
+        percentile,
+        summarizeMonteCarlo,
+        histogram
+    };
+}));
@@ -0,0 +1,256 @@
+/**
+ * Autonomous Finance Storyboard (RialoFlow)
+ * Optimizer: searches policy parameters against a stress set and an objective
+ *
+ * A candidate is a target reserve ratio, a yield distribution and a rebalance
+ * strategy, run through the generated policy (buildPolicySource) once per stress
+ * case: a shock scenario at a magnitude. Each candidate is scored on its worst case
+ * across the set. Candidates that break a constraint are infeasible; among the rest,
+ * the Pareto frontier shows what the objective costs in a second measure.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'), require('./montecarlo.js'));
+    } else {
+        root.RialoOptimizer = factory(root.RialoEngine, root.RialoMonteCarlo);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Engine, MonteCarlo) {
+    'use strict';
+
+    // --- Measures ---
+
+    // What a run is scored on. The worst case across the stress set is the lowest value of a
+    // 'max' measure and the highest of a 'min' one.
+    const OPTIMIZER_METRICS = {
+        totalDistributed: { label: 'Total distributions', goal: 'max' },
+        finalValue: { label: 'Final total value', goal: 'max' },
+        worstRatio: { label: 'Worst reserve ratio', goal: 'max' },
+        maxRisk: { label: 'Peak risk score', goal: 'min' },
+        totalCosts: { label: 'Trading costs', goal: 'min' }
+    };
+
+    // --- Search Space ---
+
+    const DEFAULT_SEARCH = {
+        method: 'grid', // 'grid' tries every step; 'random' draws `samples` whole-number points
+        samples: 60,
+        seed: 42,
+        ratio: { min: 100, max: 150, step: 10 }, // targetReserveRatio, %
+        distribution: { min: 0, max: 10, step: 2 }, // yieldDistribution, %
+        strategies: Object.keys(Engine.REBALANCE_STRATEGIES),
+        scenarios: ['market_drop', 'bank_run'], // SHOCK_SCENARIOS keys
+        magnitudes: [20, 35], // shockMagnitude, % (each scenario runs at each one)
+        objective: 'totalDistributed', // OPTIMIZER_METRICS key, pushed towards its goal
+        tradeOff: 'worstRatio', // OPTIMIZER_METRICS key the frontier is drawn against
+        minRatio: 90, // Constraint: the reserve ratio never falls below this, %
+        maxRisk: 40 // Constraint: the risk score never rises above this
+    };
+
+    // The sliders' ranges, so an applied point always fits them
+    const SEARCH_LIMITS = {
+        ratio: [100, 150],
+        distribution: [0, 10]
+    };
+
+    // Candidates times stress cases; each is one full run
+    const MAX_RUNS = 20000;
+
+    /**
+     * Problems that stop a search from running, as plain messages (empty when it can run).
+     */
+    function checkSearch(search) {
+        const errors = [];
+        if (search.strategies.length === 0) errors.push('Pick at least one rebalance strategy');
+        if (search.scenarios.length === 0) errors.push('Pick at least one shock scenario');
+        if (search.magnitudes.length === 0) errors.push('Enter at least one shock magnitude');
+        if (!OPTIMIZER_METRICS[search.objective]) errors.push(`Unknown objective "${search.objective}"`);
+        if (!OPTIMIZER_METRICS[search.tradeOff]) errors.push(`Unknown trade-off measure "${search.tradeOff}"`);
+        // A range that cannot be stepped through would never finish counting
+        const ranges = { ratio: 'Reserve ratio', distribution: 'Distribution' };
+        Object.keys(ranges).forEach(key => {
+            const { min, max, step } = search[key];
+            if (![min, max, step].every(Number.isFinite)) errors.push(`${ranges[key]}: min, max and step must be numbers`);
+            else if (min > max) errors.push(`${ranges[key]}: min ${min} is above max ${max}`);
+            else if (step <= 0) errors.push(`${ranges[key]}: step must be more than 0`);
+        });
+        if (errors.length > 0) return errors;
+        const runs = countCandidates(search) * search.scenarios.length * search.magnitudes.length;
+        if (runs > MAX_RUNS) errors.push(`${runs} runs is too many (at most ${MAX_RUNS}): narrow the ranges or the stress set`);
+        return errors;
+    }
+
+    function countCandidates(search) {
+        const grid = rangeValues(search.ratio).length * rangeValues(search.distribution).length * search.strategies.length;
+        return search.method === 'random' ? Math.min(search.samples, grid, randomSpace(search)) : grid;
+    }
+
+    // Every whole-number point a random search can draw
+    function randomSpace(search) {
+        return (search.ratio.max - search.ratio.min + 1) * (search.distribution.max - search.distribution.min + 1) * search.strategies.length;
+    }
+
+    // min, min + step, ... up to max
+    function rangeValues(range) {
+        const values = [];
+        for (let v = range.min; v <= range.max + 1e-9; v += range.step) values.push(Number(v.toFixed(2)));
+        return values;
+    }
+
+    /**
+     * The points to try: { targetReserveRatio, yieldDistribution, rebalanceStrategy }.
+     * A random search draws distinct whole-number points from a seeded stream, so the same
+     * seed always tries the same points.
+     */
+    function buildCandidates(search) {
+        if (search.method !== 'random') {
+            const candidates = [];
+            rangeValues(search.ratio).forEach(targetReserveRatio => {
+                rangeValues(search.distribution).forEach(yieldDistribution => {
+                    search.strategies.forEach(rebalanceStrategy => {
+                        candidates.push({ targetReserveRatio, yieldDistribution, rebalanceStrategy });
+                    });
+                });
+            });
+            return candidates;
+        }
+
+        const rng = MonteCarlo.createRng(search.seed);
+        const pick = (min, max) => min + Math.floor(rng() * (max - min + 1));
+        const count = Math.min(search.samples, randomSpace(search));
+        const seen = new Set();
+        const candidates = [];
+        while (candidates.length < count) {
+            const candidate = {
+                targetReserveRatio: pick(search.ratio.min, search.ratio.max),
+                yieldDistribution: pick(search.distribution.min, search.distribution.max),
+                rebalanceStrategy: search.strategies[pick(0, search.strategies.length - 1)]
+            };
+            const key = getCandidateKey(candidate);
+            if (seen.has(key)) continue;
+            seen.add(key);
+            candidates.push(candidate);
+        }
+        return candidates;
+    }
+
+    function getCandidateKey(candidate) {
+        return `${candidate.targetReserveRatio}/${candidate.yieldDistribution}/${candidate.rebalanceStrategy}`;
+    }
+
+    // Every scenario at every magnitude: [{ shockScenario, shockMagnitude }]
+    function buildStressCases(search) {
+        return search.scenarios.flatMap(shockScenario => search.magnitudes.map(shockMagnitude => ({ shockScenario, shockMagnitude })));
+    }
+
+    // --- Evaluation ---
+
+    /**
+     * Run one candidate through every stress case.
+     *   config: { params, portfolio, assets, liabilities, horizon, oracle, holders, governance, periods, cases, minRatio, maxRisk }
+     *   params: the current params; the candidate and each case override their own keys
+     * Returns { candidate, metrics, cases, feasible, violations }: metrics are the worst case per
+     * OPTIMIZER_METRICS key, cases the same measures per stress case.
+     */
+    function evaluateCandidate(candidate, config) {
+        const cases = config.cases.map(stress => {
+            const params = { ...config.params, ...candidate, ...stress };
+            const sim = Engine.createSimulation(params, config.portfolio, {
+                assets: config.assets,
+                horizon: config.horizon,
+                liabilities: config.liabilities,
+                oracle: config.oracle,
+                holders: config.holders,
+                governance: config.governance,
+                policy: Engine.buildPolicySource(params),
+                periods: config.periods
+            });
+            return { ...stress, ...measureRun(sim) };
+        });
+
+        const metrics = {};
+        Object.keys(OPTIMIZER_METRICS).forEach(key => {
+            const values = cases.map(c => c[key]);
+            metrics[key] = OPTIMIZER_METRICS[key].goal === 'max' ? Math.min(...values) : Math.max(...values);
+        });
+
+        const violations = [];
+        if (metrics.worstRatio < config.minRatio) violations.push(`reserve ratio fell to ${metrics.worstRatio.toFixed(1)}% (floor ${config.minRatio}%)`);
+        if (metrics.maxRisk > config.maxRisk) violations.push(`risk score reached ${metrics.maxRisk.toFixed(0)} (cap ${config.maxRisk})`);
+        return { candidate, metrics, cases, feasible: violations.length === 0, violations };
+    }
+
+    // The measures of one run, T+0 included
+    function measureRun(sim) {
+        let worstRatio = sim.snapshot().reserveRatio;
+        let maxRisk = sim.snapshot().riskScore;
+        let snapshot;
+        while ((snapshot = sim.step())) {
+            worstRatio = Math.min(worstRatio, snapshot.reserveRatio);
+            maxRisk = Math.max(maxRisk, snapshot.riskScore);
+        }
+        const last = sim.snapshot();
+        return {
+            totalDistributed: last.totalDistributed,
+            finalValue: last.totalValue,
+            worstRatio,
+            maxRisk,
+            totalCosts: last.totalCosts
+        };
+    }
+
+    // --- Frontier ---
+
+    // > 0 when a is better than b on the measure. Rounding noise counts as a tie.
+    function compareMetric(key, a, b) {
+        if (a === b || Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b))) return 0;
+        return OPTIMIZER_METRICS[key].goal === 'max' ? a - b : b - a;
+    }
+
+    /**
+     * The feasible results no other feasible result beats on both the objective and the
+     * trade-off measure, best objective first. Points that tie on both are one frontier
+     * point: the one best on the remaining measures is kept, with `ties` counting the others.
+     */
+    function getParetoFrontier(results, objective, tradeOff) {
+        const feasible = results.filter(r => r.feasible);
+        const dominates = (a, b) => {
+            const obj = compareMetric(objective, a.metrics[objective], b.metrics[objective]);
+            const off = compareMetric(tradeOff, a.metrics[tradeOff], b.metrics[tradeOff]);
+            return obj >= 0 && off >= 0 && (obj > 0 || off > 0);
+        };
+        const byRest = (a, b) => Object.keys(OPTIMIZER_METRICS)
+            .reduce((order, key) => order || compareMetric(key, b.metrics[key], a.metrics[key]), 0);
+
+        const frontier = [];
+        feasible
+            .filter(r => !feasible.some(other => dominates(other, r)))
+            .sort((a, b) => compareMetric(objective, b.metrics[objective], a.metrics[objective])
+                || compareMetric(tradeOff, b.metrics[tradeOff], a.metrics[tradeOff])
+                || byRest(a, b))
+            .forEach(r => {
+                const last = frontier[frontier.length - 1];
+                if (last && compareMetric(objective, last.metrics[objective], r.metrics[objective]) === 0
+                    && compareMetric(tradeOff, last.metrics[tradeOff], r.metrics[tradeOff]) === 0) {
+                    last.ties++;
+                } else {
+                    frontier.push({ ...r, ties: 0 });
+                }
+            });
+        return frontier;
+    }
+
+    return {
+        OPTIMIZER_METRICS,
+        DEFAULT_SEARCH,
+        SEARCH_LIMITS,
+        MAX_RUNS,
+        checkSearch,
+        countCandidates,
+        buildCandidates,
+        buildStressCases,
+        getCandidateKey,
+        evaluateCandidate,
+        getParetoFrontier
+    };
+}));
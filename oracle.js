@@ -0,0 +1,252 @@
+/**
+ * Autonomous Finance Storyboard (RialoFlow)
+ * Oracle: the price feed policies read, between market prices and the policy engine
+ *
+ * Market moves change what the treasury is really worth. Policies only see those
+ * moves through the oracle: readings published on a cadence, delayed by latency,
+ * blurred by noise and open to outages and manipulation. Guardrails decide which
+ * readings are accepted, when the feed counts as stale and when the circuit breaker
+ * halts automated checks. engine.js steps the oracle once a period, after prices
+ * move and before policies are checked.
+ *
+ * Prices are indices per asset id, 1 at T+0 (for a stablecoin, its price in dollars).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./limits.js'));
+    } else {
+        root.RialoOracle = factory(root.RialoLimits);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Limits) {
+    'use strict';
+
+    // --- Configuration ---
+
+    // The defaults are an ideal feed: every period, no delay, no noise, no guardrails,
+    // so policies see market prices exactly.
+    const DEFAULT_ORACLE = {
+        cadence: 1, // Periods between published readings
+        latency: 0, // Periods a reading takes to reach the treasury
+        noise: 0, // Standard deviation of each reading's error, in %
+        seed: 7, // Noise is seeded per period, so reruns and rewinds read the same values
+        maxDeviation: 0, // Reject readings that move any price more than this % from the last accepted one (0: off)
+        heartbeat: 0, // Periods without an accepted reading before the feed is stale and checks pause (0: off)
+        circuitBreaker: 0, // Rejected readings in a row that trip the breaker (0: off)
+        breakerPeriods: 2, // Periods checks stay halted once the breaker trips
+        incident: 'none', // ORACLE_INCIDENTS key
+        incidentStart: 1, // Period the incident begins
+        incidentLength: 1, // Periods it lasts
+        manipulation: -30, // % a manipulated reading is pushed away from the market price
+        incidentAsset: '' // Asset id whose reading is manipulated; '' for the host's pick
+    };
+
+    const ORACLE_INCIDENTS = {
+        none: { label: 'None', desc: 'The feed publishes on schedule.' },
+        outage: { label: 'Feed outage', desc: 'No readings are published while the incident lasts.' },
+        manipulation: { label: 'Price manipulation', desc: 'Readings for one asset are pushed away from the market price while the incident lasts.' }
+    };
+
+    // Limits for the numeric settings: [min, max, whole number]
+    const ORACLE_LIMITS = {
+        cadence: [1, 730, true],
+        latency: [0, 730, true],
+        noise: [0, 50, false],
+        seed: [-Infinity, Infinity, false],
+        maxDeviation: [0, 100, false],
+        heartbeat: [0, 730, true],
+        circuitBreaker: [0, 100, true],
+        breakerPeriods: [1, 730, true],
+        incidentStart: [1, 730, true],
+        incidentLength: [1, 730, true],
+        manipulation: [-99, 1000, false]
+    };
+
+    /**
+     * Check and normalize untrusted oracle settings (a scenario file, a link).
+     * Missing keys use DEFAULT_ORACLE. Returns { oracle, errors }; oracle is null when there are errors.
+     */
+    function normalizeOracleConfig(data, assets) {
+        const errors = [];
+        const oracle = { ...DEFAULT_ORACLE };
+        const source = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+
+        errors.push(...Limits.applyLimits(source, ORACLE_LIMITS, oracle));
+        if (source.incident !== undefined) {
+            if (!ORACLE_INCIDENTS[source.incident]) errors.push(`unknown incident "${source.incident}"`);
+            else oracle.incident = source.incident;
+        }
+        if (source.incidentAsset !== undefined && source.incidentAsset !== '') {
+            if (!assets.some(a => a.id === source.incidentAsset)) errors.push(`unknown incident asset "${source.incidentAsset}"`);
+            else oracle.incidentAsset = source.incidentAsset;
+        }
+        return { oracle: errors.length ? null : oracle, errors };
+    }
+
+    // --- Feed ---
+
+    /**
+     * The feed before its first period: every market price already accepted.
+     *   prices:      asset id -> price the treasury acts on (the last accepted reading)
+     *   pending:     published readings still in flight: [{ publishedAt, due, prices }]
+     *   updatedAt:   period the last accepted reading was published
+     *   rejections:  rejected readings in a row
+     *   haltedUntil: period checks resume after the breaker trips, or null
+     *   reanchor:    the next reading is accepted without the deviation check (after a halt)
+     *   status:      'live' | 'stale' | 'halted'
+     */
+    function createOracleState(prices) {
+        return {
+            prices: { ...prices },
+            pending: [],
+            updatedAt: 0,
+            rejections: 0,
+            haltedUntil: null,
+            reanchor: false,
+            status: 'live'
+        };
+    }
+
+    function copyOracleState(state) {
+        return {
+            ...state,
+            prices: { ...state.prices },
+            pending: state.pending.map(reading => ({ ...reading, prices: { ...reading.prices } }))
+        };
+    }
+
+    /**
+     * Advance the feed by one period.
+     *   input: {
+     *       index,      // period index
+     *       prices,     // market prices this period
+     *       config,     // DEFAULT_ORACLE shape
+     *       drawNoise,  // () -> % error of one price, when config.noise > 0
+     *       target      // asset id a manipulation pushes
+     *   }
+     * Returns { state, events }. Events, in order, are one of:
+     *   { kind: 'outage' }
+     *   { kind: 'manipulated', asset, move, price }
+     *   { kind: 'accepted', publishedAt, changes: { [id]: % move } }  (only when a price changed)
+     *   { kind: 'reanchored', publishedAt }
+     *   { kind: 'rejected', publishedAt, asset, price, previous, deviation }
+     *   { kind: 'tripped', rejections, until }
+     *   { kind: 'stale', age }
+     * The host acts on state.status: only a 'live' feed should drive automated checks.
+     */
+    function stepOracle(previous, input) {
+        const { index, config } = input;
+        const state = copyOracleState(previous);
+        const events = [];
+        const inIncident = index >= config.incidentStart && index < config.incidentStart + config.incidentLength;
+
+        // Publish
+        if (index % config.cadence === 0) {
+            if (config.incident === 'outage' && inIncident) {
+                events.push({ kind: 'outage' });
+            } else {
+                const reading = {};
+                Object.keys(input.prices).forEach(id => {
+                    const error = config.noise > 0 ? input.drawNoise() : 0;
+                    reading[id] = input.prices[id] * (1 + error / 100);
+                });
+                if (config.incident === 'manipulation' && inIncident && reading[input.target] !== undefined) {
+                    reading[input.target] *= 1 + config.manipulation / 100;
+                    events.push({ kind: 'manipulated', asset: input.target, move: config.manipulation, price: reading[input.target] });
+                }
+                state.pending.push({ publishedAt: index, due: index + config.latency, prices: reading });
+            }
+        }
+
+        // Deliver what has arrived. While halted, arrivals are discarded; the first one after re-anchors.
+        const halted = state.haltedUntil !== null && index < state.haltedUntil;
+        const arrived = state.pending.filter(reading => reading.due <= index);
+        state.pending = state.pending.filter(reading => reading.due > index);
+        if (state.haltedUntil !== null && !halted) state.haltedUntil = null;
+        if (!halted) {
+            arrived.forEach(reading => {
+                if (state.reanchor) {
+                    accept(state, reading);
+                    state.reanchor = false;
+                    events.push({ kind: 'reanchored', publishedAt: reading.publishedAt });
+                    return;
+                }
+                const worst = getWorstDeviation(reading.prices, state.prices);
+                if (config.maxDeviation > 0 && worst && worst.deviation > config.maxDeviation) {
+                    state.rejections++;
+                    events.push({ kind: 'rejected', publishedAt: reading.publishedAt, ...worst });
+                    if (config.circuitBreaker > 0 && state.rejections >= config.circuitBreaker) {
+                        state.haltedUntil = index + config.breakerPeriods;
+                        state.reanchor = true;
+                        events.push({ kind: 'tripped', rejections: state.rejections, until: state.haltedUntil });
+                        state.rejections = 0;
+                    }
+                    return;
+                }
+                const changes = accept(state, reading);
+                if (Object.keys(changes).length) events.push({ kind: 'accepted', publishedAt: reading.publishedAt, changes });
+            });
+        }
+
+        // Status
+        const age = index - state.updatedAt;
+        if (state.haltedUntil !== null) {
+            state.status = 'halted';
+        } else if (config.heartbeat > 0 && age > config.heartbeat) {
+            state.status = 'stale';
+            events.push({ kind: 'stale', age });
+        } else {
+            state.status = 'live';
+        }
+        return { state, events };
+    }
+
+    // Returns the % move of every price the reading changed
+    function accept(state, reading) {
+        const changes = {};
+        Object.keys(reading.prices).forEach(id => {
+            const before = state.prices[id];
+            if (before !== undefined && Math.abs(reading.prices[id] / before - 1) > 1e-9) {
+                changes[id] = (reading.prices[id] / before - 1) * 100;
+            }
+            state.prices[id] = reading.prices[id];
+        });
+        state.rejections = 0;
+        state.updatedAt = reading.publishedAt;
+        return changes;
+    }
+
+    // The price furthest (in %) from the last accepted one
+    function getWorstDeviation(reading, accepted) {
+        return Object.keys(reading).reduce((worst, id) => {
+            if (!accepted[id]) return worst;
+            const deviation = Math.abs(reading[id] / accepted[id] - 1) * 100;
+            return !worst || deviation > worst.deviation
+                ? { asset: id, price: reading[id], previous: accepted[id], deviation }
+                : worst;
+        }, null);
+    }
+
+    // --- Valuation ---
+
+    // The portfolio valued at oracle prices instead of market prices
+    function markToOracle(portfolio, marketPrices, oraclePrices) {
+        const view = { ...portfolio };
+        Object.keys(view).forEach(id => {
+            if (marketPrices[id] > 0 && oraclePrices[id] !== undefined) {
+                view[id] = portfolio[id] * (oraclePrices[id] / marketPrices[id]);
+            }
+        });
+        return view;
+    }
+
+    return {
+        DEFAULT_ORACLE,
+        ORACLE_INCIDENTS,
+        normalizeOracleConfig,
+        createOracleState,
+        copyOracleState,
+        stepOracle,
+        markToOracle
+    };
+}));
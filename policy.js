@@ -0,0 +1,738 @@
+/**
+ * Autonomous Finance Storyboard (RialoFlow)
+ * Policy Language: tokenizer, parser and interpreter
+ *
+ * The Policy Preview text is a tiny treasury rule language:
+ *
+ *   policy: "reserve_guardrail" {
+ *       shock_magnitude = 20%
+ *       when reserve_ratio < 110 {
+ *           sell "bonds"
+ *           buy "tBills"
+ *       }
+ *       when max_drift > 5 {
+ *           rebalance "threshold"
+ *       }
+ *       when risk_score > 40 and weight "bonds" > 30 cooldown 3 {
+ *           sell 25% "bonds"
+ *           buy "tBills"
+ *       }
+ *   }
+ *
+ *   policy: "monthly_yield" {
+ *       at every month_end {
+ *           distribute 5% to holders
+ *       }
+ *   }
+ *
+ * The host (engine.js) supplies the vocabulary (variables, per-asset variables,
+ * assets, schedules, assignable parameters, rebalance strategies) and executes the results.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RialoPolicy = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // --- Language Definition ---
+
+    const POLICY_KEYWORDS = ['policy', 'when', 'at', 'every', 'sell', 'buy', 'rebalance', 'distribute', 'to', 'holders', 'and', 'or', 'not', 'cooldown'];
+    const POLICY_COMPARATORS = ['<', '<=', '>', '>=', '==', '!='];
+    const DEFAULT_SELL_PERCENT = 50; // `sell "bonds"` without an amount sells half the position
+
+    // What an asset id looks like. Hosts hold their registries to it too: ids end up in markup and files.
+    const ASSET_ID_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+    class PolicyError extends Error {
+        constructor(message, line, col) {
+            super(message);
+            this.name = 'PolicyError';
+            this.line = line;
+            this.col = col;
+        }
+    }
+
+    // --- Tokenizer ---
+
+    function tokenizePolicy(source) {
+        const tokens = [];
+        let i = 0;
+        let line = 1;
+        let col = 1;
+
+        const advance = (n = 1) => {
+            for (let k = 0; k < n; k++) {
+                if (source[i] === '\n') {
+                    line++;
+                    col = 1;
+                } else {
+                    col++;
+                }
+                i++;
+            }
+        };
+
+        while (i < source.length) {
+            const ch = source[i];
+
+            // Whitespace
+            if (/\s/.test(ch)) {
+                advance();
+                continue;
+            }
+
+            // Comments: `# ...` or `// ...` to end of line
+            if (ch === '#' || (ch === '/' && source[i + 1] === '/')) {
+                while (i < source.length && source[i] !== '\n') advance();
+                continue;
+            }
+
+            const start = { line, col };
+
+            // Strings
+            if (ch === '"') {
+                let value = '';
+                advance();
+                while (i < source.length && source[i] !== '"') {
+                    if (source[i] === '\n') throw new PolicyError('Unterminated string', start.line, start.col);
+                    value += source[i];
+                    advance();
+                }
+                if (i >= source.length) throw new PolicyError('Unterminated string', start.line, start.col);
+                advance(); // closing quote
+                tokens.push({ type: 'string', value, ...start });
+                continue;
+            }
+
+            // Numbers: 110, 2.5%, $50k, $1.2m
+            if (/[0-9]/.test(ch) || (ch === '$' && /[0-9]/.test(source[i + 1] || ''))) {
+                let unit = null;
+                if (ch === '$') {
+                    unit = '$';
+                    advance();
+                }
+                let text = '';
+                while (i < source.length && /[0-9._]/.test(source[i])) {
+                    text += source[i];
+                    advance();
+                }
+                let value = parseFloat(text.replace(/_/g, ''));
+                if (Number.isNaN(value) || text.split('.').length > 2) throw new PolicyError(`Invalid number "${text}"`, start.line, start.col);
+
+                if (unit === '$' && /[kmb]/i.test(source[i] || '')) {
+                    value *= { k: 1e3, m: 1e6, b: 1e9 }[source[i].toLowerCase()];
+                    advance();
+                } else if (unit === null && source[i] === '%') {
+                    unit = '%';
+                    advance();
+                }
+                tokens.push({ type: 'number', value, unit, ...start });
+                continue;
+            }
+
+            // Identifiers and keywords
+            if (/[A-Za-z_]/.test(ch)) {
+                let word = '';
+                while (i < source.length && /[A-Za-z0-9_]/.test(source[i])) {
+                    word += source[i];
+                    advance();
+                }
+                const type = POLICY_KEYWORDS.includes(word) ? 'keyword' : 'ident';
+                tokens.push({ type, value: word, ...start });
+                continue;
+            }
+
+            // Comparison operators (longest match first)
+            const two = source.slice(i, i + 2);
+            if (POLICY_COMPARATORS.includes(two)) {
+                advance(2);
+                tokens.push({ type: 'op', value: two, ...start });
+                continue;
+            }
+            if (ch === '<' || ch === '>') {
+                advance();
+                tokens.push({ type: 'op', value: ch, ...start });
+                continue;
+            }
+
+            // Punctuation
+            if ('{}():='.includes(ch)) {
+                advance();
+                tokens.push({ type: 'punct', value: ch, ...start });
+                continue;
+            }
+
+            throw new PolicyError(`Unexpected character "${ch}"`, line, col);
+        }
+
+        tokens.push({ type: 'eof', value: null, line, col });
+        return tokens;
+    }
+
+    // --- Parser ---
+
+    function parsePolicy(source) {
+        const tokens = tokenizePolicy(source);
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const next = () => tokens[pos++];
+        const is = (type, value) => {
+            const t = peek();
+            return t.type === type && (value === undefined || t.value === value);
+        };
+        const describe = (t) => (t.type === 'eof' ? 'end of policy' : `"${t.value}"`);
+        const expect = (type, value, what) => {
+            if (!is(type, value)) {
+                const t = peek();
+                throw new PolicyError(`Expected ${what || `"${value}"`} but found ${describe(t)}`, t.line, t.col);
+            }
+            return next();
+        };
+
+        function parseProgram() {
+            const policies = [];
+            while (!is('eof')) {
+                policies.push(parsePolicyBlock());
+            }
+            return { type: 'Program', policies };
+        }
+
+        function parsePolicyBlock() {
+            const kw = expect('keyword', 'policy');
+            if (is('punct', ':')) next();
+            const name = expect('string', undefined, 'a policy name in quotes');
+            expect('punct', '{');
+
+            const statements = [];
+            while (!is('punct', '}')) {
+                if (is('eof')) throw new PolicyError(`Missing "}" to close policy "${name.value}"`, kw.line, kw.col);
+                statements.push(parseStatement());
+            }
+            next(); // }
+            return { type: 'Policy', name: name.value, statements, line: kw.line, col: kw.col };
+        }
+
+        function parseStatement() {
+            const t = peek();
+            if (is('keyword', 'when')) {
+                next();
+                const condition = parseCondition();
+                // `cooldown 3` keeps the rule quiet for 3 periods after it fires
+                const cooldown = is('keyword', 'cooldown') ? parseCooldown() : 0;
+                const actions = parseActionBlock();
+                return { type: 'When', condition, cooldown, actions, line: t.line, col: t.col };
+            }
+            if (is('keyword', 'at')) {
+                next();
+                expect('keyword', 'every');
+                const schedule = expect('ident', undefined, 'a schedule name (e.g. month_end)');
+                const actions = parseActionBlock();
+                return { type: 'Every', schedule: schedule.value, actions, line: schedule.line, col: schedule.col };
+            }
+            if (is('ident')) {
+                const name = next();
+                expect('punct', '=');
+                const value = expect('number', undefined, 'a number');
+                return { type: 'Assign', name: name.value, value: value.value, unit: value.unit, line: name.line, col: name.col };
+            }
+            throw new PolicyError(`Expected "when", "at every" or a parameter assignment but found ${describe(t)}`, t.line, t.col);
+        }
+
+        function parseCooldown() {
+            next(); // cooldown
+            const t = expect('number', undefined, 'a number of periods');
+            if (t.unit !== null || !Number.isInteger(t.value) || t.value < 1) {
+                throw new PolicyError(`Cooldown must be a whole number of periods, e.g. cooldown 3`, t.line, t.col);
+            }
+            return t.value;
+        }
+
+        function parseActionBlock() {
+            const open = expect('punct', '{');
+            const actions = [];
+            while (!is('punct', '}')) {
+                if (is('eof')) throw new PolicyError('Missing "}" to close action block', open.line, open.col);
+                actions.push(parseAction());
+            }
+            next(); // }
+            return actions;
+        }
+
+        function parseAction() {
+            const t = peek();
+            if (is('keyword', 'sell') || is('keyword', 'buy')) {
+                next();
+                const amount = is('number') || is('ident') ? parseAmount() : null;
+                const asset = expect('string', undefined, 'an asset id in quotes');
+                return { type: t.value === 'sell' ? 'Sell' : 'Buy', asset: asset.value, amount, line: asset.line, col: asset.col };
+            }
+            if (is('keyword', 'rebalance')) {
+                next();
+                // `rebalance` uses the host's configured strategy; `rebalance "threshold"` picks one
+                const strategy = is('string') ? next() : null;
+                return { type: 'Rebalance', strategy: strategy ? strategy.value : null, line: t.line, col: t.col };
+            }
+            if (is('keyword', 'distribute')) {
+                next();
+                const amount = parseAmount();
+                expect('keyword', 'to');
+                expect('keyword', 'holders');
+                return { type: 'Distribute', amount, line: t.line, col: t.col };
+            }
+            throw new PolicyError(`Expected an action (sell, buy, rebalance, distribute) but found ${describe(t)}`, t.line, t.col);
+        }
+
+        // 50%, $25k, or a variable read as a percentage (`distribute yield_percent to holders`)
+        function parseAmount() {
+            if (is('ident')) {
+                const v = next();
+                return { name: v.value, unit: '%', line: v.line, col: v.col };
+            }
+            const t = expect('number', undefined, 'an amount (e.g. 50% or $25k)');
+            if (t.unit !== '%' && t.unit !== '$') {
+                throw new PolicyError(`Amount ${t.value} needs a unit: use ${t.value}% or $${t.value}`, t.line, t.col);
+            }
+            return { value: t.value, unit: t.unit };
+        }
+
+        // condition := and ('or' and)* ; and := unary ('and' unary)* ; unary := 'not' unary | primary
+        function parseCondition() {
+            let left = parseAnd();
+            while (is('keyword', 'or')) {
+                next();
+                left = { type: 'Logical', op: 'or', left, right: parseAnd() };
+            }
+            return left;
+        }
+
+        function parseAnd() {
+            let left = parseUnary();
+            while (is('keyword', 'and')) {
+                next();
+                left = { type: 'Logical', op: 'and', left, right: parseUnary() };
+            }
+            return left;
+        }
+
+        function parseUnary() {
+            if (is('keyword', 'not')) {
+                next();
+                return { type: 'Not', operand: parseUnary() };
+            }
+            if (is('punct', '(')) {
+                next();
+                const inner = parseCondition();
+                expect('punct', ')');
+                return inner;
+            }
+            const left = parseOperand();
+            const op = expect('op', undefined, 'a comparison (<, <=, >, >=, ==, !=)');
+            const right = parseOperand();
+            return { type: 'Compare', op: op.value, left, right };
+        }
+
+        function parseOperand() {
+            const t = peek();
+            if (is('number')) {
+                next();
+                return { type: 'Number', value: t.value, unit: t.unit };
+            }
+            if (is('ident')) {
+                next();
+                // Per-asset variables name their asset: `weight "bonds"`
+                const arg = is('string') ? next().value : null;
+                return { type: 'Var', name: t.value, arg, line: t.line, col: t.col };
+            }
+            throw new PolicyError(`Expected a number or variable but found ${describe(t)}`, t.line, t.col);
+        }
+
+        return parseProgram();
+    }
+
+    // --- Validation ---
+
+    // vocabulary: { variables: [...], assetVariables: [...], params: [...], paramLimits: { name: [min, max] }, assets: [...], schedules: [...], strategies: [...] }
+    // Assignable params are percentages, so `target_ratio = 110` and `target_ratio = 110%` are the same.
+    function validatePolicy(program, vocabulary) {
+        const errors = [];
+        const err = (message, node) => errors.push({ message, line: node.line, col: node.col });
+        const seen = new Set();
+
+        const checkCondition = (node) => {
+            if (node.type === 'Logical') {
+                checkCondition(node.left);
+                checkCondition(node.right);
+            } else if (node.type === 'Not') {
+                checkCondition(node.operand);
+            } else if (node.type === 'Compare') {
+                [node.left, node.right].filter(o => o.type === 'Var').forEach(checkVariable);
+            }
+        };
+
+        const checkAsset = (id, node) => {
+            if (!ASSET_ID_PATTERN.test(id)) {
+                err(`Invalid asset id "${id}": use letters, digits and underscores, not starting with a digit`, node);
+            } else if (!vocabulary.assets.includes(id)) {
+                err(`Unknown asset "${id}" (available: ${vocabulary.assets.join(', ')})`, node);
+            }
+        };
+
+        const checkVariable = (operand) => {
+            const assetVariables = vocabulary.assetVariables || [];
+            if (assetVariables.includes(operand.name)) {
+                if (operand.arg === null) {
+                    err(`Variable "${operand.name}" needs an asset, e.g. ${operand.name} "${vocabulary.assets[0]}"`, operand);
+                } else {
+                    checkAsset(operand.arg, operand);
+                }
+            } else if (!vocabulary.variables.includes(operand.name)) {
+                const available = vocabulary.variables.concat(assetVariables.map(name => `${name} "<asset>"`));
+                err(`Unknown variable "${operand.name}" (available: ${available.join(', ')})`, operand);
+            } else if (operand.arg !== null) {
+                err(`Variable "${operand.name}" does not take an asset`, operand);
+            }
+        };
+
+        const checkAssignment = (stmt) => {
+            const limits = (vocabulary.paramLimits || {})[stmt.name];
+            if (!vocabulary.params.includes(stmt.name)) {
+                err(`Unknown parameter "${stmt.name}" (available: ${vocabulary.params.join(', ')})`, stmt);
+            } else if (stmt.unit === '$') {
+                err(`Parameter "${stmt.name}" is a percentage, not a dollar amount`, stmt);
+            } else if (limits && (stmt.value < limits[0] || stmt.value > limits[1])) {
+                err(`Parameter "${stmt.name}" must be from ${limits[0]}% to ${limits[1]}%`, stmt);
+            }
+        };
+
+        const checkActions = (actions) => {
+            actions.forEach(action => {
+                if (action.type === 'Sell' || action.type === 'Buy') checkAsset(action.asset, action);
+                if (action.type === 'Rebalance' && action.strategy && !(vocabulary.strategies || []).includes(action.strategy)) {
+                    err(`Unknown rebalance strategy "${action.strategy}" (available: ${(vocabulary.strategies || []).join(', ')})`, action);
+                }
+                if (action.amount && action.amount.name && !vocabulary.variables.includes(action.amount.name)) {
+                    err(`Unknown variable "${action.amount.name}" (available: ${vocabulary.variables.join(', ')})`, action.amount);
+                }
+            });
+        };
+
+        program.policies.forEach(policy => {
+            if (seen.has(policy.name)) err(`Duplicate policy name "${policy.name}"`, policy);
+            seen.add(policy.name);
+
+            policy.statements.forEach(stmt => {
+                if (stmt.type === 'Assign') {
+                    checkAssignment(stmt);
+                } else if (stmt.type === 'When') {
+                    checkCondition(stmt.condition);
+                    checkActions(stmt.actions);
+                } else if (stmt.type === 'Every') {
+                    if (!vocabulary.schedules.includes(stmt.schedule)) {
+                        err(`Unknown schedule "${stmt.schedule}" (available: ${vocabulary.schedules.join(', ')})`, stmt);
+                    }
+                    checkActions(stmt.actions);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    // Parse + validate. Never throws: returns { program, errors } where program is null on failure.
+    function compilePolicy(source, vocabulary) {
+        let program;
+        try {
+            program = parsePolicy(source);
+        } catch (e) {
+            if (!(e instanceof PolicyError)) throw e;
+            return { program: null, errors: [{ message: e.message, line: e.line, col: e.col }] };
+        }
+        const errors = validatePolicy(program, vocabulary);
+        return { program: errors.length ? null : program, errors };
+    }
+
+    // --- Interpreter ---
+
+    // Parameter assignments (`shock_magnitude = 20%`) across all policies; later ones win.
+    function getPolicyAssignments(program) {
+        const values = {};
+        program.policies.forEach(policy => {
+            policy.statements.forEach(stmt => {
+                if (stmt.type === 'Assign') values[stmt.name] = stmt.value;
+            });
+        });
+        return values;
+    }
+
+    function evaluateCondition(node, resolve) {
+        switch (node.type) {
+            case 'Logical':
+                return node.op === 'and'
+                    ? evaluateCondition(node.left, resolve) && evaluateCondition(node.right, resolve)
+                    : evaluateCondition(node.left, resolve) || evaluateCondition(node.right, resolve);
+            case 'Not':
+                return !evaluateCondition(node.operand, resolve);
+            case 'Compare':
+                return compare(node.op, evaluateOperand(node.left, resolve), evaluateOperand(node.right, resolve));
+        }
+        return false;
+    }
+
+    function evaluateOperand(node, resolve) {
+        return node.type === 'Number' ? node.value : resolve(node.name, node.arg);
+    }
+
+    function compare(op, a, b) {
+        switch (op) {
+            case '<': return a < b;
+            case '<=': return a <= b;
+            case '>': return a > b;
+            case '>=': return a >= b;
+            case '==': return a === b;
+            case '!=': return a !== b;
+        }
+        return false;
+    }
+
+    /**
+     * Evaluate a condition without short-circuiting, so every clause reports its outcome.
+     * Returns { passed, text, clauses: [{ condition, values, passed }] } where text marks
+     * each comparison with the values it saw, e.g.
+     *   `reserve_ratio 96.6 < 110 ✓ and risk_score 25.2 > 40 ✗`
+     */
+    function explainCondition(node, resolve) {
+        switch (node.type) {
+            case 'Logical': {
+                const left = explainCondition(node.left, resolve);
+                const right = explainCondition(node.right, resolve);
+                return {
+                    passed: node.op === 'and' ? left.passed && right.passed : left.passed || right.passed,
+                    text: `${groupText(node.left, node.op, left.text)} ${node.op} ${groupText(node.right, node.op, right.text)}`,
+                    clauses: left.clauses.concat(right.clauses)
+                };
+            }
+            case 'Not': {
+                const inner = explainCondition(node.operand, resolve);
+                return { passed: !inner.passed, text: `not (${inner.text})`, clauses: inner.clauses };
+            }
+            case 'Compare': {
+                const a = evaluateOperand(node.left, resolve);
+                const b = evaluateOperand(node.right, resolve);
+                const passed = compare(node.op, a, b);
+                const values = {};
+                [[node.left, a], [node.right, b]].forEach(([operand, value]) => {
+                    if (operand.type === 'Var') values[formatOperand(operand)] = value;
+                });
+                const side = (operand, value) => (operand.type === 'Var' ? `${formatOperand(operand)} ${formatValue(value)}` : formatOperand(operand));
+                return {
+                    passed,
+                    text: `${side(node.left, a)} ${node.op} ${side(node.right, b)} ${passed ? '✓' : '✗'}`,
+                    clauses: [{ condition: formatCondition(node), values, passed }]
+                };
+            }
+        }
+        return { passed: false, text: '', clauses: [] };
+    }
+
+    function formatValue(value) {
+        return Number.isInteger(value) ? String(value) : value.toFixed(1);
+    }
+
+    // `a or b` inside an `and` (and vice versa) keeps its parentheses
+    function groupText(child, parentOp, text) {
+        return child.type === 'Logical' && child.op !== parentOp ? `(${text})` : text;
+    }
+
+    // Human-readable condition text, e.g. `reserve_ratio < 110 and risk_score > 40`
+    function formatCondition(node) {
+        switch (node.type) {
+            case 'Logical': return `${groupText(node.left, node.op, formatCondition(node.left))} ${node.op} ${groupText(node.right, node.op, formatCondition(node.right))}`;
+            case 'Not': return `not (${formatCondition(node.operand)})`;
+            case 'Compare': return `${formatOperand(node.left)} ${node.op} ${formatOperand(node.right)}`;
+        }
+        return '';
+    }
+
+    function formatOperand(node) {
+        if (node.type === 'Var') return node.arg !== null && node.arg !== undefined ? `${node.name} "${node.arg}"` : node.name;
+        if (node.unit === '$') return `$${node.value}`;
+        return `${node.value}${node.unit || ''}`;
+    }
+
+    /**
+     * Execute one action block against a portfolio (plain object of asset id -> value).
+     * Sells move value into a proceeds pool; buys spend it (an equal split for buys
+     * without an amount). Buys with nothing sold are funded from env.fundingAsset.
+     * Unspent proceeds are parked in env.fundingAsset.
+     * `rebalance` runs first and is delegated to env.rebalance(portfolio, strategy).
+     * Distributions are capped by env.distributionLimit() when the host provides it.
+     * Sells and buys of assets listed in env.frozen are skipped.
+     */
+    function executeActions(actions, portfolio, env) {
+        const p = { ...portfolio };
+        const tradable = (action) => !(env.frozen && env.frozen.includes(action.asset));
+        const resolve = (name, arg) => env.resolve(name, p, arg);
+        const trades = [];
+        let distributed = 0;
+        let requested = 0;
+        let proceeds = 0;
+
+        actions.filter(a => a.type === 'Rebalance').forEach(action => {
+            const outcome = env.rebalance(p, action.strategy);
+            Object.assign(p, outcome.portfolio);
+            trades.push(...outcome.trades);
+        });
+
+        actions.filter(a => a.type === 'Sell' && tradable(a)).forEach(action => {
+            const held = p[action.asset] || 0;
+            const amount = resolveAmount(action.amount, held, resolve, DEFAULT_SELL_PERCENT);
+            const sold = Math.min(held, amount);
+            p[action.asset] = held - sold;
+            proceeds += sold;
+            if (sold > 0) trades.push({ side: 'sell', asset: action.asset, amount: sold });
+        });
+
+        const buys = actions.filter(a => a.type === 'Buy' && tradable(a));
+        if (buys.length) {
+            const fromFunding = proceeds === 0;
+            if (fromFunding) {
+                proceeds = p[env.fundingAsset] || 0;
+                p[env.fundingAsset] = 0;
+            }
+            const pool = proceeds;
+
+            const sized = buys.filter(a => a.amount);
+            const unsized = buys.filter(a => !a.amount);
+            sized.forEach(action => {
+                const spend = Math.min(proceeds, resolveAmount(action.amount, pool, resolve));
+                proceeds -= spend;
+                p[action.asset] = (p[action.asset] || 0) + spend;
+                if (spend > 0) trades.push({ side: 'buy', asset: action.asset, amount: spend });
+            });
+            const share = unsized.length ? proceeds / unsized.length : 0;
+            unsized.forEach(action => {
+                proceeds -= share;
+                p[action.asset] = (p[action.asset] || 0) + share;
+                if (share > 0) trades.push({ side: 'buy', asset: action.asset, amount: share });
+            });
+        }
+        if (proceeds > 0) {
+            p[env.fundingAsset] = (p[env.fundingAsset] || 0) + proceeds;
+        }
+
+        actions.filter(a => a.type === 'Distribute').forEach(action => {
+            const total = Object.values(p).reduce((sum, v) => sum + v, 0);
+            const amount = resolveAmount(action.amount, total, resolve);
+            const limit = env.distributionLimit ? env.distributionLimit(p) - distributed : Infinity;
+            let remaining = Math.max(0, Math.min(total, amount, limit));
+            requested += amount;
+            // Frozen assets are left out of the payout order, so less than asked can be paid
+            env.payoutOrder.forEach(id => {
+                const paid = Math.min(p[id] || 0, remaining);
+                if (paid > 0) {
+                    p[id] -= paid;
+                    remaining -= paid;
+                    distributed += paid;
+                    trades.push({ side: 'pay', asset: id, amount: paid });
+                }
+            });
+        });
+
+        return { portfolio: p, trades, distributed, requested };
+    }
+
+    function resolveAmount(amount, base, resolve, defaultPercent) {
+        if (!amount) return base * (defaultPercent / 100);
+        const value = amount.name ? resolve(amount.name) : amount.value;
+        return amount.unit === '%' ? base * (value / 100) : value;
+    }
+
+    /**
+     * Run every rule matching a trigger.
+     *   trigger: { type: 'when' } evaluates all `when` conditions,
+     *            { type: 'every', schedule: 'month_end' } fires matching `at every` blocks.
+     *   env: { resolve(name, portfolio, arg), fundingAsset, payoutOrder, rebalance, distributionLimit?,
+     *          cooldowns?, periodIndex?, frozen?, defer? }
+     * `when` rules with a cooldown record the period they may fire again in env.cooldowns
+     * (rule key -> period index); a rule that matches before then reports `cooling` instead of acting.
+     * defer(result) can hold an action back: its trades are reported but not applied, and the
+     * result is marked `deferred` for the host to execute later (or not at all).
+     * Returns the new portfolio and one result per evaluated rule.
+     */
+    function runPolicies(program, trigger, portfolio, env) {
+        let p = portfolio;
+        const results = [];
+
+        program.policies.forEach(policy => {
+            policy.statements.forEach((stmt, n) => {
+                if (trigger.type === 'when' && stmt.type === 'When') {
+                    const resolve = (name, arg) => env.resolve(name, p, arg);
+                    const explained = explainCondition(stmt.condition, resolve);
+                    const values = {};
+                    explained.clauses.forEach(clause => Object.assign(values, clause.values));
+
+                    const key = getRuleKey(policy, n);
+                    const readyAt = env.cooldowns ? env.cooldowns[key] : undefined;
+                    const cooling = explained.passed && readyAt !== undefined && env.periodIndex < readyAt;
+                    const result = {
+                        policy: policy.name,
+                        rule: key,
+                        condition: formatCondition(stmt.condition),
+                        explanation: explained.text,
+                        clauses: explained.clauses,
+                        values,
+                        matched: explained.passed,
+                        cooling,
+                        readyAt: cooling ? readyAt : null,
+                        trades: [],
+                        distributed: 0,
+                        requested: 0
+                    };
+                    if (explained.passed && !cooling) {
+                        const outcome = executeActions(stmt.actions, p, env);
+                        result.trades = outcome.trades;
+                        result.distributed = outcome.distributed;
+                        result.requested = outcome.requested;
+                        if (env.defer && env.defer(result)) result.deferred = true;
+                        else p = outcome.portfolio;
+                        if (stmt.cooldown && env.cooldowns) env.cooldowns[key] = env.periodIndex + stmt.cooldown + 1;
+                    }
+                    results.push(result);
+                } else if (trigger.type === 'every' && stmt.type === 'Every' && stmt.schedule === trigger.schedule) {
+                    const outcome = executeActions(stmt.actions, p, env);
+                    const result = { policy: policy.name, rule: getRuleKey(policy, n), schedule: stmt.schedule, matched: true, trades: outcome.trades, distributed: outcome.distributed, requested: outcome.requested };
+                    if (env.defer && env.defer(result)) result.deferred = true;
+                    else p = outcome.portfolio;
+                    results.push(result);
+                }
+            });
+        });
+
+        return { portfolio: p, results };
+    }
+
+    // Stable id of a rule within a program: policy name plus statement position
+    function getRuleKey(policy, statementIndex) {
+        return `${policy.name}#${statementIndex}`;
+    }
+
+    return {
+        ASSET_ID_PATTERN,
+        PolicyError,
+        tokenizePolicy,
+        parsePolicy,
+        validatePolicy,
+        compilePolicy,
+        getPolicyAssignments,
+        evaluateCondition,
+        explainCondition,
+        formatCondition,
+        executeActions,
+        runPolicies
+    };
+}));
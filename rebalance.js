@@ -0,0 +1,217 @@
+/**
+ * Autonomous Finance Storyboard (RialoFlow)
+ * Rebalancer: target weights, drift bands and trade planning
+ *
+ * Every asset in the registry carries a target weight (% of total value) and a
+ * drift band (± percentage points). A strategy turns the current portfolio into
+ * an itemized trade list that respects minimum trade size and per-asset liquidity.
+ * engine.js calls planRebalance() for the policy language's `rebalance` action.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RialoRebalance = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // --- Strategies ---
+
+    const REBALANCE_STRATEGIES = {
+        legacy: { label: 'Legacy (sell 50%)', desc: 'Sell half of the riskiest asset into the safe-haven asset.', plan: planLegacy },
+        proportional: { label: 'Proportional', desc: 'Trade every asset back to its target weight.', plan: planProportional },
+        threshold: { label: 'Threshold', desc: 'Only assets outside their drift band trade back to target.', plan: planThreshold },
+        cash_first: { label: 'Cash-first', desc: 'Refill instant-liquidity assets to target, selling the riskiest assets first.', plan: planCashFirst }
+    };
+
+    const LEGACY_SELL_PERCENT = 50;
+
+    /**
+     * Plan and apply a rebalance.
+     *   portfolio: asset id -> value
+     *   assets:    registry entries with { id, riskWeight, liquidity, targetWeight, band }
+     *   options:   {
+     *       strategy,     // REBALANCE_STRATEGIES key
+     *       minTrade,     // $; smaller trades are skipped
+     *       tiers,        // liquidity tiers: { [tier]: { rank, maxSellPercent } }
+     *       fundingAsset, // settles the net cash flow of target-based strategies
+     *       legacyPair    // { sell, buy } asset ids for the legacy strategy
+     *   }
+     * Returns { portfolio, trades: [{ side, asset, amount, fromWeight, toWeight, targetWeight }] }.
+     */
+    function planRebalance(portfolio, assets, options) {
+        const strategy = REBALANCE_STRATEGIES[options.strategy] || REBALANCE_STRATEGIES.legacy;
+        const before = { ...portfolio };
+        const total = sumValues(before);
+        if (total <= 0) return { portfolio: before, trades: [] };
+
+        const orders = strategy.plan(before, assets, options, total);
+        const p = { ...before };
+        orders.forEach(o => {
+            p[o.asset] = (p[o.asset] || 0) + (o.side === 'sell' ? -o.amount : o.amount);
+        });
+
+        const targets = getTargetWeights(assets);
+        const trades = orders.map(o => ({
+            ...o,
+            fromWeight: ((before[o.asset] || 0) / total) * 100,
+            toWeight: ((p[o.asset] || 0) / total) * 100,
+            targetWeight: targets ? targets[o.asset] : null
+        }));
+        return { portfolio: p, trades };
+    }
+
+    function planLegacy(p, assets, options) {
+        const { sell, buy } = options.legacyPair || {};
+        const asset = assets.find(a => a.id === sell);
+        if (!asset || !buy) return [];
+
+        const amount = Math.min((p[sell] || 0) * (LEGACY_SELL_PERCENT / 100), maxSell(p, asset, options));
+        if (amount < options.minTrade || amount <= 0) return [];
+        return [
+            { side: 'sell', asset: sell, amount },
+            { side: 'buy', asset: buy, amount }
+        ];
+    }
+
+    function planProportional(p, assets, options, total) {
+        return planTowardTargets(p, assets.filter(a => a.id !== options.fundingAsset), assets, options, total);
+    }
+
+    function planThreshold(p, assets, options, total) {
+        const drift = getDrift(p, assets);
+        const outside = assets.filter(a => a.id !== options.fundingAsset && Math.abs(drift[a.id]) > a.band);
+        return planTowardTargets(p, outside, assets, options, total);
+    }
+
+    // Move the selected assets to target; the funding asset settles the difference
+    function planTowardTargets(p, selected, assets, options, total) {
+        const targets = getTargetWeights(assets);
+        if (!targets) return [];
+
+        const sells = [];
+        const buys = [];
+        selected.forEach(asset => {
+            const gap = (targets[asset.id] / 100) * total - (p[asset.id] || 0);
+            if (gap < 0) {
+                const amount = Math.min(-gap, maxSell(p, asset, options));
+                if (amount >= options.minTrade && amount > 0) sells.push({ side: 'sell', asset: asset.id, amount });
+            } else if (gap > 0 && canBuy(asset, options)) {
+                if (gap >= options.minTrade) buys.push({ side: 'buy', asset: asset.id, amount: gap });
+            }
+        });
+
+        // Buys can only spend sale proceeds plus what the funding asset holds
+        const raised = sells.reduce((sum, o) => sum + o.amount, 0);
+        const wanted = buys.reduce((sum, o) => sum + o.amount, 0);
+        const available = raised + (p[options.fundingAsset] || 0);
+        if (wanted > available) {
+            const scale = available / wanted;
+            buys.forEach(o => { o.amount *= scale; });
+        }
+        const placed = buys.filter(o => o.amount >= options.minTrade && o.amount > 0);
+
+        // Leftover proceeds park in the funding asset; a shortfall is drawn from it
+        const net = raised - placed.reduce((sum, o) => sum + o.amount, 0);
+        const settle = [];
+        if (Math.abs(net) > 0.005 && options.fundingAsset) {
+            settle.push({ side: net > 0 ? 'buy' : 'sell', asset: options.fundingAsset, amount: Math.abs(net) });
+        }
+        return sells.concat(placed, settle);
+    }
+
+    function planCashFirst(p, assets, options, total) {
+        const targets = getTargetWeights(assets);
+        if (!targets) return [];
+
+        const rank = (a) => options.tiers[a.liquidity].rank;
+        const liquid = assets.filter(a => rank(a) === 0);
+        const deficits = liquid.map(a => ({ asset: a, gap: (targets[a.id] / 100) * total - (p[a.id] || 0) })).filter(d => d.gap > 0);
+        let need = deficits.reduce((sum, d) => sum + d.gap, 0);
+        if (need < options.minTrade) return [];
+
+        // Overweight assets give up their excess first, then positions below target; riskiest first
+        const sellable = assets.filter(a => rank(a) > 0).sort((a, b) => b.riskWeight - a.riskWeight);
+        const sells = [];
+        const sold = {};
+        const passes = [
+            (a) => Math.max(0, (p[a.id] || 0) - (targets[a.id] / 100) * total),
+            (a) => maxSell(p, a, options) - (sold[a.id] || 0)
+        ];
+        passes.forEach(room => {
+            sellable.forEach(asset => {
+                if (need <= 0) return;
+                const limit = Math.min(room(asset), maxSell(p, asset, options) - (sold[asset.id] || 0));
+                const amount = Math.min(need, Math.max(0, limit));
+                if (amount <= 0) return;
+                sold[asset.id] = (sold[asset.id] || 0) + amount;
+                need -= amount;
+            });
+        });
+        Object.keys(sold).forEach(id => {
+            if (sold[id] >= options.minTrade) sells.push({ side: 'sell', asset: id, amount: sold[id] });
+        });
+
+        // Proceeds refill the liquid assets in proportion to their shortfall
+        const raised = sells.reduce((sum, o) => sum + o.amount, 0);
+        const totalGap = deficits.reduce((sum, d) => sum + d.gap, 0);
+        const buys = deficits
+            .map(d => ({ side: 'buy', asset: d.asset.id, amount: raised * (d.gap / totalGap) }))
+            .filter(o => o.amount > 0);
+        return sells.concat(buys);
+    }
+
+    // --- Helpers ---
+
+    // Target weights scaled to sum to 100, or null when no asset has a target
+    function getTargetWeights(assets) {
+        const sum = assets.reduce((s, a) => s + (a.targetWeight || 0), 0);
+        if (sum <= 0) return null;
+        const targets = {};
+        assets.forEach(a => {
+            targets[a.id] = ((a.targetWeight || 0) / sum) * 100;
+        });
+        return targets;
+    }
+
+    // Current weight minus target weight per asset, in percentage points
+    function getDrift(portfolio, assets) {
+        const total = sumValues(portfolio);
+        const targets = getTargetWeights(assets);
+        const drift = {};
+        assets.forEach(a => {
+            const weight = total > 0 ? ((portfolio[a.id] || 0) / total) * 100 : 0;
+            drift[a.id] = targets ? weight - targets[a.id] : 0;
+        });
+        return drift;
+    }
+
+    // Largest absolute drift across assets, in percentage points
+    function getMaxDrift(portfolio, assets) {
+        const drift = getDrift(portfolio, assets);
+        return Object.keys(drift).reduce((max, id) => Math.max(max, Math.abs(drift[id])), 0);
+    }
+
+    // Liquidity caps how much of a position can be sold in one period
+    function maxSell(p, asset, options) {
+        return (p[asset.id] || 0) * (options.tiers[asset.liquidity].maxSellPercent / 100);
+    }
+
+    function canBuy(asset, options) {
+        return options.tiers[asset.liquidity].maxSellPercent > 0;
+    }
+
+    function sumValues(p) {
+        return Object.keys(p).reduce((sum, id) => sum + p[id], 0);
+    }
+
+    return {
+        REBALANCE_STRATEGIES,
+        planRebalance,
+        getTargetWeights,
+        getDrift,
+        getMaxDrift
+    };
+}));
@@ -0,0 +1,383 @@
+/**
+ * Autonomous Finance Storyboard (RialoFlow)
+ * Reports: a run's results as JSON, CSV and a printable HTML page
+ *
+ * buildRunReport() collects the scenario, policy text, every snapshot and the
+ * log into one plain object; the other builders turn that object into file
+ * contents. No DOM access, so reports can also be produced from Node.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./charts.js'));
+    } else {
+        root.RialoReport = factory(root.RialoCharts);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Charts) {
+    'use strict';
+
+    const REPORT_VERSION = 1;
+
+    // Rebalancer trades buy and sell; payouts to holders and cost settlements pay out of an asset
+    const TRADE_SIDES = { buy: 'Buy', sell: 'Sell', pay: 'Pay out' };
+
+    // --- Building ---
+
+    /**
+     * Collect a run into a report.
+     *   run: {
+     *       scenario,  // RialoScenario.createScenario() output
+     *       policy,    // policy source the run used (generated or hand-written)
+     *       periods,   // engine periods, one per step of the horizon
+     *       history,   // engine snapshots, T+0 first
+     *       logs,      // log records, see RialoEngine.createLogRecord
+     *       ledger     // optional RialoHolders.describeLedger() at the last step
+     *   }
+     */
+    function buildRunReport(run) {
+        const { scenario, periods, history } = run;
+        return JSON.parse(JSON.stringify({
+            version: REPORT_VERSION,
+            generatedAt: new Date().toISOString(),
+            name: scenario.name,
+            complete: history.length === periods.length,
+            scenario,
+            policy: run.policy,
+            steps: history.map(snap => ({
+                index: snap.index,
+                label: snap.label,
+                title: snap.title,
+                balances: { ...snap.portfolio },
+                totalValue: snap.totalValue,
+                liabilities: snap.liabilities,
+                accruedYield: snap.accruedYield,
+                // Unbounded ratios (nothing owed) are written as null
+                reserveRatio: Number.isFinite(snap.reserveRatio) ? snap.reserveRatio : null,
+                targetRatio: snap.targetRatio,
+                riskScore: snap.riskScore,
+                costs: snap.costs,
+                totalCosts: snap.totalCosts,
+                trades: snap.trades
+            })),
+            logs: run.logs,
+            ledger: run.ledger || null
+        }));
+    }
+
+    // --- CSV ---
+
+    /**
+     * One file, sections separated by a blank line, each with a title row and its own
+     * header: Parameters, Steps (one balance column per asset), Trades, Log and, with a
+     * ledger, Holders.
+     */
+    function reportToCsv(report) {
+        const assets = report.scenario.assets;
+        const params = Object.keys(report.scenario.params).map(key => [key, report.scenario.params[key]]);
+        const liabilities = Object.keys(report.scenario.liabilities).map(key => [`liabilities.${key}`, report.scenario.liabilities[key]]);
+        const oracle = Object.keys(report.scenario.oracle).map(key => [`oracle.${key}`, report.scenario.oracle[key]]);
+        // The registry itself is in the Holders section and the JSON export
+        const holders = [
+            ['holders.count', report.scenario.holders.registry.length],
+            ['holders.vestingPeriods', report.scenario.holders.vestingPeriods],
+            ['holders.claimWindow', report.scenario.holders.claimWindow]
+        ];
+        const governance = Object.keys(report.scenario.governance).map(key => [`governance.${key}`, report.scenario.governance[key]]);
+        // A replayed price series and a story are summarized here; the JSON export carries them in full
+        const horizon = Object.keys(report.scenario.horizon).map(key => {
+            const value = report.scenario.horizon[key];
+            if (key === 'replay' && value) return [`horizon.${key}`, `${value.name} (${value.points.length} dates)`];
+            if (key === 'story' && value) return [`horizon.${key}`, `${value.title} (${value.steps.length} steps)`];
+            return [`horizon.${key}`, value];
+        });
+
+        const steps = report.steps.map(step => [
+            step.index,
+            step.label,
+            step.totalValue,
+            step.liabilities,
+            step.reserveRatio,
+            step.targetRatio,
+            step.riskScore,
+            step.accruedYield,
+            step.costs.total,
+            step.totalCosts
+        ].concat(assets.map(a => step.balances[a.id] || 0)));
+
+        const trades = report.steps.flatMap(step => step.trades.map(t => [
+            step.index,
+            step.label,
+            t.policy,
+            t.side,
+            t.asset,
+            t.amount,
+            t.fromWeight,
+            t.toWeight,
+            t.targetWeight,
+            t.cost || 0
+        ]));
+
+        const logs = report.logs.map(r => [r.step, r.label, r.date, r.type, r.severity, r.amount, r.assets.join(' '), r.policy, r.message]);
+
+        return [
+            section('Parameters', ['name', 'value'], params.concat(liabilities, holders, horizon, oracle, governance)),
+            section('Steps', ['step', 'label', 'total_value', 'liabilities', 'reserve_ratio', 'target_ratio', 'risk_score',
+                'accrued_yield', 'costs', 'total_costs'].concat(assets.map(a => `balance_${a.id}`)), steps),
+            section('Trades', ['step', 'label', 'policy', 'side', 'asset', 'amount', 'from_weight', 'to_weight', 'target_weight', 'cost'], trades),
+            section('Log', ['step', 'label', 'date', 'type', 'severity', 'amount', 'assets', 'policy', 'message'], logs)
+        ].concat(report.ledger ? [holderSection(report.ledger)] : []).join('\n');
+    }
+
+    /**
+     * A holder ledger (RialoHolders.describeLedger) on its own: Holders, one row per
+     * holder, and Payouts, one row per grant.
+     */
+    function ledgerToCsv(ledger) {
+        const payouts = ledger.payouts.map(g => [
+            g.period,
+            g.policy,
+            g.address,
+            g.label,
+            g.amount,
+            g.vested,
+            g.claimed,
+            g.claimable,
+            g.returned,
+            g.unvested
+        ]);
+        return [
+            holderSection(ledger),
+            section('Payouts', ['step', 'policy', 'address', 'label', 'amount', 'vested', 'claimed', 'claimable', 'returned', 'unvested'], payouts)
+        ].join('\n');
+    }
+
+    function holderSection(ledger) {
+        const rows = ledger.holders.map(h => [
+            h.address,
+            h.label,
+            h.shares,
+            h.share,
+            h.payouts,
+            h.allocated,
+            h.vested,
+            h.claimed,
+            h.claimable,
+            h.returned,
+            h.unvested
+        ]);
+        return section('Holders', ['address', 'label', 'shares', 'share_pct', 'payouts', 'allocated', 'vested', 'claimed', 'claimable', 'returned', 'unvested'], rows);
+    }
+
+    function section(title, header, rows) {
+        return [[title], header].concat(rows).map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+    }
+
+    // Quote text that contains a separator, quote or line break; blanks for missing numbers
+    function csvCell(value) {
+        if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) return '';
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // --- Printable HTML ---
+
+    // A standalone page (inline styles, inline SVG charts) meant to be printed or saved as PDF
+    function renderReportHtml(report) {
+        const { scenario, steps } = report;
+        const labels = steps.map(s => s.label);
+        const money = (v) => `$${(v / 1000).toFixed(0)}k`;
+        const ratio = (v) => (v === null ? '∞' : `${v.toFixed(1)}%`);
+        const last = steps[steps.length - 1];
+        const ratios = steps.map(s => (s.reserveRatio === null ? NaN : s.reserveRatio));
+
+        const charts = [
+            {
+                title: 'Balances by asset',
+                svg: Charts.renderStackedAreaChart({
+                    labels,
+                    series: scenario.assets.map(a => ({ name: a.name, color: a.color, values: steps.map(s => s.balances[a.id] || 0) })),
+                    format: money,
+                    ariaLabel: 'Balance of each asset per step, stacked'
+                })
+            },
+            {
+                title: 'Reserve ratio vs target',
+                svg: Charts.renderLineChart({
+                    labels,
+                    series: [{ name: 'Reserve ratio', color: '#0f766e', values: ratios }],
+                    threshold: { name: 'Target', values: steps.map(s => s.targetRatio) },
+                    format: (v) => `${v.toFixed(1)}%`,
+                    ariaLabel: 'Reserve ratio per step against the target reserve ratio'
+                })
+            },
+            {
+                title: 'Total value vs liabilities',
+                svg: Charts.renderLineChart({
+                    labels,
+                    series: [
+                        { name: 'Total value', color: '#0f766e', values: steps.map(s => s.totalValue) },
+                        { name: 'Liabilities', color: '#64748b', values: steps.map(s => s.liabilities) }
+                    ],
+                    format: money,
+                    ariaLabel: 'Total value and liabilities per step'
+                })
+            },
+            {
+                title: 'Risk score',
+                svg: Charts.renderLineChart({
+                    labels,
+                    series: [{ name: 'Risk score', color: '#ef4444', values: steps.map(s => s.riskScore) }],
+                    format: (v) => v.toFixed(0),
+                    min: 0,
+                    max: 100,
+                    ariaLabel: 'Risk score per step'
+                })
+            }
+        ].filter(c => c.svg);
+
+        const assetNames = {};
+        scenario.assets.forEach(a => { assetNames[a.id] = a.name; });
+
+        const paramRows = Object.keys(scenario.params)
+            .map(key => `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(scenario.params[key])}</td></tr>`).join('');
+        const stepRows = steps.map(s => `
+            <tr>
+                <td>${escapeHtml(s.label)}</td>
+                <td>${money(s.totalValue)}</td>
+                <td>${money(s.liabilities)}</td>
+                <td>${ratio(s.reserveRatio)}</td>
+                <td>${s.targetRatio.toFixed(1)}%</td>
+                <td>${s.riskScore.toFixed(0)}</td>
+                ${scenario.assets.map(a => `<td>${money(s.balances[a.id] || 0)}</td>`).join('')}
+            </tr>`).join('');
+        const tradeRows = steps.flatMap(s => s.trades.map(t => `
+            <tr>
+                <td>${escapeHtml(s.label)}</td>
+                <td>${escapeHtml(t.policy)}</td>
+                <td>${TRADE_SIDES[t.side] || t.side} ${escapeHtml(assetNames[t.asset] || t.asset)}</td>
+                <td>${money(t.amount)}</td>
+                <td>${t.fromWeight !== undefined ? `${t.fromWeight.toFixed(1)}% → ${t.toWeight.toFixed(1)}%` : '–'}</td>
+            </tr>`)).join('');
+        const holderRows = report.ledger ? report.ledger.holders.map(h => `
+            <tr>
+                <td>${escapeHtml(h.label)}</td>
+                <td>${h.share.toFixed(1)}%</td>
+                <td>${money(h.allocated)}</td>
+                <td>${money(h.claimed)}</td>
+                <td>${money(h.claimable)}</td>
+                <td>${money(h.unvested)}</td>
+                <td>${money(h.returned)}</td>
+            </tr>`).join('') : '';
+        const logItems = report.logs.map(r => `<li class="${r.severity}">[${escapeHtml(r.label)}] ${escapeHtml(r.type)}: ${escapeHtml(r.message)}</li>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(report.name)} – RialoFlow run report</title>
+<style>
+    body { font-family: system-ui, sans-serif; color: #0f172a; margin: 2rem; font-size: 0.875rem; }
+    h1 { font-size: 1.375rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1rem; margin: 1.5rem 0 0.5rem; border-bottom: 1px solid #e2e8f0; padding-bottom: 0.25rem; }
+    .meta { color: #64748b; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: 0.25rem 0.5rem; border-bottom: 1px solid #e2e8f0; }
+    .charts { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; }
+    .charts h3 { font-size: 0.875rem; margin: 0 0 0.25rem; }
+    svg { width: 100%; height: auto; overflow: visible; }
+    .chart-line { fill: none; stroke-width: 2; }
+    .chart-threshold { fill: none; stroke: #ef4444; stroke-width: 1.5; stroke-dasharray: 4 3; }
+    .chart-area { opacity: 0.85; }
+    .chart-band { fill: transparent; }
+    .chart-axis { font-size: 8px; fill: #64748b; }
+    pre { background: #f8fafc; border: 1px solid #e2e8f0; padding: 0.75rem; white-space: pre-wrap; }
+    ul { padding-left: 1.25rem; font-family: ui-monospace, monospace; font-size: 0.75rem; }
+    li.warning { color: #b45309; }
+    li.critical { color: #b91c1c; font-weight: 600; }
+    section, tr, .charts > div { break-inside: avoid; }
+</style>
+</head>
+<body>
+    <h1>${escapeHtml(report.name)}</h1>
+    <p class="meta">RialoFlow run report · generated ${escapeHtml(report.generatedAt)} ·
+        ${report.complete ? `complete run to ${escapeHtml(last.label)}` : `run stopped at ${escapeHtml(last.label)}`}</p>
+
+    <section>
+        <h2>Summary</h2>
+        <table>
+            <tr><th>Final value</th><td>${money(last.totalValue)}</td></tr>
+            <tr><th>Liabilities</th><td>${money(last.liabilities)}</td></tr>
+            <tr><th>Reserve ratio</th><td>${ratio(last.reserveRatio)} (target ${last.targetRatio.toFixed(1)}%)</td></tr>
+            <tr><th>Risk score</th><td>${last.riskScore.toFixed(0)}</td></tr>
+            <tr><th>Trading costs</th><td>$${last.totalCosts.toFixed(0)}</td></tr>
+        </table>
+    </section>
+
+    <section>
+        <h2>Charts</h2>
+        <div class="charts">
+            ${charts.map(c => `<div><h3>${c.title}</h3>${c.svg}</div>`).join('')}
+        </div>
+    </section>
+
+    <section>
+        <h2>Parameters</h2>
+        <table>${paramRows}</table>
+    </section>
+
+    <section>
+        <h2>Policy</h2>
+        <pre>${escapeHtml(report.policy)}</pre>
+    </section>
+
+    <section>
+        <h2>Steps</h2>
+        <table>
+            <tr><th>Step</th><th>Value</th><th>Liabilities</th><th>Ratio</th><th>Target</th><th>Risk</th>
+                ${scenario.assets.map(a => `<th>${escapeHtml(a.name)}</th>`).join('')}</tr>
+            ${stepRows}
+        </table>
+    </section>
+
+    <section>
+        <h2>Trades</h2>
+        ${tradeRows
+            ? `<table><tr><th>Step</th><th>Policy</th><th>Trade</th><th>Amount</th><th>Weight</th></tr>${tradeRows}</table>`
+            : '<p class="meta">No trades in this run.</p>'}
+    </section>
+
+    ${report.ledger ? `<section>
+        <h2>Holders</h2>
+        <table>
+            <tr><th>Holder</th><th>Share</th><th>Allocated</th><th>Claimed</th><th>Claimable</th><th>Unvested</th><th>Returned</th></tr>
+            ${holderRows}
+        </table>
+    </section>
+
+    ` : ''}<section>
+        <h2>Log</h2>
+        <ul>${logItems}</ul>
+    </section>
+</body>
+</html>
+`;
+    }
+
+    // --- Helpers ---
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    return {
+        REPORT_VERSION,
+        buildRunReport,
+        reportToCsv,
+        ledgerToCsv,
+        renderReportHtml
+    };
+}));
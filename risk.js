@@ -0,0 +1,182 @@
+/**
+ * Autonomous Finance Storyboard (RialoFlow)
+ * Risk Models: pluggable, explainable 0-100 risk scores
+ *
+ * Every model turns a portfolio into a score plus the contribution of each
+ * asset, so the number on screen can always be taken apart. engine.js runs the
+ * model selected by the riskModel param for snapshots and the `risk_score`
+ * policy variable.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RialoRisk = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // --- Models ---
+
+    const RISK_MODELS = {
+        toy: {
+            label: 'Risk weights (toy)',
+            desc: 'Value-weighted average of asset risk weights, scaled up by the shock magnitude.',
+            assess: assessToy
+        },
+        var: {
+            label: 'Value at Risk (99%, 1y)',
+            desc: 'Parametric VaR from asset volatilities and correlation; a 10% loss scores 100.',
+            assess: (p, assets, options, total) => assessVolatility(p, assets, options, total, 'var')
+        },
+        es: {
+            label: 'Expected shortfall (97.5%, 1y)',
+            desc: 'Average loss beyond the 97.5% VaR, from the same volatilities; a 10% loss scores 100.',
+            assess: (p, assets, options, total) => assessVolatility(p, assets, options, total, 'es')
+        },
+        liquidity: {
+            label: 'Liquidity coverage',
+            desc: 'Liquid assets after haircuts against a stressed outflow of 30% of liabilities; 1x coverage scores 50.',
+            assess: assessLiquidity
+        }
+    };
+
+    // Pairwise correlation between asset returns (one number keeps the registry simple)
+    const DEFAULT_CORRELATION = 0.3;
+
+    // A loss of this share of total value at the confidence level scores 100
+    const LOSS_SCORE_SCALE = 10;
+
+    // Share of liabilities assumed to leave in a stressed redemption wave
+    const STRESSED_OUTFLOW_PERCENT = 30;
+
+    const Z_99 = 2.3263;
+    const Z_975 = 1.9600;
+
+    /**
+     * Assess a portfolio with one model.
+     *   portfolio: asset id -> value
+     *   assets:    registry entries with { id, name, riskWeight, volatility, liquidity }
+     *   options:   {
+     *       model,          // RISK_MODELS key
+     *       shockMagnitude, // % stress applied by the toy and volatility models
+     *       liabilities,    // $ owed, for liquidity coverage
+     *       tiers,          // liquidity tiers: { [tier]: { hqlaPercent } }
+     *       correlation     // optional, defaults to DEFAULT_CORRELATION
+     *   }
+     * Returns { model, score, base, contributions: [{ asset, points, detail }], summary }.
+     * score is base plus every contribution's points, clamped to 0-100.
+     */
+    function assessRisk(portfolio, assets, options) {
+        const model = RISK_MODELS[options.model] ? options.model : 'toy';
+        const total = assets.reduce((sum, a) => sum + (portfolio[a.id] || 0), 0);
+        if (total <= 0) return { model, score: 0, base: 0, contributions: [], summary: 'Nothing held' };
+
+        const result = RISK_MODELS[model].assess(portfolio, assets, options, total);
+        return { model, ...result, score: clamp(result.score) };
+    }
+
+    // Each asset adds weight × risk weight × shock factor
+    function assessToy(p, assets, options, total) {
+        const shockFactor = 1 + (options.shockMagnitude || 0) / 100;
+        const contributions = assets.map(a => {
+            const weight = (p[a.id] || 0) / total;
+            return {
+                asset: a.id,
+                points: weight * a.riskWeight * shockFactor,
+                detail: `${(weight * 100).toFixed(1)}% × risk ${a.riskWeight} × ${shockFactor.toFixed(2)}`
+            };
+        });
+        const score = contributions.reduce((sum, c) => sum + c.points, 0);
+        return {
+            score,
+            base: 0,
+            contributions: scaleToScore(contributions, score),
+            summary: `Weighted risk ${(score / shockFactor).toFixed(1)} × shock factor ${shockFactor.toFixed(2)}`
+        };
+    }
+
+    // Parametric VaR / ES over one year. Volatilities are stressed by the shock magnitude.
+    // Contributions are Euler allocations (weight × marginal risk), which add up to the total.
+    function assessVolatility(p, assets, options, total, measure) {
+        const rho = options.correlation !== undefined ? options.correlation : DEFAULT_CORRELATION;
+        const shockFactor = 1 + (options.shockMagnitude || 0) / 100;
+        const sigma = assets.map(a => ((a.volatility || 0) / 100) * shockFactor);
+        const exposure = assets.map(a => p[a.id] || 0);
+
+        // (Σ x)_i for the covariance matrix Σ_ij = ρ_ij σ_i σ_j, with ρ_ii = 1
+        const marginal = assets.map((a, i) => assets.reduce((sum, b, j) => {
+            const corr = i === j ? 1 : rho;
+            return sum + corr * sigma[i] * sigma[j] * exposure[j];
+        }, 0));
+        const variance = exposure.reduce((sum, x, i) => sum + x * marginal[i], 0);
+        const sd = Math.sqrt(Math.max(0, variance));
+
+        // ES of a normal at level α is σ φ(z_α) / (1 - α)
+        const multiplier = measure === 'var'
+            ? Z_99
+            : Math.exp(-(Z_975 * Z_975) / 2) / Math.sqrt(2 * Math.PI) / 0.025;
+        const loss = sd * multiplier;
+        const lossPercent = (loss / total) * 100;
+        const score = lossPercent * LOSS_SCORE_SCALE;
+
+        const contributions = assets.map((a, i) => {
+            const share = sd > 0 ? (exposure[i] * marginal[i]) / variance : 0;
+            return {
+                asset: a.id,
+                points: score * share,
+                detail: `$${((loss * share) / 1000).toFixed(1)}k of the loss (vol ${(sigma[i] * 100).toFixed(1)}%)`
+            };
+        });
+        return {
+            score,
+            base: 0,
+            contributions: scaleToScore(contributions, score),
+            summary: `${measure === 'var' ? 'VaR 99%' : 'ES 97.5%'}: $${(loss / 1000).toFixed(0)}k (${lossPercent.toFixed(1)}% of value), correlation ${rho}`
+        };
+    }
+
+    // Score 100 × outflow / (liquid + outflow): no liquid assets score 100, 1x coverage 50, 3x coverage 25.
+    // Every asset lowers the score in proportion to the liquid value it provides after its haircut.
+    function assessLiquidity(p, assets, options) {
+        const outflow = Math.max(0, options.liabilities || 0) * (STRESSED_OUTFLOW_PERCENT / 100);
+        const liquid = assets.map(a => (p[a.id] || 0) * (options.tiers[a.liquidity].hqlaPercent / 100));
+        const totalLiquid = liquid.reduce((sum, v) => sum + v, 0);
+        const score = outflow > 0 ? (100 * outflow) / (totalLiquid + outflow) : 0;
+        const relief = 100 - score;
+
+        const contributions = assets.map((a, i) => ({
+            asset: a.id,
+            points: totalLiquid > 0 ? -relief * (liquid[i] / totalLiquid) : 0,
+            detail: `$${(liquid[i] / 1000).toFixed(0)}k counted (${options.tiers[a.liquidity].hqlaPercent}% of value)`
+        }));
+        const coverage = outflow > 0 ? `${(totalLiquid / outflow).toFixed(2)}x` : 'no outflow';
+        return {
+            score,
+            base: totalLiquid > 0 ? 100 : score,
+            contributions,
+            summary: `Coverage ${coverage}: $${(totalLiquid / 1000).toFixed(0)}k liquid vs $${(outflow / 1000).toFixed(0)}k stressed outflow`
+        };
+    }
+
+    // --- Helpers ---
+
+    // Scores above 100 are clamped, so scale the contributions down with them
+    function scaleToScore(contributions, score) {
+        if (score <= 100) return contributions;
+        const scale = 100 / score;
+        return contributions.map(c => ({ ...c, points: c.points * scale }));
+    }
+
+    function clamp(score) {
+        return Math.min(100, Math.max(0, score));
+    }
+
+    return {
+        RISK_MODELS,
+        DEFAULT_CORRELATION,
+        STRESSED_OUTFLOW_PERCENT,
+        assessRisk
+    };
+}));
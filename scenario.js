@@ -0,0 +1,307 @@
+/**
+ * Autonomous Finance Storyboard (RialoFlow)
+ * Scenarios: a complete, serializable description of a run
+ *
+ * A scenario holds everything needed to reproduce a run: params, the asset
+ * registry and starting portfolio, liabilities, holders, time horizon (with its
+ * story or price series), oracle and governance settings, a hand-written
+ * policy (null when the policy is generated from the params) and the Monte
+ * Carlo setup. simulation.js saves scenarios to localStorage, exports them as
+ * JSON files and encodes them into share links.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'), require('./montecarlo.js'), require('./market.js'), require('./oracle.js'), require('./holders.js'), require('./governance.js'), require('./story.js'));
+    } else {
+        root.RialoScenario = factory(root.RialoEngine, root.RialoMonteCarlo, root.RialoMarket, root.RialoOracle, root.RialoHolders, root.RialoGovernance, root.RialoStory);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Engine, MonteCarlo, Market, Oracle, Holders, Governance, Story) {
+    'use strict';
+
+    const SCENARIO_VERSION = 1;
+
+    const MAX_PERIODS = 730;
+
+    // Fields every asset needs: [value used when an older file leaves one out, min, max as the editor allows]
+    const ASSET_NUMBER_FIELDS = {
+        yield: [0, -100, 100],
+        riskWeight: [50, 0, 100],
+        volatility: [0, 0, 500],
+        targetWeight: [0, 0, 100],
+        band: [5, 0, 100],
+        feeBps: [0, 0, 1000],
+        spreadBps: [0, 0, 1000],
+        impactBps: [0, 0, 1000]
+    };
+
+    // The stress test's path count, as its input allows: [min, max]
+    const MONTE_CARLO_PATHS = [100, 20000];
+
+    // --- Building ---
+
+    /**
+     * Deep-copy the parts of a run into a scenario.
+     *   parts: { name, params, assets, portfolio, liabilities, holders, horizon, oracle, governance, policy, monteCarlo }
+     *   policy: source text of a hand-written policy, or null to generate it from params
+     *   monteCarlo: { paths, seed, distributions }
+     */
+    function createScenario(parts) {
+        return JSON.parse(JSON.stringify({
+            version: SCENARIO_VERSION,
+            name: parts.name || 'Untitled scenario',
+            params: parts.params,
+            assets: parts.assets,
+            portfolio: parts.portfolio,
+            liabilities: parts.liabilities,
+            horizon: parts.horizon,
+            holders: parts.holders || Holders.DEFAULT_HOLDERS,
+            oracle: parts.oracle || { ...Oracle.DEFAULT_ORACLE },
+            governance: parts.governance || { ...Governance.DEFAULT_GOVERNANCE },
+            policy: parts.policy || null,
+            monteCarlo: parts.monteCarlo || null
+        }));
+    }
+
+    // --- Validation ---
+
+    /**
+     * Check and normalize untrusted scenario data (a parsed file, a link, localStorage).
+     * Missing optional fields fall back to engine defaults; unknown fields are dropped.
+     * Returns { scenario, errors }; scenario is null when there are errors.
+     */
+    function parseScenario(data) {
+        const errors = [];
+        const err = (path, message) => errors.push(`${path}: ${message}`);
+
+        if (!isObject(data)) {
+            return { scenario: null, errors: ['Not a scenario: expected a JSON object'] };
+        }
+        if (data.version !== SCENARIO_VERSION) {
+            return { scenario: null, errors: [`Unsupported scenario version ${JSON.stringify(data.version)} (expected ${SCENARIO_VERSION})`] };
+        }
+
+        const params = { ...Engine.DEFAULT_PARAMS };
+        Object.keys(Engine.DEFAULT_PARAMS).forEach(key => {
+            if (!isObject(data.params) || data.params[key] === undefined) return;
+            const value = data.params[key];
+            if (typeof value !== typeof Engine.DEFAULT_PARAMS[key]) err(`params.${key}`, `expected a ${typeof Engine.DEFAULT_PARAMS[key]}`);
+            else params[key] = value;
+        });
+        Object.keys(Engine.PARAM_LIMITS).forEach(key => {
+            const [min, max] = Engine.PARAM_LIMITS[key];
+            if (typeof params[key] === 'number' && (!Number.isFinite(params[key]) || params[key] < min || params[key] > max)) {
+                err(`params.${key}`, Number.isFinite(max) ? `expected a number from ${min} to ${max}` : `expected a number, ${min} or more`);
+            }
+        });
+        if (!Engine.REBALANCE_STRATEGIES[params.rebalanceStrategy]) {
+            err('params.rebalanceStrategy', `unknown strategy "${params.rebalanceStrategy}"`);
+        }
+        if (!Engine.RISK_MODELS[params.riskModel]) {
+            err('params.riskModel', `unknown risk model "${params.riskModel}"`);
+        }
+        if (!Engine.SHOCK_SCENARIOS[params.shockScenario]) {
+            err('params.shockScenario', `unknown shock scenario "${params.shockScenario}"`);
+        }
+        if (!Number.isInteger(params.shockDuration) || params.shockDuration < 0 || params.shockDuration > MAX_PERIODS) {
+            err('params.shockDuration', `expected a whole number from 0 to ${MAX_PERIODS}`);
+        }
+
+        const assets = parseAssets(data.assets, err);
+        if (params.shockAsset && !assets.some(asset => asset.id === params.shockAsset)) {
+            err('params.shockAsset', `unknown asset "${params.shockAsset}"`);
+        }
+        const portfolio = {};
+        assets.forEach(asset => {
+            const value = isObject(data.portfolio) ? data.portfolio[asset.id] : undefined;
+            if (value === undefined) portfolio[asset.id] = 0;
+            else if (!isNumber(value) || value < 0) err(`portfolio.${asset.id}`, 'expected a number of dollars, 0 or more');
+            else portfolio[asset.id] = value;
+        });
+
+        const liabilities = { ...Engine.DEFAULT_LIABILITIES, ...pickObject(data.liabilities) };
+        // Nothing owed would make every reserve ratio infinite
+        if (!isNumber(liabilities.amount) || liabilities.amount <= 0) err('liabilities.amount', 'expected a number of dollars, more than 0');
+        ['growthRate', 'redemptionRate'].forEach(key => {
+            if (!isNumber(liabilities[key]) || liabilities[key] < 0 || liabilities[key] > 100) err(`liabilities.${key}`, 'expected a number from 0 to 100');
+        });
+        if (!Engine.SCHEDULE_TAGS[liabilities.redemptionSchedule]) {
+            err('liabilities.redemptionSchedule', `unknown schedule "${liabilities.redemptionSchedule}"`);
+        }
+
+        // Scenarios saved before the holder ledger existed get the default registry
+        const holders = Holders.normalizeHolderConfig(data.holders);
+        holders.errors.forEach(message => err('holders', message));
+
+        const horizon = { ...Engine.DEFAULT_HORIZON, ...pickObject(data.horizon) };
+        if (!Engine.HORIZONS[horizon.mode]) err('horizon.mode', `unknown horizon "${horizon.mode}"`);
+        ['periods', 'shockPeriod'].forEach(key => {
+            if (!Number.isInteger(horizon[key]) || horizon[key] < 1 || horizon[key] > MAX_PERIODS) {
+                err(`horizon.${key}`, `expected a whole number from 1 to ${MAX_PERIODS}`);
+            }
+        });
+        if (horizon.shockRepeat !== 'none' && !Engine.SCHEDULE_TAGS[horizon.shockRepeat]) {
+            err('horizon.shockRepeat', `unknown schedule "${horizon.shockRepeat}"`);
+        }
+        // Only a replay keeps its price series, checked against the scenario's own assets
+        if (horizon.mode === 'replay') {
+            const replay = Market.normalizeSeries(horizon.replay, assets);
+            replay.errors.forEach(message => err('horizon.replay', message));
+            horizon.replay = replay.series;
+        } else {
+            horizon.replay = null;
+        }
+        // A storyboard keeps its story (null plays the default one); scenarios saved before stories had none
+        if (horizon.mode === 'storyboard' && horizon.story !== null) {
+            const story = Story.normalizeStory(horizon.story, assets);
+            story.errors.forEach(message => err('horizon.story', message));
+            horizon.story = story.story;
+        } else {
+            horizon.story = null;
+        }
+
+        // Scenarios saved before the oracle existed get the ideal feed
+        const oracle = Oracle.normalizeOracleConfig(data.oracle, assets);
+        oracle.errors.forEach(message => err('oracle', message));
+
+        // Scenarios saved before the governance gate existed execute autonomously
+        const governance = Governance.normalizeGovernanceConfig(data.governance);
+        governance.errors.forEach(message => err('governance', message));
+
+        if (data.policy !== null && data.policy !== undefined && typeof data.policy !== 'string') {
+            err('policy', 'expected policy source text or null');
+        }
+
+        const monteCarlo = isObject(data.monteCarlo) ? parseMonteCarlo(data.monteCarlo, assets, err) : null;
+
+        if (errors.length > 0) return { scenario: null, errors };
+        return {
+            scenario: createScenario({
+                name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Untitled scenario',
+                params,
+                assets,
+                portfolio,
+                liabilities,
+                holders: holders.holders,
+                horizon,
+                oracle: oracle.oracle,
+                governance: governance.governance,
+                policy: data.policy || null,
+                monteCarlo
+            }),
+            errors
+        };
+    }
+
+    function parseAssets(list, err) {
+        if (!Array.isArray(list) || list.length === 0) {
+            err('assets', 'expected a non-empty list of assets');
+            return [];
+        }
+
+        const seen = new Set();
+        return list.map((raw, i) => {
+            const path = `assets[${i}]`;
+            if (!isObject(raw)) {
+                err(path, 'expected an object');
+                return null;
+            }
+            if (typeof raw.id !== 'string' || !raw.id) err(`${path}.id`, 'expected a non-empty id');
+            else if (!Engine.ASSET_ID_PATTERN.test(raw.id)) err(`${path}.id`, `invalid id "${raw.id}": use letters, digits and underscores, not starting with a digit`);
+            else if (seen.has(raw.id)) err(`${path}.id`, `duplicate id "${raw.id}"`);
+            seen.add(raw.id);
+            if (!Engine.LIQUIDITY_TIERS[raw.liquidity]) err(`${path}.liquidity`, `unknown tier "${raw.liquidity}"`);
+
+            const asset = {
+                id: raw.id,
+                name: typeof raw.name === 'string' && raw.name ? raw.name : raw.id,
+                color: typeof raw.color === 'string' && /^#[0-9a-f]{6}$/i.test(raw.color) ? raw.color : '#64748b',
+                desc: typeof raw.desc === 'string' ? raw.desc : '',
+                liquidity: raw.liquidity
+            };
+            Object.keys(ASSET_NUMBER_FIELDS).forEach(field => {
+                const [fallback, min, max] = ASSET_NUMBER_FIELDS[field];
+                if (raw[field] === undefined) asset[field] = fallback;
+                else if (!isNumber(raw[field]) || raw[field] < min || raw[field] > max) err(`${path}.${field}`, `expected a number from ${min} to ${max}`);
+                else asset[field] = raw[field];
+            });
+            return asset;
+        }).filter(Boolean);
+    }
+
+    // Distributions are kept for the scenario's own assets; the host gives any asset without one the default
+    function parseMonteCarlo(raw, assets, err) {
+        const [min, max] = MONTE_CARLO_PATHS;
+        if (!Number.isInteger(raw.paths) || raw.paths < min || raw.paths > max) err('monteCarlo.paths', `expected a whole number from ${min} to ${max}`);
+        if (!Number.isInteger(raw.seed)) err('monteCarlo.seed', 'expected a whole number');
+        if (!isObject(raw.distributions)) {
+            err('monteCarlo.distributions', 'expected a distribution per asset id');
+            return null;
+        }
+
+        const distributions = {};
+        assets.forEach(asset => {
+            const dist = raw.distributions[asset.id];
+            if (dist === undefined) return;
+            const path = `monteCarlo.distributions.${asset.id}`;
+            const type = isObject(dist) ? MonteCarlo.SHOCK_DISTRIBUTION_TYPES[dist.type] : null;
+            if (!type) {
+                err(path, `unknown distribution ${JSON.stringify(isObject(dist) ? dist.type : dist)}`);
+                return;
+            }
+            distributions[asset.id] = { type: dist.type };
+            Object.keys(type.defaults).forEach(field => {
+                if (!isNumber(dist[field])) err(`${path}.${field}`, 'expected a number');
+                // Each draw sums df squared normals, so df stays small
+                else if (field === 'df' && (dist.df < 1 || dist.df > 100)) err(`${path}.df`, 'expected a number from 1 to 100');
+                else distributions[asset.id][field] = dist[field];
+            });
+        });
+        return { paths: raw.paths, seed: raw.seed, distributions };
+    }
+
+    // --- Encoding ---
+
+    // Share links carry the scenario as base64url JSON (UTF-8, so asset names can use any script)
+    function encodeScenario(scenario) {
+        const bytes = new TextEncoder().encode(JSON.stringify(scenario));
+        let binary = '';
+        bytes.forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    // Returns { scenario, errors } like parseScenario
+    function decodeScenario(text) {
+        let data;
+        try {
+            const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+            const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+            data = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (e) {
+            return { scenario: null, errors: ['The link does not contain a readable scenario'] };
+        }
+        return parseScenario(data);
+    }
+
+    // --- Helpers ---
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    function pickObject(value) {
+        return isObject(value) ? value : {};
+    }
+
+    return {
+        SCENARIO_VERSION,
+        createScenario,
+        parseScenario,
+        encodeScenario,
+        decodeScenario
+    };
+}));
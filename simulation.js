@@ -1,109 +1,123 @@
 /**
  * Autonomous Finance Storyboard (RialoFlow)
- * Simulation Logic
+ * Simulation Logic: the storyboard UI, driving the headless engine in engine.js
  */
 
 // --- Configuration & Static Data ---
 
-const ASSETS = [
-    { id: 'usdc', name: 'USDC Reserves', color: '#2563eb', desc: 'Stablecoin backing' },
-    { id: 'tBills', name: 'T-Bills', color: '#10b981', desc: 'Risk-free yield' },
-    { id: 'bonds', name: 'Corp Bonds', color: '#f59e0b', desc: 'Higher yield, riskier' },
-    { id: 'cash', name: 'Cash', color: '#64748b', desc: 'Immediate liquidity' }
-];
-
-// Data-driven Step Definitions
-const SIMULATION_STEPS = [
-    {
-        id: 0,
-        key: 'INITIAL',
-        title: 'T+0: Initial State',
-        description: 'Treasury is balanced. Policies are active but not triggered.',
-        traditionalText: 'Manual monitoring or fragmented scripts.',
-        rialoText: 'Native scheduler monitoring price feeds.',
-        metricsLabel: 'Healthy Reserve',
-        apply: (state) => {
-            // Reset to initial portfolio
-            return { ...state.initialPortfolio };
-        }
-    },
-    {
-        id: 1,
-        key: 'SHOCK',
-        title: 'T+1: Market Shock',
-        description: 'Sudden market drop impacts corporate bond values.',
-        traditionalText: 'Alerts fire. Humans scramble to assess impact.',
-        rialoText: 'Oracle update triggers atomic policy check.',
-        metricsLabel: 'Value Dropped',
-        apply: (state, currentPortfolio) => {
-            const p = { ...currentPortfolio };
-            const shockFactor = 1 - (state.params.shockMagnitude / 100);
-            const oldBonds = p.bonds;
-            p.bonds = p.bonds * shockFactor;
-
-            logEvent(`[T+1] Market shock: Bonds dropped by ${state.params.shockMagnitude}% (-$${((oldBonds - p.bonds) / 1000).toFixed(0)}k)`);
-            return p;
-        }
-    },
-    {
-        id: 2,
-        key: 'REBALANCE',
-        title: 'T+2: Auto-Rebalance',
-        description: 'Reserve ratio dipped below target. Protocol sells bonds, buys T-Bills.',
-        traditionalText: 'Manual trades, multi-sig delays, execution risk.',
-        rialoText: 'Single atomic transaction rebalances portfolio instantly.',
-        metricsLabel: 'Risk Reduced',
-        apply: (state, currentPortfolio) => {
-            const p = { ...currentPortfolio };
-            const total = getTotalValue(p);
-            const ratio = (total / 1000000) * 100; // Simplified liabilities
-
-            if (ratio < state.params.targetReserveRatio) {
-                // Sell 50% of remaining bonds, buy T-Bills
-                const sellAmount = p.bonds * 0.5;
-                p.bonds -= sellAmount;
-                p.tBills += sellAmount;
-                logEvent(`[T+2] Rebalance triggered: Sold $${(sellAmount / 1000).toFixed(0)}k Bonds, bought T-Bills`);
-            } else {
-                logEvent(`[T+2] Rebalance check: Ratio healthy (${ratio.toFixed(1)}%), no action needed`);
-            }
-            return p;
-        }
-    },
-    {
-        id: 3,
-        key: 'DISTRIBUTION',
-        title: 'T+3: Yield Distribution',
-        description: 'Scheduled event distributes accumulated yield to holders.',
-        traditionalText: 'Off-chain calculation, batch transfers, high gas.',
-        rialoText: 'Scheduled event executes distribution logic natively.',
-        metricsLabel: 'Yield Paid',
-        apply: (state, currentPortfolio) => {
-            const p = { ...currentPortfolio };
-            const total = getTotalValue(p);
-            const distAmount = total * (state.params.yieldDistribution / 100);
-
-            // Pay from Cash first, then T-Bills
-            let paidFromCash = 0;
-            let paidFromBills = 0;
-
-            if (p.cash >= distAmount) {
-                paidFromCash = distAmount;
-                p.cash -= distAmount;
-            } else {
-                paidFromCash = p.cash;
-                const remainder = distAmount - p.cash;
-                p.cash = 0;
-                paidFromBills = remainder;
-                p.tBills -= remainder;
-            }
-
-            logEvent(`[T+3] Distribution: Paid out $${(distAmount / 1000).toFixed(0)}k (${state.params.yieldDistribution}%) yield`);
-            return p;
-        }
-    }
-];
-
+const {
+    DEFAULT_ASSETS,
+    LIQUIDITY_TIERS,
+    REBALANCE_STRATEGIES,
+    RISK_MODELS,
+    SHOCK_SCENARIOS,
+    HORIZONS,
+    EVENT_TYPES,
+    SCHEDULE_TAGS,
+    LOG_TYPES,
+    DEFAULT_PARAMS,
+    DEFAULT_PORTFOLIO,
+    DEFAULT_LIABILITIES,
+    DEFAULT_HORIZON,
+    createSimulation,
+    createLogRecord,
+    buildPolicySource,
+    compilePolicySource,
+    resolveEffectiveParams,
+    runMonteCarloPaths,
+    formatCost,
+    getShockAsset,
+    getPriceUpdateAsset,
+    withFrozenAssets,
+    getTotalValue,
+    getReserveRatio,
+    assessRisk,
+    calculateRiskScore
+} = RialoEngine;
+
+const {
+    SHOCK_DISTRIBUTION_TYPES,
+    SHOCK_DISTRIBUTION_FIELDS,
+    DEFAULT_SHOCK_DISTRIBUTIONS,
+    MONTE_CARLO_PERCENTILES,
+    summarizeMonteCarlo,
+    histogram
+} = RialoMonteCarlo;
+
+const {
+    renderLineChart,
+    renderStackedAreaChart,
+    renderScatterChart,
+    renderChartTable,
+    renderScatterTable
+} = RialoCharts;
+
+const {
+    createScenario,
+    parseScenario,
+    encodeScenario,
+    decodeScenario
+} = RialoScenario;
+
+const {
+    MARKET_DATASETS,
+    parsePriceSeries,
+    loadDataset,
+    getIndexedPrices
+} = RialoMarket;
+
+const {
+    DEFAULT_ORACLE,
+    ORACLE_INCIDENTS,
+    markToOracle
+} = RialoOracle;
+
+const {
+    DEFAULT_GOVERNANCE,
+    GOVERNANCE_MODES,
+    countProposals
+} = RialoGovernance;
+
+const {
+    STEP_TYPES,
+    TEXT_LIMITS,
+    NOTE_LIMITS,
+    MAX_STEPS,
+    MAX_NOTE_POINTS,
+    DEFAULT_STORY,
+    createStep,
+    normalizeStory
+} = RialoStory;
+
+const {
+    DEFAULT_HOLDERS,
+    MAX_HOLDERS,
+    parseHolderCsv,
+    describeLedger,
+    shortAddress
+} = RialoHolders;
+
+const {
+    buildRunReport,
+    reportToCsv,
+    ledgerToCsv,
+    renderReportHtml
+} = RialoReport;
+
+const {
+    OPTIMIZER_METRICS,
+    DEFAULT_SEARCH,
+    SEARCH_LIMITS,
+    checkSearch,
+    countCandidates,
+    buildCandidates,
+    buildStressCases,
+    getCandidateKey,
+    evaluateCandidate,
+    getParetoFrontier
+} = RialoOptimizer;
+
+// Built-in presets change the three headline sliders; saved scenarios (see scenario.js) restore a full run
 const PRESETS = {
     conservative: {
         shockMagnitude: 10,
@@ -125,6 +139,62 @@ const PRESETS = {
     }
 };
 
+const SCENARIO_STORAGE_KEY = 'rialoflow.scenarios';
+
+// Line colors for compared runs, in selection order
+const COMPARE_COLORS = ['#2563eb', '#f59e0b', '#10b981', '#ef4444', '#8b5cf6', '#0ea5e9'];
+
+// Per-step measures a comparison can chart
+const COMPARE_METRICS = {
+    totalValue: { label: 'Total value', format: (v) => `$${(v / 1000).toFixed(0)}k` },
+    reserveRatio: { label: 'Reserve ratio', format: (v) => formatRatio(v) },
+    riskScore: { label: 'Risk score', format: (v) => v.toFixed(0) }
+};
+
+// How optimizer measures read in its table and chart
+const OPTIMIZER_FORMATS = {
+    totalDistributed: (v) => `$${(v / 1000).toFixed(0)}k`,
+    finalValue: (v) => `$${(v / 1000).toFixed(0)}k`,
+    worstRatio: (v) => formatRatio(v),
+    maxRisk: (v) => v.toFixed(0),
+    totalCosts: (v) => formatCost(v)
+};
+
+// How parameter changes read in the log
+const PARAM_LABELS = {
+    shockScenario: { label: 'Shock scenario', format: (v) => (SHOCK_SCENARIOS[v] || { label: v }).label },
+    shockAsset: { label: 'Shock asset', format: (v) => (v ? getAssetLabel(v) : 'auto') },
+    shockMagnitude: { label: 'Shock magnitude', format: (v) => `${v}%` },
+    shockDuration: { label: 'Shock duration', format: (v) => `${v} period${v === 1 ? '' : 's'}` },
+    targetReserveRatio: { label: 'Target reserve ratio', format: (v) => `${v}%` },
+    yieldDistribution: { label: 'Yield distribution', format: (v) => `${v}%` },
+    allowPrincipalDip: { label: 'Allow principal dip', format: (v) => (v ? 'on' : 'off') },
+    rebalanceStrategy: { label: 'Rebalance strategy', format: (v) => (REBALANCE_STRATEGIES[v] || { label: v }).label },
+    minTradeSize: { label: 'Min trade size', format: (v) => `$${(v / 1000).toFixed(1)}k` },
+    riskModel: { label: 'Risk model', format: (v) => (RISK_MODELS[v] || { label: v }).label }
+};
+
+// Series colors for the run charts (SVG attributes, so no CSS variables)
+const CHART_COLORS = {
+    primary: '#0f766e',
+    muted: '#64748b',
+    danger: '#ef4444'
+};
+
+// Log types read out when a step is announced, besides warnings and trades (see getStepAnnouncement)
+const ANNOUNCED_LOG_TYPES = ['SHOCK', 'REDEMPTION', 'DISTRIBUTION', 'GOVERNANCE'];
+const MAX_ANNOUNCED_ACTIONS = 4;
+
+// Where keyboard focus goes when the focused control disables itself, first enabled wins
+const CONTROL_FOCUS_FALLBACK = {
+    'btn-play': ['btn-pause', 'btn-reset'],
+    'btn-pause': ['btn-play', 'btn-reset'],
+    'btn-back': ['btn-next', 'btn-play'],
+    'btn-next': ['btn-back', 'btn-pause', 'btn-reset']
+};
+
+const SCENARIO_URL_PARAM = 'scenario';
+
 // --- State Management ---
 
 const state = {
@@ -134,51 +204,134 @@ const state = {
     timerId: null,
 
     // User Parameters
-    params: {
-        shockMagnitude: 20, // % drop in bonds
-        targetReserveRatio: 110, // %
-        yieldDistribution: 5 // % of total value
+    params: { ...DEFAULT_PARAMS },
+
+    // Asset registry (see DEFAULT_ASSETS); edited in the Assets dialog
+    assets: DEFAULT_ASSETS.map(asset => ({ ...asset })),
+
+    // Initial Portfolio Config (Total ~1M)
+    initialPortfolio: { ...DEFAULT_PORTFOLIO },
+
+    // Holder liabilities at T+0 and how they change (see DEFAULT_LIABILITIES)
+    liabilities: { ...DEFAULT_LIABILITIES },
+
+    // Price feed between the market and policy checks (see oracle.js)
+    oracle: { ...DEFAULT_ORACLE },
+
+    // Who distributions are paid to, vesting and claim window (see holders.js); edited in the Holders dialog
+    holders: JSON.parse(JSON.stringify(DEFAULT_HOLDERS)),
+
+    // Approval gate on large policy actions (see governance.js)
+    governance: { ...DEFAULT_GOVERNANCE },
+
+    // Policy Program (compiled from the Policy Preview text)
+    policy: {
+        source: '',
+        program: null, // Last program that compiled cleanly; the simulation runs this
+        errors: [], // Array of { message, line, col }
+        isCustom: false // Set once the user edits the text; sliders stop regenerating it
     },
 
-    // Portfolio State (Mutable)
-    portfolio: {
-        usdc: 0,
-        tBills: 0,
-        bonds: 0,
-        cash: 0
+    // Time Horizon (see HORIZONS)
+    horizon: { ...DEFAULT_HORIZON },
+
+    // Monte Carlo Stress Test (see montecarlo.js)
+    monteCarlo: {
+        paths: 2000,
+        seed: 42,
+        distributions: JSON.parse(JSON.stringify(DEFAULT_SHOCK_DISTRIBUTIONS)),
+        isRunning: false,
+        summary: null
     },
 
-    // Initial Portfolio Config (Total ~1M)
-    initialPortfolio: {
-        usdc: 400000,
-        tBills: 300000,
-        bonds: 200000,
-        cash: 100000
+    // Scenarios the user saved to localStorage, listed next to the built-in presets
+    savedScenarios: [],
+
+    // Compare view: runs several parameter sets over the current time horizon side by side
+    compare: {
+        selected: ['current', 'conservative', 'aggressive'], // 'current', a PRESETS key or 'saved:<name>'
+        metric: 'totalValue', // COMPARE_METRICS key charted in the overlay
+        runs: [] // Array of { key, label, color, snapshots }
+    },
+
+    // Optimizer: searches ratio, distribution and strategy against a stress set (see optimizer.js)
+    optimizer: {
+        search: JSON.parse(JSON.stringify(DEFAULT_SEARCH)),
+        isRunning: false,
+        errors: [], // Why the search cannot run, from checkSearch
+        result: null // { search, results, frontier, cases, elapsedMs, horizon, periods }
     },
 
-    // History for Deltas
-    history: [], // Array of { step: 0, value: 1000000 }
+    // Run chart shown above the timeline: 'balances', 'reserveRatio', 'totalValue', 'riskScore'
+    // or 'prices' (the replayed price series, replay horizon only)
+    chart: 'balances',
+
+    // Engine instance for the current run (see createSimulation in engine.js)
+    sim: null,
+
+    // With governance on, the same run with autonomous execution, stepped lazily to price the delays
+    autonomous: null,
+
+    // Period sequence built from the horizon by the engine
+    periods: [],
 
-    // Logs
-    logs: []
+    // Snapshots returned by the engine, one per period run so far. currentStep is the one
+    // on screen; stepping back or scrubbing only moves the view, since snapshots are immutable.
+    history: [], // Array of { index, portfolio, totalValue, reserveRatio, riskScore, activity, trades, costs, totalCosts, logs }
+
+    // Log records (see RialoEngine.createLogRecord), tagged with their step so the log can follow the view
+    logs: [],
+    hiddenLogTypes: [], // LOG_TYPES keys switched off by the filter chips
+    highlightStep: null, // Timeline step picked from the log
+
+    // Param values from before a slider drag, logged once the slider is released
+    pendingParamChanges: {}
 };
 
 // --- Logic Functions ---
 
 function init() {
     setupEventListeners();
-    resetSimulation();
+    state.savedScenarios = readSavedScenarios();
+    renderPresets();
+
+    // A share link reproduces its run; otherwise start from the defaults
+    if (!loadScenarioFromUrl()) {
+        syncPolicyFromParams();
+        resetSimulation();
+    }
 }
 
 function resetSimulation() {
-    stopSimulation();
     state.currentStep = 0;
-    state.portfolio = { ...state.initialPortfolio };
-    state.history = [{ step: 0, value: getTotalValue(state.portfolio) }];
     state.logs = [];
+    state.highlightStep = null;
+    state.sim = createSimulation(state.params, state.initialPortfolio, {
+        assets: state.assets,
+        horizon: state.horizon,
+        liabilities: state.liabilities,
+        oracle: state.oracle,
+        holders: state.holders,
+        governance: state.governance,
+        policy: state.policy.program,
+        onLog: addLogRecord
+    });
+    state.periods = state.sim.getPeriods();
+    state.autonomous = state.governance.mode === 'off' ? null : createSimulation(state.params, state.initialPortfolio, {
+        assets: state.assets,
+        horizon: state.horizon,
+        liabilities: state.liabilities,
+        oracle: state.oracle,
+        holders: state.holders,
+        policy: state.policy.program,
+        periods: state.periods
+    });
+    state.history = state.sim.getHistory();
+    stopSimulation();
 
-    logEvent("Simulation reset. Ready for T+0.");
+    logEvent('SYSTEM', 'Simulation reset. Ready for T+0.');
     renderAll();
+    announce(`Simulation reset. ${getStepAnnouncement(0)}`);
 
     // Fun reset message
     updateMicroStatus("Back to T+0. Your treasury is calm again. Turn up the shock if you want some drama.");
@@ -189,38 +342,47 @@ function resetSimulation() {
     }, 3000);
 }
 
-// Revised Step Logic
-function executeStep(stepIndex) {
-    const stepDef = SIMULATION_STEPS[stepIndex];
-    if (!stepDef) return;
-
-    if (stepIndex === 0) {
-        state.portfolio = { ...state.initialPortfolio };
-    } else {
-        // Apply logic based on previous state
-        state.portfolio = stepDef.apply(state, state.portfolio);
+function nextStep() {
+    if (state.currentStep >= state.periods.length - 1) {
+        stopSimulation();
+        return;
     }
+    goToStep(state.currentStep + 1);
 
-    // Record History
-    const total = getTotalValue(state.portfolio);
-    state.history[stepIndex] = { step: stepIndex, value: total };
+    // Auto-stop at end
+    if (state.currentStep === state.periods.length - 1) {
+        stopSimulation();
+    }
+    // After advancing, ensure the timeline panel is visible to the user
+    scrollTimelineIntoView();
 }
 
-function nextStep() {
-    if (state.currentStep < SIMULATION_STEPS.length - 1) {
-        state.currentStep++;
-        executeStep(state.currentStep);
-        renderAll();
+function previousStep() {
+    if (state.currentStep > 0) goToStep(state.currentStep - 1);
+}
 
-        // Auto-stop at end
-        if (state.currentStep === SIMULATION_STEPS.length - 1) {
-            stopSimulation();
-        }
-        // After advancing, ensure the timeline panel is visible to the user
-        scrollTimelineIntoView();
-    } else {
-        stopSimulation();
+// Show any step. Steps already run are replayed from their snapshots; later ones
+// are run by the engine, each on top of the previous period's portfolio.
+function goToStep(index) {
+    while (state.history.length <= index) {
+        const snapshot = state.sim.step();
+        if (!snapshot) break;
+        state.history.push(snapshot);
     }
+    state.currentStep = Math.max(0, Math.min(index, state.history.length - 1));
+    state.highlightStep = null;
+    renderAll();
+    announce(getStepAnnouncement(state.currentStep));
+}
+
+// A setting changed while viewing an earlier step: drop the later steps so the
+// run continues from here with the new settings
+function branchAtCurrentStep() {
+    if (!state.sim || state.currentStep >= state.history.length - 1) return;
+    state.sim.rewind(state.currentStep);
+    if (state.autonomous) state.autonomous.rewind(Math.min(state.currentStep, state.autonomous.getIndex()));
+    state.history = state.sim.getHistory();
+    state.logs = state.logs.filter(entry => entry.step <= state.currentStep);
 }
 
 // Smoothly scroll the main content grid so the timeline panel is visible/centered.
@@ -248,7 +410,7 @@ function scrollTimelineIntoView() {
 }
 
 function playSimulation() {
-    if (state.currentStep === SIMULATION_STEPS.length - 1) {
+    if (state.currentStep === state.periods.length - 1) {
         resetSimulation();
         setTimeout(() => {
             startPlaySequence();
@@ -279,7 +441,7 @@ function startPlaySequence() {
 
     state.timerId = setInterval(() => {
         nextStep();
-    }, 2000); // 2 seconds per step
+    }, HORIZONS[state.horizon.mode].stepMs); // 2 seconds per storyboard step, faster for calendar runs
 }
 
 function stopSimulation() {
@@ -295,57 +457,799 @@ function applyPreset(presetName) {
     const preset = PRESETS[presetName];
     if (!preset) return;
 
+    const before = { ...state.params };
     state.params.shockMagnitude = preset.shockMagnitude;
     state.params.targetReserveRatio = preset.targetReserveRatio;
     state.params.yieldDistribution = preset.yieldDistribution;
 
+    // A preset is a full treasury personality: it replaces any hand-edited policy
+    state.policy.isCustom = false;
+    syncPolicyFromParams();
+
     resetSimulation();
     updateMicroStatus(`Loaded ${preset.label} preset.`);
-    logEvent(`Preset loaded: ${preset.label}`);
+    logParamChanges(`Preset loaded: ${preset.label}`, before, state.params);
+}
+
+// --- Scenarios ---
+
+function captureScenario(name) {
+    return createScenario({
+        name,
+        params: state.params,
+        assets: state.assets,
+        portfolio: state.initialPortfolio,
+        liabilities: state.liabilities,
+        horizon: state.horizon,
+        oracle: state.oracle,
+        holders: state.holders,
+        governance: state.governance,
+        policy: state.policy.isCustom ? state.policy.source : null,
+        monteCarlo: {
+            paths: state.monteCarlo.paths,
+            seed: state.monteCarlo.seed,
+            distributions: state.monteCarlo.distributions
+        }
+    });
 }
 
-// --- Calculation Helpers ---
+// Replace the whole run with a (validated) scenario and restart from T+0
+function loadScenario(scenario) {
+    const copy = createScenario(scenario);
+    const before = state.params;
+    state.params = copy.params;
+    state.assets = copy.assets;
+    state.initialPortfolio = copy.portfolio;
+    state.liabilities = copy.liabilities;
+    state.horizon = copy.horizon;
+    state.oracle = copy.oracle;
+    state.holders = copy.holders;
+    state.governance = copy.governance;
+    if (copy.monteCarlo) {
+        state.monteCarlo.paths = copy.monteCarlo.paths;
+        state.monteCarlo.seed = copy.monteCarlo.seed;
+        state.monteCarlo.distributions = copy.monteCarlo.distributions;
+    }
+    // Assets the file brings without a distribution (or with an unknown one) get the default, as added ones do
+    state.assets.forEach(asset => {
+        const dist = state.monteCarlo.distributions[asset.id];
+        if (!dist || !SHOCK_DISTRIBUTION_TYPES[dist.type]) state.monteCarlo.distributions[asset.id] = createShockDistribution();
+    });
+    state.monteCarlo.summary = null;
+
+    state.policy.isCustom = Boolean(copy.policy);
+    if (copy.policy) setPolicySource(copy.policy);
+    else syncPolicyFromParams();
 
-function getTotalValue(p) {
-    return p.usdc + p.tBills + p.bonds + p.cash;
+    resetSimulation();
+    updateMicroStatus(`Loaded scenario "${copy.name}".`);
+    logParamChanges(`Scenario loaded: ${copy.name}`, before, state.params);
 }
 
-function getReserveRatio(p) {
-    const liabilities = 1000000;
-    return (getTotalValue(p) / liabilities) * 100;
+// localStorage can be unavailable (private browsing, blocked storage); scenarios then last for the session
+function readSavedScenarios() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SCENARIO_STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored.map(s => parseScenario(s).scenario).filter(Boolean) : [];
+    } catch (e) {
+        return [];
+    }
 }
 
-function calculateRiskScore(p, params) {
-    // Toy Risk Model
-    // Higher Bonds + Higher Shock = Higher Risk
-    // Higher Cash/T-Bills = Lower Risk
+function writeSavedScenarios() {
+    try {
+        localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(state.savedScenarios));
+    } catch (e) {
+        updateMicroStatus('Could not write to browser storage; saved scenarios will be lost on reload.');
+    }
+}
 
-    const total = getTotalValue(p);
-    if (total === 0) return 0;
+// Saving under an existing name overwrites that scenario
+function saveScenario(name) {
+    const scenario = captureScenario(name);
+    const i = state.savedScenarios.findIndex(s => s.name === scenario.name);
+    if (i >= 0) state.savedScenarios[i] = scenario;
+    else state.savedScenarios.push(scenario);
+    writeSavedScenarios();
+    renderPresets();
+    updateMicroStatus(`Saved scenario "${scenario.name}".`);
+}
 
-    const wBonds = p.bonds / total;
-    const wCash = p.cash / total;
-    const wBills = p.tBills / total;
-    const wUsdc = p.usdc / total;
+function deleteScenario(name) {
+    state.savedScenarios = state.savedScenarios.filter(s => s.name !== name);
+    writeSavedScenarios();
+    renderPresets();
+}
 
-    // Base risk from asset types (0-100 scale)
-    // Bonds: 80 risk, T-Bills: 10 risk, USDC: 5 risk, Cash: 0 risk
-    let compositionRisk = (wBonds * 80) + (wBills * 10) + (wUsdc * 5) + (wCash * 0);
+function exportScenario(name) {
+    const scenario = captureScenario(name);
+    downloadFile(`${fileSlug(scenario.name, 'scenario')}.json`, JSON.stringify(scenario, null, 2), 'application/json');
+}
 
-    // Shock multiplier: If shock is high, bonds are even riskier
-    // Shock 0-50. Factor 1.0 to 1.5
-    const shockFactor = 1 + (params.shockMagnitude / 100);
+function downloadFile(filename, text, type) {
+    const blob = new Blob([text], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
 
-    let finalRisk = compositionRisk * shockFactor;
+function fileSlug(name, fallback) {
+    return name.replace(/[^\w-]+/g, '-').toLowerCase() || fallback;
+}
 
-    // Clamp 0-100
-    return Math.min(100, Math.max(0, finalRisk));
+// An imported file is validated, loaded and added to the saved list
+function importScenario(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        reportScenarioErrors(['The file is not valid JSON']);
+        return;
+    }
+    const { scenario, errors } = parseScenario(data);
+    if (!scenario) {
+        reportScenarioErrors(errors);
+        return;
+    }
+    loadScenario(scenario);
+    saveScenario(scenario.name);
 }
 
-function logEvent(msg) {
-    state.logs.push(msg);
-    // If we have too many logs, trim? Nah, it's short.
-    renderLogs();
+function reportScenarioErrors(errors) {
+    updateMicroStatus(`Could not load scenario: ${errors[0]}`);
+    errors.forEach(msg => logEvent('SYSTEM', `Scenario error: ${msg}`, { severity: 'warning' }));
+}
+
+// Put the current scenario in the URL hash and copy the link
+function shareScenario(name) {
+    const hash = `#${SCENARIO_URL_PARAM}=${encodeScenario(captureScenario(name))}`;
+    history.replaceState(null, '', hash);
+    const url = window.location.href;
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(url).then(
+            () => updateMicroStatus('Link copied. Opening it reproduces this exact run.'),
+            () => updateMicroStatus('Link is in the address bar. Copy it to share this exact run.')
+        );
+    } else {
+        updateMicroStatus('Link is in the address bar. Copy it to share this exact run.');
+    }
+}
+
+function loadScenarioFromUrl() {
+    const match = window.location.hash.match(new RegExp(`^#${SCENARIO_URL_PARAM}=(.+)$`));
+    if (!match) return false;
+    const { scenario, errors } = decodeScenario(match[1]);
+    if (!scenario) {
+        syncPolicyFromParams();
+        resetSimulation();
+        reportScenarioErrors(errors);
+        return true;
+    }
+    loadScenario(scenario);
+    return true;
+}
+
+// --- Historical Replay ---
+
+// Switch to the replay horizon with a bundled dataset
+function loadReplayDataset(key) {
+    const { series, errors } = loadDataset(key, state.assets);
+    if (!series) {
+        reportReplayErrors(MARKET_DATASETS[key] ? MARKET_DATASETS[key].label : key, errors);
+        return;
+    }
+    startReplay(series, []);
+}
+
+// CSV or JSON price history from a file; the file name (without extension) names the series
+function importReplay(text, filename) {
+    const name = filename.replace(/\.[^.]+$/, '') || 'Imported prices';
+    const format = /\.json$/i.test(filename) ? 'json' : 'csv';
+    const { series, errors, warnings } = parsePriceSeries(text, { format, name, assets: state.assets });
+    if (!series) {
+        reportReplayErrors(name, errors);
+        return;
+    }
+    startReplay(series, warnings);
+}
+
+function startReplay(series, warnings) {
+    state.horizon = { ...state.horizon, mode: 'replay', replay: series };
+    resetSimulation();
+    const points = series.points;
+    updateMicroStatus(`Replaying "${series.name}": ${points.length - 1} periods.`);
+    logEvent('SYSTEM', `Replay loaded: ${series.name} (${points.length} dates, ${points[0].date} to ${points[points.length - 1].date})`);
+    warnings.forEach(msg => logEvent('SYSTEM', `Replay warning: ${msg}`, { severity: 'warning' }));
+}
+
+function reportReplayErrors(name, errors) {
+    updateMicroStatus(`Could not load price series "${name}": ${errors[0]}`);
+    errors.forEach(msg => logEvent('SYSTEM', `Price series error: ${msg}`, { severity: 'warning' }));
+}
+
+// --- Run Export ---
+
+// Exports cover the whole horizon: any periods not run yet are run now, without moving the view
+function captureRunReport(name) {
+    while (!state.sim.isComplete()) {
+        state.history.push(state.sim.step());
+    }
+    renderAll();
+    return buildRunReport({
+        scenario: captureScenario(name),
+        policy: state.policy.source,
+        periods: state.periods,
+        history: state.history,
+        logs: state.logs,
+        ledger: getLedger(state.history.length - 1)
+    });
+}
+
+function exportRun(name, format) {
+    const report = captureRunReport(name);
+    const base = `${fileSlug(report.name, 'run')}-run`;
+    if (format === 'csv') downloadFile(`${base}.csv`, reportToCsv(report), 'text/csv');
+    else downloadFile(`${base}.json`, JSON.stringify(report, null, 2), 'application/json');
+    logEvent('SYSTEM', `Run exported as ${format.toUpperCase()}: ${report.steps.length} steps, ${report.logs.length} log entries`);
+}
+
+// The report opens in a new window for printing (or saving as PDF); if pop-ups are blocked it downloads instead
+function printRunReport(name) {
+    const report = captureRunReport(name);
+    const html = renderReportHtml(report);
+    const win = window.open('', '_blank');
+    if (!win) {
+        downloadFile(`${fileSlug(report.name, 'run')}-report.html`, html, 'text/html');
+        return;
+    }
+    win.document.write(html);
+    win.document.close();
+    win.focus();
+    win.print();
+}
+
+// --- Asset Registry ---
+
+const NEW_ASSET_COLORS = ['#8b5cf6', '#ec4899', '#14b8a6', '#ef4444', '#0ea5e9', '#84cc16'];
+
+function addAsset() {
+    let n = state.assets.length + 1;
+    while (state.assets.some(a => a.id === `asset${n}`)) n++;
+    const id = `asset${n}`;
+
+    state.assets.push({
+        id,
+        name: `New asset ${n}`,
+        color: NEW_ASSET_COLORS[(n - 1) % NEW_ASSET_COLORS.length],
+        desc: '',
+        yield: 0,
+        riskWeight: 50,
+        volatility: 5,
+        liquidity: 'days',
+        targetWeight: 0,
+        band: 5,
+        feeBps: 0,
+        spreadBps: 10,
+        impactBps: 5
+    });
+    state.initialPortfolio[id] = 0;
+    state.monteCarlo.distributions[id] = createShockDistribution();
+    applyAssetChange();
+}
+
+// A new asset's Monte Carlo shock distribution
+function createShockDistribution() {
+    return { type: 'normal', ...SHOCK_DISTRIBUTION_TYPES.normal.defaults };
+}
+
+// A hand-written policy keeps its last valid program when it stops compiling, and that program
+// would buy the removed asset back as a balance no chart shows. So it has to compile without it first.
+function removeAsset(id) {
+    if (state.assets.length <= 1) return;
+    const assets = state.assets.filter(a => a.id !== id);
+    if (state.policy.isCustom && state.policy.errors.length > 0) {
+        updateMicroStatus('Fix the policy errors before removing an asset.');
+        return;
+    }
+    if (state.policy.isCustom && !compilePolicySource(state.policy.source, assets).program) {
+        updateMicroStatus(`The policy uses "${id}": take it out of the policy before removing ${getAssetLabel(id)}.`);
+        return;
+    }
+    state.assets = assets;
+    delete state.initialPortfolio[id];
+    delete state.monteCarlo.distributions[id];
+    applyAssetChange();
+}
+
+function updateAsset(id, field, value) {
+    const asset = state.assets.find(a => a.id === id);
+    if (!asset) return;
+    if (field === 'start') state.initialPortfolio[id] = value * 1000;
+    else asset[field] = value;
+    applyAssetChange();
+}
+
+// The registry feeds the policy vocabulary and the default guardrail, so recompile and restart
+function applyAssetChange() {
+    if (state.policy.isCustom) setPolicySource(state.policy.source);
+    else syncPolicyFromParams();
+    state.monteCarlo.summary = null;
+    resetSimulation();
+    renderAssetEditor();
+}
+
+// --- Holder Ledger ---
+
+function addHolder() {
+    if (state.holders.registry.length >= MAX_HOLDERS) return;
+    let n = state.holders.registry.length + 1;
+    while (state.holders.registry.some(h => h.address === `holder${n}`)) n++;
+    state.holders.registry.push({ address: `holder${n}`, label: `New holder ${n}`, shares: 0, claimDelay: 0 });
+    applyHolderChange();
+}
+
+function removeHolder(index) {
+    state.holders.registry.splice(index, 1);
+    applyHolderChange();
+}
+
+// Addresses key the grants, so a blank or duplicate address is refused
+function updateHolder(index, field, value) {
+    const holder = state.holders.registry[index];
+    if (!holder) return;
+    if (field === 'address' && (!value || state.holders.registry.some((h, i) => i !== index && h.address.toLowerCase() === value.toLowerCase()))) {
+        updateMicroStatus(value ? `${value} is already in the registry.` : 'A holder needs an address.');
+        renderHolders();
+        return;
+    }
+    holder[field] = value;
+    applyHolderChange();
+}
+
+function applyHolderChange() {
+    state.monteCarlo.summary = null;
+    resetSimulation();
+    renderHolders();
+}
+
+// A CSV registry replaces the current one; vesting and the claim window stay as they are
+function importHolders(text, filename) {
+    const { registry, errors, warnings } = parseHolderCsv(text);
+    if (!registry) {
+        updateMicroStatus(`Could not load holders from "${filename}": ${errors[0]}`);
+        errors.forEach(msg => logEvent('SYSTEM', `Holder import error: ${msg}`, { severity: 'warning' }));
+        return;
+    }
+    state.holders = { ...state.holders, registry };
+    applyHolderChange();
+    updateMicroStatus(`Loaded ${registry.length} holders from "${filename}".`);
+    logEvent('SYSTEM', `Holders imported: ${registry.length} from ${filename}`);
+    warnings.forEach(msg => logEvent('SYSTEM', `Holder import warning: ${msg}`, { severity: 'warning' }));
+}
+
+// The ledger as it stood at a step (the one on screen by default), rebuilt from that snapshot's grants
+function getLedger(step = state.currentStep) {
+    const snapshot = state.history[step];
+    return describeLedger(snapshot.grants, snapshot.index, state.holders);
+}
+
+function exportLedger() {
+    const label = state.periods[state.currentStep].label;
+    downloadFile(`${fileSlug(`ledger-${label}`, 'ledger')}.csv`, ledgerToCsv(getLedger()), 'text/csv');
+    logEvent('SYSTEM', `Holder ledger exported at ${label}: ${state.holders.registry.length} holders`);
+}
+
+// --- Story Authoring ---
+
+// The story the storyboard plays: the default one until the author changes it
+function getStory() {
+    return state.horizon.story || DEFAULT_STORY;
+}
+
+// Edits work on a copy, which replaces the story once it checks out. Returns whether it did.
+function editStory(change) {
+    const story = JSON.parse(JSON.stringify(getStory()));
+    change(story);
+    return applyStory(story);
+}
+
+function addStoryStep(type) {
+    if (getStory().steps.length >= MAX_STEPS) return;
+    if (editStory(story => story.steps.push(createStep(type)))) renderStoryEditor();
+}
+
+function removeStoryStep(index) {
+    if (index < 1) return;
+    if (editStory(story => story.steps.splice(index, 1))) renderStoryEditor();
+}
+
+// Swap a step with its neighbour; T+0 stays first
+function moveStoryStep(index, offset) {
+    const to = index + offset;
+    if (index < 1 || to < 1 || to >= getStory().steps.length) return;
+    const swapped = editStory(story => {
+        [story.steps[index], story.steps[to]] = [story.steps[to], story.steps[index]];
+    });
+    if (swapped) renderStoryEditor();
+}
+
+// The new type brings its own settings. Narrative the author wrote is kept; text still at
+// the old type's defaults becomes the new type's.
+function changeStoryStepType(index, type) {
+    const changed = editStory(story => {
+        const step = story.steps[index];
+        const defaults = STEP_TYPES[step.type].narrative;
+        const next = createStep(type);
+        Object.keys(defaults).forEach(field => {
+            if (JSON.stringify(step[field]) !== JSON.stringify(defaults[field])) next[field] = step[field];
+        });
+        story.steps[index] = next;
+    });
+    if (changed) renderStoryEditor();
+}
+
+// The editor is only redrawn when the story did not take the value as typed (a blank title,
+// a trimmed note), so focus stays where the author moved it
+function updateStoryStep(index, field, value) {
+    if (!editStory(story => { story.steps[index][field] = value; })) return;
+    const stored = getStory().steps[index][field];
+    if (JSON.stringify(stored) !== JSON.stringify(value)) renderStoryEditor();
+}
+
+// The title only names the story, so the run carries on
+function updateStoryTitle(title) {
+    const story = JSON.parse(JSON.stringify(getStory()));
+    story.title = title.slice(0, TEXT_LIMITS.title) || 'Untitled story';
+    state.horizon = { ...state.horizon, story };
+    document.getElementById('input-story-title').value = story.title;
+    renderHorizon();
+}
+
+// Checked like a loaded story. The run restarts with it and steps back to the period on screen.
+function applyStory(story) {
+    const { story: checked, errors } = normalizeStory(story, state.assets);
+    if (!checked) {
+        updateMicroStatus(`Story not changed: ${errors[0]}`);
+        renderStoryEditor();
+        return false;
+    }
+    const step = state.currentStep;
+    state.horizon = { ...state.horizon, mode: 'storyboard', story: checked };
+    state.monteCarlo.summary = null;
+    resetSimulation();
+    if (step > 0) goToStep(Math.min(step, state.periods.length - 1));
+    return true;
+}
+
+function resetStory() {
+    const step = state.currentStep;
+    state.horizon = { ...state.horizon, story: null };
+    state.monteCarlo.summary = null;
+    resetSimulation();
+    if (step > 0) goToStep(Math.min(step, state.periods.length - 1));
+    renderStoryEditor();
+    logEvent('SYSTEM', `Story reset: ${DEFAULT_STORY.title}`);
+}
+
+// A story file, or a scenario file that plays a story
+function importStory(text, filename) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        reportStoryErrors(filename, ['The file is not valid JSON']);
+        return;
+    }
+    const source = data && data.horizon && data.horizon.story ? data.horizon.story : data;
+    const { story, errors } = normalizeStory(source, state.assets);
+    if (!story) {
+        reportStoryErrors(filename, errors);
+        return;
+    }
+    applyStory(story);
+    renderStoryEditor();
+    updateMicroStatus(`Loaded story "${story.title}": ${story.steps.length} steps.`);
+    logEvent('SYSTEM', `Story imported: ${story.title} (${story.steps.length} steps) from ${filename}`);
+}
+
+function reportStoryErrors(filename, errors) {
+    updateMicroStatus(`Could not load a story from "${filename}": ${errors[0]}`);
+    errors.forEach(msg => logEvent('SYSTEM', `Story error: ${msg}`, { severity: 'warning' }));
+}
+
+function exportStory() {
+    const story = getStory();
+    downloadFile(`${fileSlug(story.title, 'story')}-story.json`, JSON.stringify(story, null, 2), 'application/json');
+    logEvent('SYSTEM', `Story exported: ${story.title} (${story.steps.length} steps)`);
+}
+
+// --- Monte Carlo ---
+
+// Runs paths in small batches so the page stays responsive, then stores the summary
+function runMonteCarlo() {
+    const mc = state.monteCarlo;
+    if (mc.isRunning) return;
+
+    const config = {
+        params: state.params,
+        portfolio: state.initialPortfolio,
+        assets: state.assets,
+        liabilities: state.liabilities,
+        horizon: state.horizon,
+        oracle: state.oracle,
+        holders: state.holders,
+        governance: state.governance,
+        policy: state.policy.program,
+        distributions: JSON.parse(JSON.stringify(mc.distributions)),
+        seed: mc.seed
+    };
+    const target = getEffectiveParams().targetReserveRatio;
+    const { paths: total, seed } = mc;
+    const results = [];
+    const batchSize = 200;
+    const startedAt = Date.now();
+
+    mc.isRunning = true;
+    mc.summary = null;
+    renderMonteCarlo();
+
+    const runBatch = () => {
+        const count = Math.min(batchSize, total - results.length);
+        results.push(...runMonteCarloPaths(config, results.length, count));
+
+        if (results.length < total) {
+            updateMonteCarloProgress(`Running… ${results.length} / ${total} paths`);
+            setTimeout(runBatch, 0);
+            return;
+        }
+
+        mc.isRunning = false;
+        mc.summary = {
+            ...summarizeMonteCarlo(results, target),
+            seed,
+            target,
+            startRatio: getReserveRatio(state.initialPortfolio, state.liabilities.amount),
+            horizon: HORIZONS[state.horizon.mode].label,
+            periods: state.periods.length - 1,
+            elapsedMs: Date.now() - startedAt
+        };
+        renderMonteCarlo();
+        logEvent('SYSTEM', `Monte Carlo: ${total} paths (seed ${seed}), P(ratio < ${target}%) = ${(mc.summary.probBelowTarget * 100).toFixed(1)}%`);
+    };
+    setTimeout(runBatch, 0);
+}
+
+// --- Compare ---
+
+// Every parameter set the compare view can run
+function getCompareOptions() {
+    return [{ key: 'current', label: 'Current settings' }]
+        .concat(Object.keys(PRESETS).map(key => ({ key, label: PRESETS[key].label })))
+        .concat(state.savedScenarios.map(s => ({ key: `saved:${s.name}`, label: s.name })));
+}
+
+// Presets apply their sliders to the current treasury; saved scenarios bring their own
+function getCompareConfig(key) {
+    if (key === 'current') {
+        return {
+            params: state.params,
+            policy: state.policy.program,
+            assets: state.assets,
+            portfolio: state.initialPortfolio,
+            liabilities: state.liabilities,
+            oracle: state.oracle,
+            holders: state.holders,
+            governance: state.governance
+        };
+    }
+    if (PRESETS[key]) {
+        const { label, ...presetParams } = PRESETS[key];
+        const params = { ...state.params, ...presetParams };
+        return {
+            params,
+            policy: buildPolicySource(params),
+            assets: state.assets,
+            portfolio: state.initialPortfolio,
+            liabilities: state.liabilities,
+            oracle: state.oracle,
+            holders: state.holders,
+            governance: state.governance
+        };
+    }
+    const scenario = state.savedScenarios.find(s => `saved:${s.name}` === key);
+    if (!scenario) return null;
+    return {
+        params: scenario.params,
+        policy: scenario.policy || buildPolicySource(scenario.params),
+        assets: scenario.assets,
+        portfolio: scenario.portfolio,
+        liabilities: scenario.liabilities,
+        oracle: scenario.oracle,
+        holders: scenario.holders,
+        governance: scenario.governance
+    };
+}
+
+// Run each selected set silently through the same periods as the main run
+function runComparison() {
+    const options = getCompareOptions();
+    state.compare.selected = state.compare.selected.filter(key => options.some(o => o.key === key));
+    state.compare.runs = state.compare.selected.map((key, i) => {
+        const config = getCompareConfig(key);
+        const sim = createSimulation(config.params, config.portfolio, {
+            assets: config.assets,
+            horizon: state.horizon,
+            liabilities: config.liabilities,
+            oracle: config.oracle,
+            holders: config.holders,
+            governance: config.governance,
+            policy: config.policy,
+            periods: state.periods
+        });
+        return {
+            key,
+            label: options.find(o => o.key === key).label,
+            color: COMPARE_COLORS[i % COMPARE_COLORS.length],
+            snapshots: sim.run()
+        };
+    });
+    renderCompare();
+}
+
+// --- Optimizer ---
+
+// Evaluates candidates in small batches so the page stays responsive, then keeps the frontier.
+// Every candidate runs the generated policy, so a hand-edited policy is not what gets searched.
+function runOptimizer() {
+    const opt = state.optimizer;
+    if (opt.isRunning) return;
+    const search = JSON.parse(JSON.stringify(opt.search));
+    opt.errors = checkSearch(search);
+    if (opt.errors.length > 0) {
+        renderOptimizer();
+        return;
+    }
+
+    const cases = buildStressCases(search);
+    const config = {
+        params: { ...state.params },
+        portfolio: state.initialPortfolio,
+        assets: state.assets,
+        liabilities: state.liabilities,
+        horizon: state.horizon,
+        oracle: state.oracle,
+        holders: state.holders,
+        governance: state.governance,
+        periods: state.periods,
+        cases,
+        minRatio: search.minRatio,
+        maxRisk: search.maxRisk
+    };
+    const candidates = buildCandidates(search);
+    const results = [];
+    // About as many runs per batch as a Monte Carlo batch has paths
+    const batchSize = Math.max(1, Math.floor(200 / cases.length));
+    const startedAt = Date.now();
+
+    opt.isRunning = true;
+    opt.result = null;
+    renderOptimizer();
+
+    const runBatch = () => {
+        candidates.slice(results.length, results.length + batchSize).forEach(candidate => {
+            results.push(evaluateCandidate(candidate, config));
+        });
+
+        if (results.length < candidates.length) {
+            updateOptimizerProgress(`Searching… ${results.length} / ${candidates.length} points`);
+            setTimeout(runBatch, 0);
+            return;
+        }
+
+        opt.isRunning = false;
+        opt.result = {
+            search,
+            results,
+            frontier: getParetoFrontier(results, search.objective, search.tradeOff),
+            cases,
+            horizon: HORIZONS[state.horizon.mode].label,
+            periods: state.periods.length - 1,
+            elapsedMs: Date.now() - startedAt
+        };
+        renderOptimizer();
+        const feasible = results.filter(r => r.feasible).length;
+        logEvent('SYSTEM', `Optimizer: ${results.length} points × ${cases.length} stress case${cases.length === 1 ? '' : 's'}, ${feasible} feasible, ${opt.result.frontier.length} on the frontier`);
+    };
+    setTimeout(runBatch, 0);
+}
+
+// A frontier point is applied like a preset: its params with the generated policy it was scored on
+function applyOptimizerPoint(key) {
+    const result = state.optimizer.result;
+    const point = result && result.frontier.find(r => getCandidateKey(r.candidate) === key);
+    if (!point) return;
+
+    const before = { ...state.params };
+    Object.assign(state.params, point.candidate);
+    state.policy.isCustom = false;
+    syncPolicyFromParams();
+
+    resetSimulation();
+    renderOptimizer();
+    updateMicroStatus('Applied the optimizer point. Hit Play to run it.');
+    logParamChanges('Optimizer point applied', before, state.params);
+}
+
+// --- Policy Program ---
+
+// Compile new policy text. On errors the previous valid program keeps running.
+function setPolicySource(source) {
+    const { program, errors } = compilePolicySource(source, state.assets);
+    state.policy.source = source;
+    state.policy.errors = errors;
+    if (program) {
+        state.policy.program = program;
+        branchAtCurrentStep();
+        if (state.sim) state.sim.setPolicy(program);
+        if (state.autonomous) state.autonomous.setPolicy(program);
+    }
+}
+
+// Regenerate the policy text from the sliders unless the user has taken it over
+function syncPolicyFromParams() {
+    if (!state.policy.isCustom) {
+        setPolicySource(buildPolicySource(state.params));
+    }
+}
+
+// Push slider changes into the running engine
+function setParam(key, value) {
+    if (!(key in state.pendingParamChanges)) state.pendingParamChanges[key] = state.params[key];
+    state.params[key] = value;
+    branchAtCurrentStep();
+    if (state.sim) state.sim.setParams({ [key]: value });
+    if (state.autonomous) state.autonomous.setParams({ [key]: value });
+    syncPolicyFromParams();
+}
+
+// Slider params, overridden by any `name = value` assignments in the running policy
+function getEffectiveParams() {
+    return resolveEffectiveParams(state.params, state.policy.program);
+}
+
+// Sliders call setParam on every tick; the change is logged once, when the control is released
+function commitParamChange(key) {
+    if (!(key in state.pendingParamChanges)) return;
+    const before = { ...state.params, [key]: state.pendingParamChanges[key] };
+    delete state.pendingParamChanges[key];
+    logParamChanges(null, before, state.params);
+}
+
+// One PARAM_CHANGE record listing every param that differs, e.g.
+// "Preset loaded: Conservative (Shock magnitude 20% → 10%, ...)"; without a title just the changes
+function logParamChanges(title, before, after) {
+    const changes = Object.keys(PARAM_LABELS)
+        .filter(key => before[key] !== after[key])
+        .map(key => ({ param: key, from: before[key], to: after[key] }));
+    const text = changes
+        .map(c => `${PARAM_LABELS[c.param].label} ${PARAM_LABELS[c.param].format(c.from)} → ${PARAM_LABELS[c.param].format(c.to)}`)
+        .join(', ');
+    if (!title && changes.length === 0) return;
+    const message = !title ? text : `${title} (${text || 'no parameter changes'})`;
+    logEvent('PARAM_CHANGE', message, { changes });
+}
+
+// Log a UI event (PARAM_CHANGE, SYSTEM) against the step on screen
+function logEvent(type, message, details) {
+    addLogRecord(createLogRecord(state.periods[state.currentStep], type, message, details));
+}
+
+function addLogRecord(record) {
+    state.logs.push(record);
+    // Records ahead of the step on screen (exports run the sim to the end) show up later
+    if (record.step <= state.currentStep) renderLogs();
 }
 
 // --- Rendering Functions ---
@@ -353,17 +1257,56 @@ function logEvent(msg) {
 function renderAll() {
     renderTreasury();
     renderRules();
+    renderHorizon();
+    renderLiabilities();
+    renderOracle();
+    renderGovernance();
+    renderHolderLedger();
+    renderRunChart();
     renderTimeline();
     renderControls();
     renderLogs();
 }
 
+// Where the risk score comes from: the model's base, then each asset's points
+function renderRiskBreakdown(assessment) {
+    const model = RISK_MODELS[assessment.model];
+    const points = (v) => `${v < 0 ? '−' : '+'}${Math.abs(v).toFixed(1)}`;
+    const rows = assessment.contributions
+        .slice()
+        .sort((a, b) => Math.abs(b.points) - Math.abs(a.points))
+        .map(c => {
+            const asset = state.assets.find(a => a.id === c.asset);
+            return `<tr>
+                <th scope="row"><span class="color-dot" style="background-color: ${asset ? asset.color : '#64748b'}"></span>${escapeHtml(asset ? asset.name : c.asset)}</th>
+                <td>${points(c.points)}</td>
+                <td class="risk-detail">${escapeHtml(c.detail)}</td>
+            </tr>`;
+        }).join('');
+    const base = assessment.base !== 0
+        ? `<tr><th scope="row">Base</th><td>${assessment.base.toFixed(1)}</td><td class="risk-detail">Score with nothing offsetting it</td></tr>`
+        : '';
+    return `
+        <div class="risk-breakdown-title">${model.label}</div>
+        <p class="risk-detail">${escapeHtml(assessment.summary)}</p>
+        <table class="risk-breakdown-table">
+            ${base}${rows}
+            <tr class="risk-breakdown-total"><th scope="row">Score</th><td>${assessment.score.toFixed(1)}</td><td></td></tr>
+        </table>
+        <p class="risk-detail">${model.desc}</p>
+    `;
+}
+
 function renderTreasury() {
-    const p = state.portfolio;
-    const total = getTotalValue(p);
-    const ratio = getReserveRatio(p);
-    const target = state.params.targetReserveRatio;
-    const risk = calculateRiskScore(p, state.params);
+    const snapshot = state.history[state.currentStep];
+    const p = snapshot.portfolio;
+    const total = snapshot.totalValue;
+    const ratio = snapshot.reserveRatio;
+    const params = getEffectiveParams();
+    const target = params.targetReserveRatio;
+    // Live, so slider and model changes show before the next step
+    const assessment = assessRisk(p, params, withFrozenAssets(state.assets, snapshot.frozen), snapshot.liabilities);
+    const risk = assessment.score;
 
     // Update Text Metrics
     document.getElementById('totalValue').textContent = `$${(total / 1000000).toFixed(2)}M`;
@@ -382,7 +1325,13 @@ function renderTreasury() {
         ratioEl.classList.add('ratio--danger');
         ratioText = ' (stressed)';
     }
-    ratioEl.textContent = `${ratio.toFixed(1)}%${ratioText}`;
+    ratioEl.textContent = `${formatRatio(ratio)}${ratioText}`;
+
+    // Accrued yield waiting to be distributed
+    document.getElementById('accruedYield').textContent = `$${(snapshot.accruedYield / 1000).toFixed(1)}k`;
+
+    // Liabilities
+    document.getElementById('liabilitiesValue').textContent = `$${(snapshot.liabilities / 1000000).toFixed(2)}M`;
 
     // Risk Score
     const riskEl = document.getElementById('riskScore');
@@ -399,14 +1348,19 @@ function renderTreasury() {
         riskLabel = '(high)';
     }
     riskEl.textContent = `${risk.toFixed(0)} ${riskLabel}`;
+    document.getElementById('select-risk-model').value = params.riskModel;
+    document.getElementById('riskBreakdown').innerHTML = renderRiskBreakdown(assessment);
 
     // Update Asset List
     const listEl = document.getElementById('assetList');
     listEl.innerHTML = '';
 
-    ASSETS.forEach(asset => {
+    state.assets.forEach(asset => {
         const val = p[asset.id];
         const percentage = (val / total) * 100;
+        const details = [asset.desc, `${asset.yield}% yield`, `${LIQUIDITY_TIERS[asset.liquidity].label.toLowerCase()} liquidity`]
+            .filter(Boolean)
+            .join(' · ');
 
         const li = document.createElement('li');
         li.className = 'asset-item';
@@ -414,8 +1368,9 @@ function renderTreasury() {
             <div class="asset-info">
                 <div class="color-dot" style="background-color: ${asset.color}"></div>
                 <div>
-                    <span class="asset-name">${asset.name}</span>
-                    <span class="asset-desc">${asset.desc}</span>
+                    <span class="asset-name">${escapeHtml(asset.name)}</span>
+                    ${snapshot.frozen.includes(asset.id) ? '<span class="asset-frozen">Frozen</span>' : ''}
+                    <span class="asset-desc">${escapeHtml(details)}</span>
                 </div>
             </div>
             <div class="asset-value">
@@ -433,9 +1388,21 @@ function renderPieChart(portfolio, total) {
     const svg = document.getElementById('treasuryChart');
     svg.innerHTML = '';
 
+    // The slices read out as shares; the table under the chart has the amounts
+    const shares = state.assets.map(asset => ({ asset, value: portfolio[asset.id], percent: (portfolio[asset.id] / total) * 100 }));
+    svg.setAttribute('aria-label', `Treasury composition: ${shares.map(s => `${s.asset.name} ${s.percent.toFixed(1)}%`).join(', ')}`);
+    document.getElementById('treasuryTable').innerHTML = `
+        <table class="data-table data-table--numeric chart-table">
+            <caption>Treasury composition at ${escapeHtml(state.periods[state.currentStep].label)}</caption>
+            <thead><tr><th scope="col">Asset</th><th scope="col">Value</th><th scope="col">Share</th></tr></thead>
+            <tbody>${shares.map(s => `<tr><th scope="row">${escapeHtml(s.asset.name)}</th><td>$${(s.value / 1000).toFixed(0)}k</td><td>${s.percent.toFixed(1)}%</td></tr>`).join('')}</tbody>
+            <tfoot><tr><th scope="row">Total</th><td>$${(total / 1000).toFixed(0)}k</td><td>100.0%</td></tr></tfoot>
+        </table>
+    `;
+
     let cumulativePercent = 0;
 
-    ASSETS.forEach(asset => {
+    state.assets.forEach(asset => {
         const val = portfolio[asset.id];
         const percent = val / total;
         const [startX, startY] = getCoordinatesForPercent(cumulativePercent);
@@ -454,6 +1421,9 @@ function renderPieChart(portfolio, total) {
         path.setAttribute('d', pathData);
         path.setAttribute('fill', asset.color);
         path.style.transition = 'd 0.5s ease';
+        const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+        title.textContent = `${asset.name}: $${(val / 1000).toFixed(0)}k (${(percent * 100).toFixed(1)}%)`;
+        path.appendChild(title);
 
         svg.appendChild(path);
     });
@@ -466,42 +1436,45 @@ function getCoordinatesForPercent(percent) {
 }
 
 function renderRules() {
-    // Update Slider Values
-    document.getElementById('val-shock').textContent = `${state.params.shockMagnitude}%`;
-    document.getElementById('val-reserve').textContent = `${state.params.targetReserveRatio}%`;
-    document.getElementById('val-dist').textContent = `${state.params.yieldDistribution}%`;
+    const params = getEffectiveParams();
 
-    // Update Slider Labels
-    document.getElementById('label-shock').textContent = getSliderLabel('shock', state.params.shockMagnitude);
-    document.getElementById('label-reserve').textContent = getSliderLabel('reserve', state.params.targetReserveRatio);
-    document.getElementById('label-dist').textContent = getSliderLabel('dist', state.params.yieldDistribution);
+    // Update Slider Values (a policy assignment overrides the slider)
+    renderRuleValue('val-shock', params.shockMagnitude, state.params.shockMagnitude);
+    renderRuleValue('val-reserve', params.targetReserveRatio, state.params.targetReserveRatio);
+    renderRuleValue('val-dist', params.yieldDistribution, state.params.yieldDistribution);
 
-    // Highlight Active Rules
-    document.getElementById('rule-shock').classList.toggle('active', state.currentStep === 1);
-    document.getElementById('rule-rebalance').classList.toggle('active', state.currentStep === 2);
-    document.getElementById('rule-dist').classList.toggle('active', state.currentStep === 3);
+    // Slider positions follow the params (presets and scenarios change them too)
+    document.getElementById('slider-shock').value = state.params.shockMagnitude;
+    document.getElementById('slider-reserve').value = state.params.targetReserveRatio;
+    document.getElementById('slider-dist').value = state.params.yieldDistribution;
 
-    // Update Policy Preview (reflect some current numeric values)
+    // Update Slider Labels
+    document.getElementById('label-shock').textContent = getSliderLabel('shock', params.shockMagnitude);
+    document.getElementById('label-reserve').textContent = getSliderLabel('reserve', params.targetReserveRatio);
+    document.getElementById('label-dist').textContent = getSliderLabel('dist', params.yieldDistribution);
+    document.getElementById('toggle-principal').checked = state.params.allowPrincipalDip;
+    document.getElementById('select-rebalance-strategy').value = state.params.rebalanceStrategy;
+    document.getElementById('input-min-trade').value = state.params.minTradeSize / 1000;
+    document.getElementById('rebalanceDesc').textContent =
+        `If ratio < target: ${REBALANCE_STRATEGIES[state.params.rebalanceStrategy].desc}`;
+    renderShockControls();
+
+    // Highlight Active Rules (storyboard steps always show their rule; calendar periods only when it acted)
+    const period = state.periods[state.currentStep];
+    const activity = (state.history[state.currentStep] || {}).activity || [];
+    const isStory = Boolean(period && period.step);
+    document.getElementById('rule-shock').classList.toggle('active', activity.includes('shock'));
+    document.getElementById('rule-rebalance').classList.toggle('active',
+        activity.includes('rebalance') || (isStory && period.events.includes('policy_check')));
+    document.getElementById('rule-dist').classList.toggle('active',
+        activity.includes('distribution') || (isStory && period.tags.includes('month_end')));
+
+    // Update Policy Preview (generated from the sliders until the user edits it)
     const previewEl = document.getElementById('policyPreviewCode');
     if (previewEl) {
-            const previewText = `policy: "reserve_guardrail" {
-        shock_magnitude = ${state.params.shockMagnitude}%
-        when reserve_ratio < ${state.params.targetReserveRatio} {
-            sell "bonds"
-            buy "tBills"
-        }
-    }
-
-    policy: "monthly_yield" {
-        at every month_end {
-            distribute ${state.params.yieldDistribution}% to holders
-        }
-    }
-    `;
-
             // Only update and animate when the text actually changes
-            if (previewEl.textContent !== previewText) {
-                previewEl.textContent = previewText;
+            if (previewEl.value !== state.policy.source) {
+                previewEl.value = state.policy.source;
                 const card = previewEl.closest('.policy-preview-card');
                 if (card) {
                     card.classList.remove('flash');
@@ -513,98 +1486,557 @@ function renderRules() {
                     setTimeout(() => card.classList.remove('flash'), 900);
                 }
             }
+            previewEl.classList.toggle('policy-code--invalid', state.policy.errors.length > 0);
+    }
+    renderPolicyErrors();
+}
+
+// Scenario, target asset and duration of the shock event. The asset picker offers the scenario's
+// own choice as "Auto"; bank runs hit liabilities, so it is disabled for them.
+function renderShockControls() {
+    const { shockScenario, shockAsset, shockDuration } = state.params;
+    const scenario = SHOCK_SCENARIOS[shockScenario];
+    const auto = getShockAsset({ ...state.params, shockAsset: '' }, state.assets);
+    const assetSelect = document.getElementById('select-shock-asset');
+    assetSelect.innerHTML = [`<option value="">Auto${auto ? ` (${escapeHtml(auto.name)})` : ''}</option>`]
+        .concat(state.assets.map(a => `<option value="${escapeHtml(a.id)}">${escapeHtml(a.name)}</option>`))
+        .join('');
+    assetSelect.value = state.assets.some(a => a.id === shockAsset) ? shockAsset : '';
+    assetSelect.disabled = !auto;
+    document.getElementById('select-shock-scenario').value = shockScenario;
+    const duration = document.getElementById('input-shock-duration');
+    duration.value = shockDuration;
+    duration.disabled = shockScenario === 'market_drop';
+    document.getElementById('shockDesc').textContent = scenario.desc;
+}
+
+function renderHorizon() {
+    const { mode, periods, shockPeriod, shockRepeat, replay } = state.horizon;
+    const isCalendar = mode === 'monthly' || mode === 'daily';
+
+    document.getElementById('select-horizon').value = mode;
+    const inputs = {
+        'input-periods': periods,
+        'input-shock-period': shockPeriod,
+        'select-shock-repeat': shockRepeat
+    };
+    Object.keys(inputs).forEach(id => {
+        const el = document.getElementById(id);
+        el.value = inputs[id];
+        el.disabled = !isCalendar;
+    });
+
+    // Bundled datasets, plus the imported series while one is loaded
+    const datasetSelect = document.getElementById('select-replay-dataset');
+    const imported = replay && !replay.dataset ? `<option value="">Imported: ${escapeHtml(replay.name)}</option>` : '';
+    datasetSelect.innerHTML = imported + Object.keys(MARKET_DATASETS)
+        .map(key => `<option value="${key}">${MARKET_DATASETS[key].label}</option>`)
+        .join('');
+    datasetSelect.value = replay ? replay.dataset || '' : Object.keys(MARKET_DATASETS)[0];
+    document.getElementById('replayControls').hidden = mode !== 'replay';
+    document.getElementById('btn-story').hidden = mode !== 'storyboard';
+
+    const unit = HORIZONS[mode].unit;
+    const desc = document.getElementById('horizonDesc');
+    if (isCalendar) {
+        desc.textContent = `${periods} ${unit}${periods === 1 ? '' : 's'} from ${state.horizon.startDate}. Policies are checked every period; "at every" schedules fire on their calendar dates.`;
+    } else if (mode === 'replay') {
+        const dataset = MARKET_DATASETS[replay.dataset];
+        const points = replay.points;
+        desc.textContent = `${dataset ? `${dataset.desc} ` : ''}${points.length - 1} periods from ${points[0].date} to ${points[points.length - 1].date}. `
+            + 'Each period marks the portfolio by the price moves since the previous date instead of the synthetic shock; policies are checked every period.';
+    } else if (state.horizon.story) {
+        const last = state.horizon.story.steps.length - 1;
+        desc.textContent = `"${state.horizon.story.title}": ${last + 1} steps, T+0 → T+${last}. Edit the steps and their narrative with Story….`;
+    } else {
+        desc.textContent = 'The four-step story, T+0 → T+3. Write your own with Story…, or switch to monthly or daily periods for a longer run.';
+    }
+}
+
+function renderLiabilities() {
+    const { amount, growthRate, redemptionRate, redemptionSchedule } = state.liabilities;
+
+    document.getElementById('input-liabilities').value = amount / 1000;
+    document.getElementById('input-liability-growth').value = growthRate;
+    document.getElementById('input-redemption-rate').value = redemptionRate;
+    const scheduleEl = document.getElementById('select-redemption-schedule');
+    scheduleEl.value = redemptionSchedule;
+    scheduleEl.disabled = redemptionRate === 0;
+
+    const parts = [`$${(amount / 1000).toFixed(0)}k owed to holders at T+0`];
+    if (growthRate > 0) parts.push(`growing ${growthRate}% per period`);
+    if (redemptionRate > 0) parts.push(`${redemptionRate}% redeemed ${scheduleEl.options[scheduleEl.selectedIndex].text}`);
+    const { registry, vestingPeriods, claimWindow } = state.holders;
+    const payout = [`split across ${registry.length} holder${registry.length === 1 ? '' : 's'}`];
+    if (vestingPeriods > 0) payout.push(`vesting over ${vestingPeriods} period${vestingPeriods === 1 ? '' : 's'}`);
+    if (claimWindow > 0) payout.push(`claimable for ${claimWindow} period${claimWindow === 1 ? '' : 's'}`);
+    document.getElementById('liabilitiesDesc').textContent =
+        `${parts.join(', ')}. Distributions (${payout.join(', ')}) and redemptions pay holders, reducing assets and liabilities together.`;
+}
+
+const ORACLE_INPUTS = {
+    'input-oracle-cadence': 'cadence',
+    'input-oracle-latency': 'latency',
+    'input-oracle-noise': 'noise',
+    'input-oracle-deviation': 'maxDeviation',
+    'input-oracle-heartbeat': 'heartbeat',
+    'input-oracle-breaker': 'circuitBreaker',
+    'input-oracle-halt': 'breakerPeriods',
+    'input-oracle-incident-start': 'incidentStart',
+    'input-oracle-incident-length': 'incidentLength',
+    'input-oracle-manipulation': 'manipulation'
+};
+
+// Oracle settings, then what the feed shows at the step on screen next to the market
+function renderOracle() {
+    const oracle = state.oracle;
+    Object.keys(ORACLE_INPUTS).forEach(id => {
+        document.getElementById(id).value = oracle[ORACLE_INPUTS[id]];
+    });
+    document.getElementById('select-oracle-incident').value = oracle.incident;
+    const assetSelect = document.getElementById('select-oracle-asset');
+    assetSelect.innerHTML = ['<option value="">Riskiest</option>']
+        .concat(state.assets.map(a => `<option value="${escapeHtml(a.id)}">${escapeHtml(a.name)}</option>`))
+        .join('');
+    assetSelect.value = state.assets.some(a => a.id === oracle.incidentAsset) ? oracle.incidentAsset : '';
+    const hasIncident = oracle.incident !== 'none';
+    ['input-oracle-incident-start', 'input-oracle-incident-length'].forEach(id => {
+        document.getElementById(id).disabled = !hasIncident;
+    });
+    document.getElementById('input-oracle-manipulation').disabled = oracle.incident !== 'manipulation';
+    assetSelect.disabled = oracle.incident !== 'manipulation';
+    document.getElementById('input-oracle-halt').disabled = oracle.circuitBreaker === 0;
+
+    const feed = [oracle.cadence === 1 ? 'every period' : `every ${oracle.cadence} periods`];
+    if (oracle.latency > 0) feed.push(`${oracle.latency} period${oracle.latency === 1 ? '' : 's'} late`);
+    if (oracle.noise > 0) feed.push(`±${oracle.noise}% noise`);
+    const guards = [];
+    if (oracle.maxDeviation > 0) guards.push(`rejects moves over ${oracle.maxDeviation}%`);
+    if (oracle.heartbeat > 0) guards.push(`pauses checks after ${oracle.heartbeat} period${oracle.heartbeat === 1 ? '' : 's'} without an update`);
+    if (oracle.circuitBreaker > 0) guards.push(`halts checks for ${oracle.breakerPeriods} after ${oracle.circuitBreaker} rejection${oracle.circuitBreaker === 1 ? '' : 's'} in a row`);
+    const incident = hasIncident ? ` Incident: ${ORACLE_INCIDENTS[oracle.incident].label.toLowerCase()} at T+${oracle.incidentStart}.` : '';
+    document.getElementById('oracleDesc').textContent =
+        `Readings ${feed.join(', ')}; ${guards.length ? `the treasury ${guards.join(', ')}` : 'no guardrails'}.${incident} Checks read oracle prices; trades execute at market.`;
+
+    // Where the feed and the market disagree by more than 0.5%, and what that does to the ratio policies see
+    const snapshot = state.history[state.currentStep];
+    const statusEl = document.getElementById('oracleStatus');
+    const feedPrices = snapshot.oracle.prices;
+    const gaps = state.assets
+        .filter(a => feedPrices[a.id] !== undefined && Math.abs(feedPrices[a.id] / snapshot.prices[a.id] - 1) > 0.005)
+        .map(a => `${escapeHtml(a.name)} ${feedPrices[a.id].toFixed(3)} vs market ${snapshot.prices[a.id].toFixed(3)}`);
+    const seen = getReserveRatio(markToOracle(snapshot.portfolio, snapshot.prices, feedPrices), snapshot.liabilities);
+    const status = { live: 'Live', stale: 'Stale', halted: 'Halted by circuit breaker' }[snapshot.oracle.status];
+    const parts = [`${status}, last update T+${snapshot.oracle.updatedAt}`];
+    if (gaps.length) parts.push(`${gaps.join(', ')}; checks see a reserve ratio of ${formatRatio(seen)} (actual ${formatRatio(snapshot.reserveRatio)})`);
+    else parts.push('In line with market prices');
+    statusEl.innerHTML = parts.join('. ');
+    statusEl.classList.toggle('oracle-status--warning', snapshot.oracle.status !== 'live' || gaps.length > 0);
+}
+
+const GOVERNANCE_INPUTS = {
+    'input-governance-signers': 'signers',
+    'input-governance-quorum': 'quorum',
+    'input-governance-chance': 'signChance',
+    'input-governance-expiry': 'expiry',
+    'input-governance-timelock': 'timelock'
+};
+
+// Governance settings, the proposals at the step on screen and what the delays cost so far
+function renderGovernance() {
+    const gov = state.governance;
+    const modeSelect = document.getElementById('select-governance-mode');
+    modeSelect.innerHTML = Object.keys(GOVERNANCE_MODES)
+        .map(key => `<option value="${key}">${GOVERNANCE_MODES[key].label}</option>`)
+        .join('');
+    modeSelect.value = gov.mode;
+    document.getElementById('input-governance-threshold').value = gov.threshold / 1000;
+    Object.keys(GOVERNANCE_INPUTS).forEach(id => {
+        document.getElementById(id).value = gov[GOVERNANCE_INPUTS[id]];
+    });
+    document.getElementById('input-governance-threshold').disabled = gov.mode === 'off';
+    document.getElementById('multisigControls').hidden = gov.mode !== 'multisig';
+    document.getElementById('timelockControls').hidden = gov.mode !== 'timelock';
+
+    const threshold = `$${(gov.threshold / 1000).toFixed(0)}k`;
+    const desc = {
+        off: 'Autonomous: every action executes in the period its rule fires.',
+        multisig: `Actions of ${threshold} or more are queued until ${gov.quorum} of ${gov.signers} signers sign (each has a ${gov.signChance}% chance per period), and expire after ${gov.expiry} period${gov.expiry === 1 ? '' : 's'}.`,
+        timelock: `Actions of ${threshold} or more wait ${gov.timelock} period${gov.timelock === 1 ? '' : 's'}, then execute.`
+    }[gov.mode];
+    document.getElementById('governanceDesc').textContent = gov.mode === 'off' ? desc : `${desc} Approved actions trade the same quantities at the prices of the day.`;
+
+    const statusEl = document.getElementById('governanceStatus');
+    const snapshot = state.history[state.currentStep];
+    if (!state.autonomous) {
+        statusEl.textContent = '';
+        return;
+    }
+    // The autonomous run only needs to reach the step on screen
+    while (state.autonomous.getIndex() < state.currentStep && state.autonomous.step()) {
+        // Catch up
+    }
+    const autonomous = state.autonomous.getHistory().slice(0, state.currentStep + 1);
+    const counts = countProposals(snapshot.proposals);
+    const waiting = snapshot.proposals.filter(p => p.status === 'queued').map(p => (p.mode === 'multisig'
+        ? `#${p.id} ${p.signatures}/${p.quorum} signatures`
+        : `#${p.id} until T+${p.readyAt}`));
+    const lowest = (snaps) => Math.min(...snaps.map(snap => snap.reserveRatio));
+    const other = autonomous[autonomous.length - 1];
+    const gap = snapshot.totalValue - other.totalValue;
+    const value = Math.abs(gap) < 50 ? 'the same total value' : `total value ${gap > 0 ? '+' : '−'}$${(Math.abs(gap) / 1000).toFixed(1)}k`;
+    statusEl.textContent = [
+        `${counts.executed} executed, ${counts.expired} expired, ${counts.queued} waiting${waiting.length ? ` (${waiting.join(', ')})` : ''}`,
+        `Against autonomous execution: ${value}, reserve ratio ${formatRatio(snapshot.reserveRatio)} vs ${formatRatio(other.reserveRatio)}, lowest so far ${formatRatio(lowest(state.history.slice(0, state.currentStep + 1)))} vs ${formatRatio(lowest(autonomous))}`
+    ].join('. ');
+    statusEl.classList.toggle('governance-status--warning', gap < -500 || counts.expired > 0);
+}
+
+// Reserve ratio as text; with nothing owed the ratio is unbounded
+function formatRatio(ratio) {
+    return Number.isFinite(ratio) ? `${ratio.toFixed(1)}%` : '∞';
+}
+
+function renderRuleValue(id, effective, slider) {
+    const el = document.getElementById(id);
+    el.textContent = `${effective}%`;
+    const overridden = effective !== slider;
+    el.classList.toggle('rule-value--policy', overridden);
+    el.title = overridden ? `Set by the policy (slider: ${slider}%)` : '';
+}
+
+function renderPolicyErrors() {
+    const list = document.getElementById('policyErrors');
+    if (!list) return;
+    list.innerHTML = '';
+
+    state.policy.errors.forEach(err => {
+        const li = document.createElement('li');
+        li.textContent = `Line ${err.line}, col ${err.col}: ${err.message}`;
+        list.appendChild(li);
+    });
+    if (state.policy.errors.length > 0) {
+        const li = document.createElement('li');
+        li.className = 'policy-errors-note';
+        li.textContent = 'The simulation keeps running the last valid policy.';
+        list.appendChild(li);
     }
+
+    const resetBtn = document.getElementById('btn-policy-reset');
+    if (resetBtn) resetBtn.hidden = !state.policy.isCustom;
 }
 
 function renderTimeline() {
     const container = document.getElementById('timelineContainer');
+    // Keyboard focus inside the timeline moves to the new active step after the redraw
+    const hadFocus = container.contains(document.activeElement);
     container.innerHTML = '';
+    const focusStep = state.highlightStep !== null ? state.highlightStep : state.currentStep;
+
+    state.periods.forEach((period, index) => {
+        if (!isPeriodVisible(period, index)) return;
 
-    SIMULATION_STEPS.forEach((step, index) => {
+        const step = period.step;
         const isActive = index === state.currentStep;
         const isCompleted = index < state.currentStep;
 
         // Delta Calculation
         let deltaHtml = '';
         if (index > 0 && state.history[index] && state.history[index - 1]) {
-            const curr = state.history[index].value;
-            const prev = state.history[index - 1].value;
+            const curr = state.history[index].totalValue;
+            const prev = state.history[index - 1].totalValue;
             const diff = curr - prev;
             const pct = (diff / prev) * 100;
 
             const sign = diff >= 0 ? '+' : ''; // minus is automatic
             const colorClass = diff >= 0 ? 'delta-pos' : 'delta-neg';
 
+            // Trading costs are part of the delta; shown separately so churn is visible
+            const { costs, totalCosts } = state.history[index];
+            const costHtml = costs.total >= 0.5
+                ? `<span class="delta-cost" title="Fees ${formatCost(costs.fee)}, spread ${formatCost(costs.spread)}, slippage ${formatCost(costs.slippage)}">costs -${formatCost(costs.total)} (run total ${formatCost(totalCosts)})</span>`
+                : '';
+
             deltaHtml = `<div class="step-metrics">
                 Value: $${(curr / 1000).toFixed(0)}k 
                 <span class="${colorClass}">(${sign}$${(Math.abs(diff) / 1000).toFixed(0)}k, ${sign}${pct.toFixed(1)}%)</span>
+                ${costHtml}
             </div>`;
         } else if (index === 0 && state.history[0]) {
-            deltaHtml = `<div class="step-metrics">Value: $${(state.history[0].value / 1000).toFixed(0)}k</div>`;
+            deltaHtml = `<div class="step-metrics">Value: $${(state.history[0].totalValue / 1000).toFixed(0)}k</div>`;
         }
 
         const div = document.createElement('div');
-        div.className = `timeline-step ${isActive ? 'active' : ''} ${isCompleted ? 'completed' : ''}`;
-
-        // Optional small Rialo note for certain steps (subtle, explanatory)
-        let rialoNoteHtml = '';
-        if (step.key === 'REBALANCE') {
-            rialoNoteHtml = `
-                <div class="timeline-rialo-note">
-                    <strong>On Rialo, this step could be:</strong>
-                    <ul>
-                        <li>A small on‑chain program that watches a real‑world price feed,</li>
-                        <li>Checks if <code>reserve_ratio &lt; target_ratio</code>,</li>
-                        <li>And schedules a single atomic rebalance transaction via native infrastructure.</li>
-                    </ul>
+        div.className = `timeline-step ${isActive ? 'active' : ''} ${isCompleted ? 'completed' : ''} ${index === state.highlightStep ? 'highlighted' : ''}`;
+        div.dataset.step = index;
+        div.setAttribute('role', 'listitem');
+
+        // The title is the step's button; only the active (or highlighted) one is in the tab order
+        const titleHtml = `<button type="button" class="step-title" tabindex="${index === focusStep ? 0 : -1}"${isActive ? ' aria-current="step"' : ''}>${escapeHtml(period.title)}</button>`;
+
+        // Calendar periods have no narrative: show what is scheduled and what happened
+        if (!step) {
+            div.classList.add('timeline-step--compact');
+            div.innerHTML = `
+                <div class="step-marker"></div>
+                <div class="step-content">
+                    <div class="step-header-row">
+                        ${titleHtml}
+                        ${isActive ? '<span class="now-badge">● Now</span>' : ''}
+                    </div>
+                    ${renderPeriodBadges(period, index)}
+                    ${deltaHtml}
+                    ${renderTradeList(index)}
                 </div>
             `;
-        } else if (step.key === 'DISTRIBUTION') {
-            rialoNoteHtml = `
+            container.appendChild(div);
+            return;
+        }
+
+        // The step's note, if it has one (subtle, explanatory)
+        const noteHtml = step.note ? `
                 <div class="timeline-rialo-note">
-                    <strong>On Rialo, this could map to:</strong>
+                    ${step.note.title ? `<strong>${escapeHtml(step.note.title)}</strong>` : ''}
                     <ul>
-                        <li>A scheduled on‑chain action that runs at month‑end,</li>
-                        <li>Calculates yield from protocol data,</li>
-                        <li>And distributes it in a single native transaction.</li>
+                        ${step.note.points.map(point => `<li>${formatNoteText(point)}</li>`).join('')}
                     </ul>
                 </div>
-            `;
-        }
+            ` : '';
+        const comparison = [['comp-trad', 'Traditional', step.traditionalText], ['comp-rialo', 'Rialo', step.rialoText]]
+            .filter(([, , text]) => text)
+            .map(([className, label, text]) => `
+                    <div class="comp-item ${className}">
+                        <span class="comp-label">${label}</span>
+                        ${escapeHtml(text)}
+                    </div>`)
+            .join('');
 
         div.innerHTML = `
             <div class="step-marker"></div>
             <div class="step-content">
                 <div class="step-header-row">
-                    <span class="step-title">${step.title}</span>
+                    ${titleHtml}
                     ${isActive ? '<span class="now-badge">● Now</span>' : ''}
                 </div>
-                <p class="step-desc">${step.description}</p>
+                <p class="step-desc">${escapeHtml(getStepDescription(step))}</p>
+                ${step.metricsLabel && deltaHtml ? `<div class="step-metrics-label">${escapeHtml(step.metricsLabel)}</div>` : ''}
                 ${deltaHtml}
-                <div class="comparison-box">
-                    <div class="comp-item comp-trad">
-                        <span class="comp-label">Traditional</span>
-                        ${step.traditionalText}
-                    </div>
-                    <div class="comp-item comp-rialo">
-                        <span class="comp-label">Rialo</span>
-                        ${step.rialoText}
-                    </div>
-                </div>
-                ${rialoNoteHtml}
+                ${renderTradeList(index)}
+                ${comparison ? `<div class="comparison-box">${comparison}
+                </div>` : ''}
+                ${noteHtml}
             </div>
         `;
         container.appendChild(div);
     });
+    if (hadFocus) focusTimelineStep();
     // After rendering, ensure the active step is visible inside the timeline container
     scrollTimelineStepIntoView();
 }
 
+// Put keyboard focus on the timeline step in the tab order (the active or highlighted one)
+function focusTimelineStep() {
+    const button = document.querySelector('#timelineContainer .step-title[tabindex="0"]');
+    if (button) button.focus({ preventScroll: true });
+}
+
+// Up and Down move focus between the listed steps, Home and End to the first and last;
+// Enter or Space on a step shows it, like a click
+function moveTimelineFocus(key) {
+    const buttons = Array.from(document.querySelectorAll('#timelineContainer .step-title'));
+    const from = buttons.indexOf(document.activeElement);
+    if (from < 0) return;
+    const to = { ArrowUp: from - 1, ArrowDown: from + 1, Home: 0, End: buttons.length - 1 }[key];
+    const target = buttons[Math.max(0, Math.min(to, buttons.length - 1))];
+    buttons.forEach(button => { button.tabIndex = button === target ? 0 : -1; });
+    target.focus();
+}
+
+// Long calendar runs only list periods worth reading: the start, the current
+// period, scheduled milestones (shocks, month/quarter/year ends) and any period that traded.
+// Replay periods all carry price moves, so only the ones that hit value (a shock) are listed.
+function isPeriodVisible(period, index) {
+    if (period.step || index === 0 || index === state.currentStep || index === state.highlightStep) return true;
+    if (period.events.some(type => type !== 'policy_check' && type !== 'market')) return true;
+    if (period.tags.some(tag => tag !== 'period' && tag !== 'day' && tag !== 'week_end')) return true;
+    const record = state.history[index];
+    return Boolean(index <= state.currentStep && record && record.activity.length > 0);
+}
+
+function renderPeriodBadges(period, index) {
+    const record = index <= state.currentStep ? state.history[index] : null;
+    const badges = [];
+
+    period.events
+        .filter(type => type !== 'policy_check' && type !== 'market')
+        .forEach(type => badges.push(`<span class="period-badge period-badge--${type}">${getEventLabel(type)}</span>`));
+    // Replayed prices: each asset's price on the period's date and its move since the previous one
+    if (period.moves) {
+        Object.keys(period.moves).forEach(id => {
+            const move = period.moves[id];
+            const asset = state.assets.find(a => a.id === id);
+            const direction = move < 0 ? 'down' : move > 0 ? 'up' : 'flat';
+            const sign = move > 0 ? '+' : move < 0 ? '−' : '±';
+            badges.push(`<span class="period-badge period-badge--price-${direction}" title="${escapeHtml(state.horizon.replay.name)}">${escapeHtml(asset ? asset.name : id)} ${formatPrice(period.prices[id])} (${sign}${Math.abs(move).toFixed(1)}%)</span>`);
+        });
+    }
+    period.tags
+        .filter(tag => tag !== 'period' && tag !== 'day')
+        .forEach(tag => badges.push(`<span class="period-badge">${SCHEDULE_TAGS[tag]}</span>`));
+    if (record && record.activity.includes('rebalance')) {
+        badges.push('<span class="period-badge period-badge--rebalance">Rebalanced</span>');
+    }
+    if (record && record.activity.includes('distribution')) {
+        badges.push('<span class="period-badge period-badge--distribution">Distributed</span>');
+    }
+    if (record && record.activity.includes('redemption')) {
+        badges.push('<span class="period-badge period-badge--distribution">Redeemed</span>');
+    }
+    if (record) {
+        record.frozen.forEach(id => badges.push(`<span class="period-badge period-badge--frozen">Frozen: ${escapeHtml(getAssetLabel(id))}</span>`));
+        getOracleBadges(record).forEach(text => badges.push(`<span class="period-badge period-badge--oracle">${text}</span>`));
+        getGovernanceBadges(record).forEach(text => badges.push(`<span class="period-badge period-badge--governance">${text}</span>`));
+    }
+
+    return badges.length ? `<div class="period-badges">${badges.join('')}</div>` : '';
+}
+
+// Feed problems worth flagging on the timeline
+function getOracleBadges(record) {
+    const events = record.oracleEvents;
+    const badges = [];
+    if (events.includes('outage')) badges.push('Oracle down');
+    if (events.includes('manipulated')) badges.push('Oracle manipulated');
+    if (events.includes('rejected')) badges.push('Oracle rejected');
+    if (events.includes('tripped')) badges.push('Breaker tripped');
+    if (events.includes('reanchored')) badges.push('Breaker reset');
+    if (record.oracle.status === 'stale') badges.push('Oracle stale');
+    else if (record.oracle.status === 'halted' && !events.includes('tripped')) badges.push('Checks halted');
+    return badges;
+}
+
+// Proposals queued, approved (and executed) or expired in the period, then those still waiting
+function getGovernanceBadges(record) {
+    const labels = { queued: 'queued', executed: 'approved', expired: 'expired' };
+    const badges = record.proposalEvents.map(event => `Proposal #${event.id} ${labels[event.kind]}`);
+    const changed = record.proposalEvents.map(event => event.id);
+    record.proposals
+        .filter(p => p.status === 'queued' && !changed.includes(p.id))
+        .forEach(p => badges.push(`Proposal #${p.id} waiting`));
+    return badges;
+}
+
+// The shock event is named after the scenario it fires
+function getEventLabel(type) {
+    if (type === 'shock') return SHOCK_SCENARIOS[getEffectiveParams().shockScenario].label;
+    return EVENT_TYPES[type].label;
+}
+
+function getAssetLabel(id) {
+    const asset = state.assets.find(a => a.id === id);
+    return asset ? asset.name : id;
+}
+
+// A step that keeps its type's default description describes what it does with the current
+// settings: the selected shock scenario, the redemption rate, the oracle's move
+function getStepDescription(step) {
+    if (step.description !== STEP_TYPES[step.type].narrative.description) return step.description;
+    const params = getEffectiveParams();
+    if (step.type === 'redemption') return `Holders redeem ${step.rate}% of what they are owed, all at once.`;
+    if (step.type === 'oracle') {
+        const asset = getPriceUpdateAsset(step, params, state.assets);
+        return `The price feed publishes a ${step.move > 0 ? '+' : ''}${step.move}% move in ${asset.name}.`;
+    }
+    if (step.type !== 'shock' || (params.shockScenario === 'market_drop' && !params.shockAsset)) return step.description;
+    const target = getShockAsset(params, state.assets);
+    const periods = `${params.shockDuration} period${params.shockDuration === 1 ? '' : 's'}`;
+    if (params.shockScenario === 'depeg') {
+        return `${target.name} loses its peg and trades ${params.shockMagnitude}% below $1${params.shockDuration ? `, recovering over ${periods}` : ''}.`;
+    }
+    if (params.shockScenario === 'freeze') {
+        return `A custodian freezes ${target.name} for ${Math.max(1, params.shockDuration)} period${params.shockDuration > 1 ? 's' : ''}: it cannot be traded or used for payouts.`;
+    }
+    if (params.shockScenario === 'bank_run') {
+        return `A redemption wave: holders pull ${params.shockMagnitude}% of liabilities over ${Math.max(1, params.shockDuration)} period${params.shockDuration > 1 ? 's' : ''}.`;
+    }
+    return `Sudden market drop impacts ${target.name} values.`;
+}
+
+// Note points are plain text; `backticks` mark code
+// What a screen reader hears on reaching a step: its title, how the value moved, where the
+// ratio and risk stand, then what happened, in log order (policy actions, payouts, approvals)
+function getStepAnnouncement(index) {
+    const snapshot = state.history[index];
+    const previous = state.history[index - 1];
+    const money = (v) => `$${(Math.abs(v) / 1000).toFixed(0)}k`;
+    let value = `Total value ${money(snapshot.totalValue)}`;
+    if (previous) {
+        const diff = snapshot.totalValue - previous.totalValue;
+        value += Math.abs(diff) < 500
+            ? ', unchanged'
+            : `, ${diff > 0 ? 'up' : 'down'} ${money(diff)} (${Math.abs((diff / previous.totalValue) * 100).toFixed(1)}%)`;
+    }
+    const parts = [
+        `${state.periods[index].title}.`,
+        `${value}.`,
+        `Reserve ratio ${formatRatio(snapshot.reserveRatio)}, target ${Number(snapshot.targetRatio.toFixed(1))}%. Risk score ${snapshot.riskScore.toFixed(0)}.`
+    ];
+
+    // A policy's trades read as one sentence; its per-trade and cost lines stay in the log
+    const actions = [];
+    const policies = new Set();
+    snapshot.logs.forEach(record => {
+        if (record.type === 'TRADE') {
+            if (!record.policy || policies.has(record.policy)) return;
+            policies.add(record.policy);
+            const trades = snapshot.trades.filter(t => t.policy === record.policy && t.side !== 'pay');
+            if (trades.length === 0) return;
+            const moves = trades.map(t => `${t.side === 'sell' ? 'sold' : 'bought'} ${money(t.amount)} ${getAssetLabel(t.asset)}`);
+            actions.push(`Policy "${record.policy}" ${moves.join(', ')}.`);
+        } else if (ANNOUNCED_LOG_TYPES.includes(record.type) || record.severity !== 'info') {
+            actions.push(`${record.message}.`);
+        }
+    });
+    const shown = actions.slice(0, MAX_ANNOUNCED_ACTIONS);
+    if (actions.length > shown.length) shown.push(`${actions.length - shown.length} more in the log.`);
+    return parts.concat(shown).join(' ');
+}
+
+function formatNoteText(text) {
+    return escapeHtml(text).replace(/`([^`]+)`/g, '<code>$1</code>');
+}
+
+// Quotes keep their precision: 0.966 for a stablecoin, 96.6 for an index
+function formatPrice(price) {
+    return price < 10 ? price.toFixed(3) : price.toFixed(1);
+}
+
+// Rebalancer trades of a period, with each asset's weight before and after
+function renderTradeList(index) {
+    const record = index <= state.currentStep ? state.history[index] : null;
+    const trades = record ? record.trades.filter(t => t.fromWeight !== undefined) : [];
+    if (trades.length === 0) return '';
+
+    const items = trades.map(t => {
+        const asset = state.assets.find(a => a.id === t.asset);
+        const name = escapeHtml(asset ? asset.name : t.asset);
+        const target = t.targetWeight !== null ? ` <span class="trade-target">target ${Number(t.targetWeight.toFixed(1))}%</span>` : '';
+        return `<li class="trade trade--${t.side}">
+            <span class="trade-side">${t.side === 'sell' ? 'Sell' : 'Buy'}</span>
+            $${(t.amount / 1000).toFixed(0)}k ${name}:
+            ${t.fromWeight.toFixed(1)}% → ${t.toWeight.toFixed(1)}%${target}
+            ${t.cost >= 0.5 ? `<span class="trade-target">· cost ${formatCost(t.cost)}</span>` : ''}
+        </li>`;
+    }).join('');
+    return `<ul class="trade-list" aria-label="Rebalance trades">${items}</ul>`;
+}
+
 // Scroll the timeline steps container so the active step is centered/visible
 function scrollTimelineStepIntoView() {
     const container = document.getElementById('timelineContainer');
     if (!container) return;
-    const active = container.querySelector('.timeline-step.active');
+    // A step picked from the log takes precedence over the active one
+    const active = container.querySelector('.timeline-step.highlighted') || container.querySelector('.timeline-step.active');
     if (!active) return;
 
     // Align the active step to the top of the timeline container with a small padding
@@ -622,10 +2054,17 @@ function renderLogs() {
     if (!list) return;
     list.innerHTML = '';
 
-    // Show last 5 logs or all? Let's show all, scrollable.
-    state.logs.forEach(msg => {
+    // Everything up to the step on screen, minus the types switched off, scrollable
+    const shown = state.logs.filter(record => record.step <= state.currentStep);
+    renderLogFilters(shown);
+    shown.filter(record => !state.hiddenLogTypes.includes(record.type)).forEach(record => {
         const li = document.createElement('li');
-        li.textContent = msg;
+        li.className = `log-entry log-entry--${record.severity}${record.step === state.highlightStep ? ' highlighted' : ''}`;
+        li.dataset.step = record.step;
+        li.title = `Highlight ${record.label} in the timeline`;
+        li.innerHTML = `<span class="log-step">${record.label}</span>`
+            + `<span class="log-type log-type--${record.type.toLowerCase()}">${LOG_TYPES[record.type].label}</span> `
+            + escapeHtml(record.message);
         list.appendChild(li);
     });
 
@@ -633,12 +2072,27 @@ function renderLogs() {
     list.scrollTop = list.scrollHeight;
 }
 
+// One chip per type in the visible log, with its count; a chip toggles its type
+function renderLogFilters(records) {
+    const container = document.getElementById('logFilters');
+    const counts = {};
+    records.forEach(record => { counts[record.type] = (counts[record.type] || 0) + 1; });
+    container.innerHTML = Object.keys(LOG_TYPES)
+        .filter(type => counts[type])
+        .map(type => {
+            const on = !state.hiddenLogTypes.includes(type);
+            return `<button class="log-chip log-type--${type.toLowerCase()}" data-log-type="${type}" aria-pressed="${on}">${LOG_TYPES[type].label} ${counts[type]}</button>`;
+        })
+        .join('');
+}
+
 function renderControls() {
     const btnPlay = document.getElementById('btn-play');
     const btnPause = document.getElementById('btn-pause');
     const btnReset = document.getElementById('btn-reset');
     const statusText = document.getElementById('statusText');
     const microStatus = document.getElementById('microStatus');
+    const focused = document.activeElement;
 
     if (state.isPlaying) {
         btnPlay.disabled = true;
@@ -649,17 +2103,37 @@ function renderControls() {
     }
 
     // Current Step Label
-    const currentTitle = SIMULATION_STEPS[state.currentStep].title;
-    statusText.textContent = state.currentStep === SIMULATION_STEPS.length - 1
-        ? `${currentTitle} (Complete)`
-        : currentTitle;
+    const lastStep = state.periods.length - 1;
+    const headStep = state.history.length - 1;
+    const currentTitle = state.periods[state.currentStep].title;
+    if (state.currentStep < headStep) statusText.textContent = `${currentTitle} (run is at ${state.periods[headStep].label})`;
+    else if (state.currentStep === lastStep) statusText.textContent = `${currentTitle} (Complete)`;
+    else statusText.textContent = currentTitle;
+
+    // Step navigation and scrubber
+    document.getElementById('btn-back').disabled = state.currentStep === 0;
+    document.getElementById('btn-next').disabled = state.isPlaying || state.currentStep === lastStep;
+    const scrub = document.getElementById('slider-scrub');
+    scrub.max = lastStep;
+    scrub.value = state.currentStep;
+    scrub.setAttribute('aria-valuetext', currentTitle);
+
+    // A button that just disabled itself would drop keyboard focus to the page: hand it on
+    if (focused && focused.disabled && CONTROL_FOCUS_FALLBACK[focused.id]) {
+        const next = CONTROL_FOCUS_FALLBACK[focused.id].map(id => document.getElementById(id)).find(button => !button.disabled);
+        if (next) next.focus();
+    }
 
-    // Micro Status
-    if (state.isPlaying) {
-        if (state.currentStep === 0) updateMicroStatus("Status: Applying market shock...");
-        else if (state.currentStep === 1) updateMicroStatus("Status: Checking policies and rebalancing...");
-        else if (state.currentStep === 2) updateMicroStatus("Status: Scheduling final yield distribution...");
-    } else if (state.currentStep === SIMULATION_STEPS.length - 1) {
+    // Micro Status (describes what the upcoming period will do)
+    const upcoming = state.periods[state.currentStep + 1];
+    if (state.isPlaying && upcoming) {
+        if (!upcoming.step) updateMicroStatus(`Status: Simulating ${upcoming.label} of ${lastStep}...`);
+        else if (upcoming.events.includes('shock')) updateMicroStatus(`Status: Applying ${getEventLabel('shock').toLowerCase()}...`);
+        else if (upcoming.events.includes('price_update')) updateMicroStatus('Status: Publishing the oracle update and checking policies...');
+        else if (upcoming.events.includes('redemption')) updateMicroStatus('Status: Paying out redemptions...');
+        else if (upcoming.events.includes('policy_check')) updateMicroStatus("Status: Checking policies and rebalancing...");
+        else updateMicroStatus(upcoming.index === lastStep ? "Status: Scheduling final yield distribution..." : 'Status: Scheduling yield distribution...');
+    } else if (state.currentStep === lastStep) {
         updateMicroStatus("Simulation complete. Tweak the sliders and run it again.");
     } else {
         // Paused or Ready
@@ -671,11 +2145,675 @@ function renderControls() {
     }
 }
 
+function renderPresets() {
+    const container = document.getElementById('presetButtons');
+    const builtIn = Object.keys(PRESETS)
+        .map(key => `<button class="btn-preset" data-preset="${key}">${PRESETS[key].label}</button>`);
+    const saved = state.savedScenarios.map(s => {
+        const name = escapeHtml(s.name);
+        return `<span class="saved-preset">
+            <button class="btn-preset btn-preset--saved" data-scenario="${name}" title="Saved scenario">${name}</button>
+            <button class="btn-preset-delete" data-delete-scenario="${name}" aria-label="Delete ${name}">✕</button>
+        </span>`;
+    });
+    container.innerHTML = builtIn.concat(saved).join('');
+}
+
+function renderAssetEditor() {
+    const tbody = document.getElementById('assetEditorRows');
+    tbody.innerHTML = '';
+
+    const tierOptions = (selected) => Object.keys(LIQUIDITY_TIERS)
+        .map(tier => `<option value="${tier}" ${tier === selected ? 'selected' : ''}>${LIQUIDITY_TIERS[tier].label}</option>`)
+        .join('');
+
+    state.assets.forEach(asset => {
+        const name = escapeHtml(asset.name);
+        const id = escapeHtml(asset.id);
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>
+                <div class="asset-info">
+                    <input type="color" class="asset-color-input" data-asset="${id}" data-field="color" value="${asset.color}" aria-label="${name} color">
+                    <div>
+                        <input type="text" class="asset-name-input" data-asset="${id}" data-field="name" value="${name}" aria-label="Asset name">
+                        <code class="asset-id">"${id}"</code>
+                    </div>
+                </div>
+            </td>
+            <td><input type="number" class="asset-number-input" min="0" step="10" data-asset="${id}" data-field="start" value="${(state.initialPortfolio[asset.id] || 0) / 1000}" aria-label="${name} starting value ($k)"></td>
+            <td><input type="number" class="asset-number-input" min="-100" max="100" step="0.1" data-asset="${id}" data-field="yield" value="${asset.yield}" aria-label="${name} annual yield %"></td>
+            <td><input type="number" class="asset-number-input" min="0" max="100" step="1" data-asset="${id}" data-field="riskWeight" value="${asset.riskWeight}" aria-label="${name} risk weight"></td>
+            <td><input type="number" class="asset-number-input" min="0" max="500" step="0.5" data-asset="${id}" data-field="volatility" value="${asset.volatility || 0}" aria-label="${name} annual volatility %"></td>
+            <td><select class="horizon-select" data-asset="${id}" data-field="liquidity" aria-label="${name} liquidity">${tierOptions(asset.liquidity)}</select></td>
+            <td><input type="number" class="asset-number-input" min="0" max="100" step="1" data-asset="${id}" data-field="targetWeight" value="${asset.targetWeight || 0}" aria-label="${name} target weight %"></td>
+            <td><input type="number" class="asset-number-input" min="0" max="100" step="0.5" data-asset="${id}" data-field="band" value="${asset.band}" aria-label="${name} drift band (percentage points)"></td>
+            <td><input type="number" class="asset-number-input" min="0" max="1000" step="1" data-asset="${id}" data-field="feeBps" value="${asset.feeBps || 0}" aria-label="${name} fee (bps)"></td>
+            <td><input type="number" class="asset-number-input" min="0" max="1000" step="1" data-asset="${id}" data-field="spreadBps" value="${asset.spreadBps || 0}" aria-label="${name} bid/ask spread (bps)"></td>
+            <td><input type="number" class="asset-number-input" min="0" max="1000" step="1" data-asset="${id}" data-field="impactBps" value="${asset.impactBps || 0}" aria-label="${name} slippage (bps per $100k traded)"></td>
+            <td><button class="btn-policy-reset" data-remove-asset="${id}" ${state.assets.length <= 1 ? 'disabled' : ''} aria-label="Remove ${name}">Remove</button></td>
+        `;
+        tbody.appendChild(tr);
+    });
+}
+
+function renderHolders() {
+    const { registry, vestingPeriods, claimWindow } = state.holders;
+    document.getElementById('input-holder-vesting').value = vestingPeriods;
+    document.getElementById('input-holder-window').value = claimWindow;
+    document.getElementById('btn-holder-add').disabled = registry.length >= MAX_HOLDERS;
+
+    document.getElementById('holderEditorRows').innerHTML = registry.map((h, i) => {
+        const label = escapeHtml(h.label);
+        return `
+            <tr>
+                <td><input type="text" class="asset-name-input" data-holder="${i}" data-field="label" value="${label}" aria-label="Holder name"></td>
+                <td><input type="text" class="holder-address-input" data-holder="${i}" data-field="address" value="${escapeHtml(h.address)}" aria-label="${label} address"></td>
+                <td><input type="number" class="asset-number-input" min="0" step="1000" data-holder="${i}" data-field="shares" value="${h.shares}" aria-label="${label} shares"></td>
+                <td><input type="number" class="asset-number-input" min="0" max="730" step="1" data-holder="${i}" data-field="claimDelay" value="${h.claimDelay === null ? '' : h.claimDelay}" placeholder="never" aria-label="${label} claims after (periods, blank for never)"></td>
+                <td><button class="btn-policy-reset" data-remove-holder="${i}" aria-label="Remove ${label}">Remove</button></td>
+            </tr>`;
+    }).join('');
+    renderHolderLedger();
+}
+
+// Where every holder's payouts stand at the step on screen
+function renderHolderLedger() {
+    const container = document.getElementById('holderLedger');
+    const snapshot = state.history[state.currentStep];
+    if (!container || !snapshot) return;
+    const money = (v) => `$${(v / 1000).toFixed(1)}k`;
+    const ledger = getLedger();
+    const { claimWindow, vestingPeriods } = state.holders;
+
+    document.getElementById('ledgerTitle').textContent = `Ledger at ${state.periods[state.currentStep].label}`;
+    if (ledger.payouts.length === 0) {
+        container.innerHTML = '<p class="rule-desc">No distributions paid yet.</p>';
+        return;
+    }
+    const row = (label, cells) => `<tr>${label}${cells.map(v => `<td>${money(v)}</td>`).join('')}</tr>`;
+    const columns = (r) => [r.allocated, r.unvested, r.vested, r.claimed, r.claimable, r.returned];
+    container.innerHTML = `
+        <table class="data-table holder-ledger">
+            <thead>
+                <tr>
+                    <th scope="col">Holder</th>
+                    <th scope="col">Share</th>
+                    <th scope="col">Payouts</th>
+                    <th scope="col">Allocated</th>
+                    <th scope="col">Unvested</th>
+                    <th scope="col">Vested</th>
+                    <th scope="col">Claimed</th>
+                    <th scope="col">Claimable</th>
+                    <th scope="col">Returned</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${ledger.holders.map(h => row(
+                    `<th scope="row">${escapeHtml(h.label)} <code class="asset-id" title="${escapeHtml(h.address)}">${escapeHtml(shortAddress(h.address))}</code></th><td>${h.share.toFixed(1)}%</td><td>${h.payouts}</td>`,
+                    columns(h)
+                )).join('')}
+            </tbody>
+            <tfoot>
+                ${row(`<th scope="row">Total</th><td>100%</td><td>${ledger.payouts.length}</td>`, columns(ledger.totals))}
+            </tfoot>
+        </table>
+        ${vestingPeriods === 0 && claimWindow === 0 ? '<p class="rule-desc">No vesting or claim window: every payout is paid in full when it is made.</p>' : ''}`;
+}
+
+// The step palette, then one card per step with its type, settings and narrative
+function renderStoryEditor() {
+    const story = getStory();
+    const full = story.steps.length >= MAX_STEPS;
+    const types = Object.keys(STEP_TYPES).filter(type => type !== 'initial');
+    document.getElementById('input-story-title').value = story.title;
+    document.getElementById('storyPalette').innerHTML = types
+        .map(type => `<button class="btn btn-secondary" data-add-step="${type}" title="${escapeHtml(STEP_TYPES[type].desc)}"${full ? ' disabled' : ''}>+ ${STEP_TYPES[type].label}</button>`)
+        .join('');
+
+    const last = story.steps.length - 1;
+    document.getElementById('storyEditorSteps').innerHTML = story.steps.map((step, i) => {
+        const name = `T+${i}`;
+        const data = (field) => `data-story-step="${i}" data-field="${field}"`;
+        const field = (label, input) => `<label class="story-field"><span>${label}</span>${input}</label>`;
+        const text = (key, label) => field(label, `<input type="text" ${data(key)} maxlength="${TEXT_LIMITS[key]}" value="${escapeHtml(step[key])}">`);
+        const area = (key, label) => field(label, `<textarea rows="2" ${data(key)} maxlength="${TEXT_LIMITS[key]}">${escapeHtml(step[key])}</textarea>`);
+        const note = step.note || { title: '', points: [] };
+        const type = i === 0
+            ? `<span class="story-step-type">${STEP_TYPES.initial.label}</span>`
+            : `<select ${data('type')} aria-label="${name} step type">${types.map(t => `<option value="${t}"${t === step.type ? ' selected' : ''}>${STEP_TYPES[t].label}</option>`).join('')}</select>`;
+        const actions = i === 0 ? '' : `
+                    <span class="story-step-actions">
+                        <button class="btn-policy-reset" data-move-step="${i}" data-offset="-1" aria-label="Move ${name} earlier"${i === 1 ? ' disabled' : ''}>↑</button>
+                        <button class="btn-policy-reset" data-move-step="${i}" data-offset="1" aria-label="Move ${name} later"${i === last ? ' disabled' : ''}>↓</button>
+                        <button class="btn-policy-reset" data-remove-step="${i}" aria-label="Remove ${name}">Remove</button>
+                    </span>`;
+        return `
+            <li class="story-step">
+                <div class="story-step-header">
+                    <span class="story-step-label">${name}</span>
+                    ${type}
+                    ${renderStepSettings(step, data)}
+                    ${actions}
+                </div>
+                <p class="rule-desc">${escapeHtml(STEP_TYPES[step.type].desc)}</p>
+                <div class="story-fields">
+                    ${text('title', 'Title')}
+                    ${text('metricsLabel', 'Metrics label')}
+                    ${area('description', 'Description')}
+                    ${area('traditionalText', 'Traditional')}
+                    ${area('rialoText', 'Rialo')}
+                    ${field('Note heading', `<input type="text" ${data('noteTitle')} maxlength="${NOTE_LIMITS.title}" value="${escapeHtml(note.title)}">`)}
+                    ${field(`Note points, one per line (at most ${MAX_NOTE_POINTS})`, `<textarea rows="3" ${data('notePoints')}>${escapeHtml(note.points.join('\n'))}</textarea>`)}
+                </div>
+            </li>`;
+    }).join('');
+}
+
+// A redemption's rate; an oracle update's move and asset ("Auto" is the one the shock scenario hits)
+function renderStepSettings(step, data) {
+    if (step.type === 'redemption') {
+        return `<label class="horizon-field">Redeem % of liabilities
+                        <input type="number" min="0" max="100" step="1" ${data('rate')} value="${step.rate}">
+                    </label>`;
+    }
+    if (step.type !== 'oracle') return '';
+    const auto = getPriceUpdateAsset({ asset: '' }, getEffectiveParams(), state.assets);
+    const options = [`<option value="">Auto (${escapeHtml(auto.name)})</option>`]
+        .concat(state.assets.map(a => `<option value="${escapeHtml(a.id)}"${a.id === step.asset ? ' selected' : ''}>${escapeHtml(a.name)}</option>`))
+        .join('');
+    return `<label class="horizon-field">Asset
+                        <select ${data('asset')}>${options}</select>
+                    </label>
+                    <label class="horizon-field">Move %
+                        <input type="number" min="-95" max="500" step="1" ${data('move')} value="${step.move}">
+                    </label>`;
+}
+
+// The note fields of one step card, as a step note (null when both are blank)
+function readStoryNote(card) {
+    const title = card.querySelector('[data-field="noteTitle"]').value.trim();
+    const points = card.querySelector('[data-field="notePoints"]').value.split('\n').map(line => line.trim()).filter(Boolean);
+    return title || points.length ? { title, points } : null;
+}
+
+function renderMonteCarlo() {
+    const mc = state.monteCarlo;
+    document.getElementById('mc-paths').value = mc.paths;
+    document.getElementById('mc-seed').value = mc.seed;
+    document.getElementById('btn-mc-run').disabled = mc.isRunning;
+    if (!mc.isRunning) updateMonteCarloProgress('');
+
+    renderMonteCarloDistributions();
+    renderMonteCarloResults();
+}
+
+function renderMonteCarloDistributions() {
+    const tbody = document.getElementById('mcDistributions');
+    tbody.innerHTML = '';
+
+    state.assets.forEach(asset => {
+        const dist = state.monteCarlo.distributions[asset.id];
+        const id = escapeHtml(asset.id);
+        const typeOptions = Object.keys(SHOCK_DISTRIBUTION_TYPES)
+            .map(type => `<option value="${type}" ${type === dist.type ? 'selected' : ''}>${SHOCK_DISTRIBUTION_TYPES[type].label}</option>`)
+            .join('');
+        const fields = Object.keys(SHOCK_DISTRIBUTION_TYPES[dist.type].defaults)
+            .map(field => `
+                <label class="horizon-field">${SHOCK_DISTRIBUTION_FIELDS[field]}
+                    <input type="number" step="0.1" ${field === 'df' ? 'min="1" max="100"' : ''} data-asset="${id}" data-field="${field}" value="${dist[field]}">
+                </label>`)
+            .join('');
+
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>
+                <div class="asset-info">
+                    <div class="color-dot" style="background-color: ${asset.color}"></div>
+                    <span class="asset-name">${escapeHtml(asset.name)}</span>
+                </div>
+            </td>
+            <td>
+                <select class="horizon-select" data-asset="${id}" data-field="type" aria-label="${escapeHtml(asset.name)} distribution">${typeOptions}</select>
+            </td>
+            <td class="mc-fields">${fields}</td>
+        `;
+        tbody.appendChild(tr);
+    });
+}
+
+function renderMonteCarloResults() {
+    const container = document.getElementById('mcResults');
+    const summary = state.monteCarlo.summary;
+    if (!summary) {
+        container.innerHTML = state.monteCarlo.isRunning
+            ? ''
+            : '<p class="rule-desc">Set the distributions and hit Run Paths. Same seed, same results.</p>';
+        return;
+    }
+
+    const money = (v) => `$${(v / 1000).toFixed(0)}k`;
+    const pct = (v) => `${v.toFixed(1)}%`;
+    const row = (label, stats, fmt) => `
+        <tr>
+            <th scope="row">${label}</th>
+            ${MONTE_CARLO_PERCENTILES.map(p => `<td>${fmt(stats[`p${p}`])}</td>`).join('')}
+            <td>${fmt(stats.mean)}</td>
+        </tr>`;
+
+    const unbounded = summary.worstRatio.unbounded
+        ? `<p class="mc-note">${summary.worstRatio.unbounded} path${summary.worstRatio.unbounded === 1 ? '' : 's'} never owed anything, so their worst reserve ratio is unbounded and left out of its percentiles.</p>`
+        : '';
+    const startsBelow = summary.startRatio < summary.target
+        ? `<p class="mc-note">The treasury already starts below target at T+0 (${pct(summary.startRatio)} &lt; ${summary.target}%), so every path counts as a breach.</p>`
+        : '';
+
+    container.innerHTML = `
+        <table class="data-table data-table--numeric">
+            <thead>
+                <tr>
+                    <th scope="col">Outcome</th>
+                    ${MONTE_CARLO_PERCENTILES.map(p => `<th scope="col">P${p}</th>`).join('')}
+                    <th scope="col">Mean</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${row('Final total value', summary.finalValue, money)}
+                ${row('Worst reserve ratio', summary.worstRatio, formatRatio)}
+            </tbody>
+        </table>
+        <div class="metrics-grid mc-probabilities">
+            <div class="metric-item">
+                <span class="label">P(ratio ever &lt; target ${summary.target}%)</span>
+                <span class="value">${pct(summary.probBelowTarget * 100)}</span>
+            </div>
+            <div class="metric-item">
+                <span class="label">P(ratio ever &lt; 100%)</span>
+                <span class="value">${pct(summary.probUnderwater * 100)}</span>
+            </div>
+        </div>
+        ${startsBelow}
+        ${unbounded}
+        <div class="tool-section-label">Distribution of final total value</div>
+        ${renderHistogramSvg(summary.finalValue.sorted, money)}
+        <p class="rule-desc">${summary.count} paths · seed ${summary.seed} · ${summary.horizon}, ${summary.periods} periods · ${summary.elapsedMs} ms</p>
+    `;
+}
+
+function renderCompare() {
+    const { selected, metric, runs } = state.compare;
+
+    document.getElementById('compareOptions').innerHTML = getCompareOptions().map(o => `
+        <label class="compare-option">
+            <input type="checkbox" data-compare-key="${escapeHtml(o.key)}" ${selected.includes(o.key) ? 'checked' : ''}>
+            ${escapeHtml(o.label)}
+        </label>
+    `).join('');
+    document.getElementById('select-compare-metric').value = metric;
+
+    const container = document.getElementById('compareResults');
+    if (runs.length < 2) {
+        container.innerHTML = '<p class="rule-desc">Pick at least two parameter sets to compare.</p>';
+        return;
+    }
+
+    const legend = runs.map(run => `<span class="compare-legend-item"><span class="compare-swatch" style="background:${run.color}"></span>${escapeHtml(run.label)}</span>`).join('');
+    container.innerHTML = `
+        <div class="compare-legend">${legend}</div>
+        ${renderCompareChartSvg(runs, metric)}
+        <div class="compare-table-wrap">${renderCompareTable(runs)}</div>
+        <p class="rule-desc">${HORIZONS[state.horizon.mode].label} · ${state.periods.length - 1} periods. Diff columns are measured against ${escapeHtml(runs[0].label)}.</p>
+    `;
+}
+
+// One row per period: value, ratio and risk per run, then each run's difference from the first
+function renderCompareTable(runs) {
+    const [base, ...others] = runs;
+    const money = COMPARE_METRICS.totalValue.format;
+    // Differences that round to zero get no sign
+    const signed = (v, fmt) => {
+        const text = fmt(Math.abs(v));
+        return /[1-9]/.test(text) ? `${v >= 0 ? '+' : '-'}${text}` : text;
+    };
+    const ratioDiff = (a, b) => (Number.isFinite(a) && Number.isFinite(b) ? `${signed(a - b, v => v.toFixed(1))}pp` : '–');
+
+    const header = runs.map(run => `<th scope="colgroup" colspan="3" style="color:${run.color}">${escapeHtml(run.label)}</th>`).join('')
+        + others.map(run => `<th scope="col" style="color:${run.color}">Diff ${escapeHtml(run.label)}</th>`).join('');
+    const subHeader = runs.map(() => '<th scope="col">Value</th><th scope="col">Ratio</th><th scope="col">Risk</th>').join('')
+        + others.map(() => '<th scope="col">Value · Ratio · Risk</th>').join('');
+
+    const rows = state.periods.map((period, i) => {
+        const cells = runs.map(run => {
+            const snap = run.snapshots[i];
+            return `<td>${money(snap.totalValue)}</td><td>${formatRatio(snap.reserveRatio)}</td><td>${snap.riskScore.toFixed(0)}</td>`;
+        }).join('');
+        const diffs = others.map(run => {
+            const a = run.snapshots[i];
+            const b = base.snapshots[i];
+            const cls = a.totalValue >= b.totalValue ? 'delta-pos' : 'delta-neg';
+            return `<td class="compare-diff"><span class="${cls}">${signed(a.totalValue - b.totalValue, money)}</span> · ${ratioDiff(a.reserveRatio, b.reserveRatio)} · ${signed(a.riskScore - b.riskScore, v => v.toFixed(0))}</td>`;
+        }).join('');
+        return `<tr><th scope="row">${period.label}</th>${cells}${diffs}</tr>`;
+    }).join('');
+
+    return `
+        <table class="data-table data-table--numeric compare-table">
+            <thead>
+                <tr><th scope="col" rowspan="2">Step</th>${header}</tr>
+                <tr>${subHeader}</tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// Overlay of one measure for every run; unbounded ratios (nothing owed) leave gaps
+function renderCompareChartSvg(runs, metric) {
+    const { label, format } = COMPARE_METRICS[metric];
+    const chart = renderLineChart({
+        labels: state.periods.map(p => p.label),
+        series: runs.map(run => ({ name: run.label, color: run.color, values: run.snapshots.map(snap => snap[metric]) })),
+        format,
+        ariaLabel: `${label} per step for ${runs.map(r => r.label).join(', ')}`,
+        className: 'run-chart compare-chart'
+    });
+    return chart || `<p class="rule-desc">${label} is unbounded for every run (nothing owed).</p>`;
+}
+
+function renderOptimizer() {
+    const { search, isRunning, errors } = state.optimizer;
+    document.getElementById('opt-method').value = search.method;
+    document.getElementById('opt-samples').value = search.samples;
+    document.getElementById('opt-samples').disabled = search.method !== 'random';
+    document.getElementById('opt-seed').value = search.seed;
+    document.getElementById('opt-seed').disabled = search.method !== 'random';
+    document.querySelectorAll('[data-opt-range]').forEach(input => {
+        const [min, max] = SEARCH_LIMITS[input.dataset.optRange];
+        input.min = input.dataset.optBound === 'step' ? 1 : min;
+        input.max = input.dataset.optBound === 'step' ? max - min || 1 : max;
+        input.value = search[input.dataset.optRange][input.dataset.optBound];
+        if (input.dataset.optBound === 'step') input.disabled = search.method === 'random';
+    });
+    document.getElementById('optStrategies').innerHTML = Object.keys(REBALANCE_STRATEGIES).map(key => `
+        <label class="compare-option">
+            <input type="checkbox" data-opt-strategy="${key}" ${search.strategies.includes(key) ? 'checked' : ''}>
+            ${escapeHtml(REBALANCE_STRATEGIES[key].label)}
+        </label>
+    `).join('');
+    document.getElementById('optScenarios').innerHTML = Object.keys(SHOCK_SCENARIOS).map(key => `
+        <label class="compare-option" title="${escapeHtml(SHOCK_SCENARIOS[key].desc)}">
+            <input type="checkbox" data-opt-scenario="${key}" ${search.scenarios.includes(key) ? 'checked' : ''}>
+            ${escapeHtml(SHOCK_SCENARIOS[key].label)}
+        </label>
+    `).join('');
+    document.getElementById('opt-magnitudes').value = search.magnitudes.join(', ');
+
+    const metricOptions = (selected, verb) => Object.keys(OPTIMIZER_METRICS).map(key => {
+        const { label, goal } = OPTIMIZER_METRICS[key];
+        const text = verb ? `${goal === 'max' ? 'Maximize' : 'Minimize'} ${label.toLowerCase()}` : label;
+        return `<option value="${key}" ${key === selected ? 'selected' : ''}>${text}</option>`;
+    }).join('');
+    document.getElementById('opt-objective').innerHTML = metricOptions(search.objective, true);
+    document.getElementById('opt-tradeoff').innerHTML = metricOptions(search.tradeOff, false);
+    document.getElementById('opt-min-ratio').value = search.minRatio;
+    document.getElementById('opt-max-risk').value = search.maxRisk;
+
+    document.getElementById('btn-opt-run').disabled = isRunning;
+    if (!isRunning) {
+        const points = countCandidates(search);
+        const cases = search.scenarios.length * search.magnitudes.length;
+        updateOptimizerProgress(errors.length ? '' : `${points} points × ${cases} stress case${cases === 1 ? '' : 's'} = ${points * cases} runs`);
+    }
+    renderOptimizerResults();
+}
+
+function renderOptimizerResults() {
+    const container = document.getElementById('optResults');
+    const { errors, result, isRunning } = state.optimizer;
+    if (errors.length > 0) {
+        container.innerHTML = `<ul class="policy-errors">${errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>`;
+        return;
+    }
+    if (!result) {
+        container.innerHTML = isRunning
+            ? ''
+            : '<p class="rule-desc">Set the search space, the stress set and the objective, then hit Run Search. Applying a point replaces a hand-edited policy with the generated one, like a preset.</p>';
+        return;
+    }
+
+    const { search, results, frontier } = result;
+    const objective = OPTIMIZER_METRICS[search.objective];
+    const tradeOff = OPTIMIZER_METRICS[search.tradeOff];
+    const feasible = results.filter(r => r.feasible).length;
+    const onFrontier = new Set(frontier.map(r => getCandidateKey(r.candidate)));
+    const describe = (c) => `Ratio ${c.targetReserveRatio}% · Distribution ${c.yieldDistribution}% · ${REBALANCE_STRATEGIES[c.rebalanceStrategy].label}`;
+
+    const scatter = {
+        points: results.map(r => {
+            const frontierPoint = onFrontier.has(getCandidateKey(r.candidate));
+            const status = r.feasible ? '' : `\nInfeasible: ${r.violations.join('; ')}`;
+            return {
+                x: r.metrics[search.tradeOff],
+                y: r.metrics[search.objective],
+                color: frontierPoint ? CHART_COLORS.primary : (r.feasible ? CHART_COLORS.muted : '#cbd5e1'),
+                emphasis: frontierPoint,
+                label: `${describe(r.candidate)}\n${objective.label}: ${OPTIMIZER_FORMATS[search.objective](r.metrics[search.objective])}\n${tradeOff.label}: ${OPTIMIZER_FORMATS[search.tradeOff](r.metrics[search.tradeOff])}${status}`,
+                note: frontierPoint ? 'Pareto frontier' : (r.feasible ? '' : `Infeasible: ${r.violations.join('; ')}`)
+            };
+        }),
+        frontier: frontier.map(r => ({ x: r.metrics[search.tradeOff], y: r.metrics[search.objective] })),
+        formatX: OPTIMIZER_FORMATS[search.tradeOff],
+        formatY: OPTIMIZER_FORMATS[search.objective],
+        xName: tradeOff.label,
+        yName: objective.label,
+        ariaLabel: `${objective.label} against ${tradeOff.label.toLowerCase()} for ${results.length} points, ${frontier.length} on the Pareto frontier`,
+        className: 'run-chart opt-chart'
+    };
+    const chart = renderScatterChart(scatter) + renderDataDetails(renderScatterTable(scatter));
+
+    let table;
+    if (frontier.length === 0) {
+        // Point at the constraint that ruled out the most points
+        const belowFloor = results.filter(r => r.metrics.worstRatio < search.minRatio).length;
+        const overCap = results.filter(r => r.metrics.maxRisk > search.maxRisk).length;
+        const hint = belowFloor >= overCap ? `the reserve ratio floor (${search.minRatio}%)` : `the risk cap (${search.maxRisk})`;
+        table = `<p class="mc-note">No point meets the constraints in every stress case. Try loosening ${hint} or the stress set.</p>`;
+    } else {
+        const keys = Object.keys(OPTIMIZER_METRICS);
+        const rows = frontier.map((r, i) => {
+            const key = getCandidateKey(r.candidate);
+            const isCurrent = ['targetReserveRatio', 'yieldDistribution', 'rebalanceStrategy'].every(p => state.params[p] === r.candidate[p]);
+            const ties = r.ties > 0 ? ` <span class="opt-ties">+${r.ties} alike</span>` : '';
+            return `
+                <tr${i === 0 ? ' class="opt-best"' : ''}>
+                    <th scope="row">${r.candidate.targetReserveRatio}%</th>
+                    <td>${r.candidate.yieldDistribution}%</td>
+                    <td class="opt-strategy">${escapeHtml(REBALANCE_STRATEGIES[r.candidate.rebalanceStrategy].label)}${ties}</td>
+                    ${keys.map(k => `<td>${OPTIMIZER_FORMATS[k](r.metrics[k])}</td>`).join('')}
+                    <td>${isCurrent
+                        ? '<span class="opt-current">Current</span>'
+                        : `<button class="btn-policy-reset" data-opt-apply="${escapeHtml(key)}" aria-label="Apply ${escapeHtml(describe(r.candidate))}">Apply</button>`}</td>
+                </tr>`;
+        }).join('');
+        table = `
+            <div class="compare-table-wrap">
+                <table class="data-table data-table--numeric opt-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">Ratio</th>
+                            <th scope="col">Dist.</th>
+                            <th scope="col">Strategy</th>
+                            ${keys.map(k => `<th scope="col"${k === search.objective || k === search.tradeOff ? ' class="opt-key"' : ''}>${OPTIMIZER_METRICS[k].label}</th>`).join('')}
+                            <th scope="col" aria-label="Apply"></th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>`;
+    }
+
+    const caseList = result.cases.map(c => `${SHOCK_SCENARIOS[c.shockScenario].label} ${c.shockMagnitude}%`).join(', ');
+    container.innerHTML = `
+        <div class="tool-section-label">Pareto frontier: ${escapeHtml(objective.label.toLowerCase())} against ${escapeHtml(tradeOff.label.toLowerCase())}</div>
+        ${chart}
+        ${table}
+        <p class="rule-desc">${results.length} points · ${feasible} feasible · ${frontier.length} on the frontier, best first. Worst case over ${escapeHtml(caseList)} · ${result.horizon}, ${result.periods} periods · ${result.elapsedMs} ms</p>
+    `;
+}
+
+function updateOptimizerProgress(msg) {
+    const el = document.getElementById('optProgress');
+    if (el) el.textContent = msg;
+}
+
+// The run so far over the full horizon; hover a step for its values, or open its data table
+function renderRunChart() {
+    const container = document.getElementById('runChart');
+    const history = state.history.slice(0, state.currentStep + 1);
+    const labels = state.periods.map(p => p.label);
+    const money = COMPARE_METRICS.totalValue.format;
+    // The prices chart only exists while a series is being replayed
+    const replay = state.horizon.mode === 'replay' ? state.horizon.replay : null;
+    const pricesOption = document.querySelector('#select-run-chart option[value="prices"]');
+    pricesOption.disabled = !replay;
+    pricesOption.hidden = !replay;
+    if (state.chart === 'prices' && !replay) state.chart = 'balances';
+    document.getElementById('select-run-chart').value = state.chart;
+
+    let draw = renderLineChart;
+    let options;
+    if (state.chart === 'prices') {
+        // The whole imported series is known up front, so it is drawn over the full horizon
+        const indexed = getIndexedPrices(replay);
+        options = {
+            labels,
+            series: Object.keys(indexed).map(id => {
+                const asset = state.assets.find(a => a.id === id);
+                return { name: asset ? asset.name : id, color: asset ? asset.color : CHART_COLORS.muted, values: indexed[id] };
+            }),
+            threshold: { name: 'Start', values: labels.map(() => 100) },
+            format: (v) => v.toFixed(1),
+            ariaLabel: `${replay.name}: each asset's price indexed to 100 at T+0`
+        };
+    } else if (state.chart === 'balances') {
+        draw = renderStackedAreaChart;
+        options = {
+            labels,
+            series: state.assets.map(a => ({ name: a.name, color: a.color, values: history.map(snap => snap.portfolio[a.id] || 0) })),
+            format: money,
+            total: true,
+            ariaLabel: 'Balance of each asset per step, stacked'
+        };
+    } else if (state.chart === 'reserveRatio') {
+        options = {
+            labels,
+            series: [{ name: 'Reserve ratio', color: CHART_COLORS.primary, values: history.map(snap => snap.reserveRatio) }],
+            threshold: { name: 'Target', values: history.map(snap => snap.targetRatio) },
+            format: formatRatio,
+            ariaLabel: 'Reserve ratio per step against the target reserve ratio'
+        };
+    } else if (state.chart === 'totalValue') {
+        options = {
+            labels,
+            series: [
+                { name: 'Total value', color: CHART_COLORS.primary, values: history.map(snap => snap.totalValue) },
+                { name: 'Liabilities', color: CHART_COLORS.muted, values: history.map(snap => snap.liabilities) }
+            ],
+            format: money,
+            ariaLabel: 'Total value and liabilities per step'
+        };
+    } else {
+        options = {
+            labels,
+            series: [{ name: 'Risk score', color: CHART_COLORS.danger, values: history.map(snap => snap.riskScore) }],
+            format: (v) => v.toFixed(0),
+            min: 0,
+            max: 100,
+            ariaLabel: 'Risk score per step'
+        };
+    }
+
+    // The chart redraws every step; an open data table stays open
+    const details = container.querySelector('.chart-data');
+    const chart = draw(options);
+    container.innerHTML = chart
+        ? chart + renderDataDetails(renderChartTable(options), details && details.open)
+        : '<p class="rule-desc">Nothing to chart: the reserve ratio is unbounded with nothing owed.</p>';
+}
+
+// A chart's numbers as a table folded away under it, for screen readers and anyone reading values
+function renderDataDetails(table, open = false) {
+    if (!table) return '';
+    return `<details class="chart-data"${open ? ' open' : ''}><summary>Data table</summary>${table}</details>`;
+}
+
+function renderHistogramSvg(sorted, fmt) {
+    const bins = histogram(sorted, 24);
+    const maxCount = Math.max(...bins.map(b => b.count));
+    const width = 300;
+    const height = 90;
+    const barWidth = width / bins.length;
+
+    const bars = bins.map((bin, i) => {
+        const h = maxCount ? (bin.count / maxCount) * (height - 4) : 0;
+        return `<rect x="${(i * barWidth + 0.5).toFixed(1)}" y="${(height - h).toFixed(1)}" width="${(barWidth - 1).toFixed(1)}" height="${h.toFixed(1)}" fill="var(--primary-light)">
+            <title>${fmt(bin.from)} – ${fmt(bin.to)}: ${bin.count} paths</title>
+        </rect>`;
+    }).join('');
+
+    return `
+        <svg class="mc-histogram" viewBox="0 0 ${width} ${height + 14}" role="img"
+            aria-label="Histogram of final total value from ${fmt(sorted[0])} to ${fmt(sorted[sorted.length - 1])}">
+            ${bars}
+            <text x="0" y="${height + 12}" class="mc-axis">${fmt(sorted[0])}</text>
+            <text x="${width}" y="${height + 12}" class="mc-axis" text-anchor="end">${fmt(sorted[sorted.length - 1])}</text>
+        </svg>
+        ${renderDataDetails(`
+            <table class="data-table data-table--numeric chart-table">
+                <caption>Paths per final total value</caption>
+                <thead><tr><th scope="col">Final total value</th><th scope="col">Paths</th></tr></thead>
+                <tbody>${bins.map(bin => `<tr><th scope="row">${fmt(bin.from)} – ${fmt(bin.to)}</th><td>${bin.count}</td></tr>`).join('')}</tbody>
+            </table>
+        `)}
+    `;
+}
+
+function updateMonteCarloProgress(msg) {
+    const el = document.getElementById('mcProgress');
+    if (el) el.textContent = msg;
+}
+
+function openDialog(id) {
+    const dialog = document.getElementById(id);
+    if (typeof dialog.showModal === 'function') dialog.showModal();
+    else dialog.setAttribute('open', '');
+}
+
+function closeDialog(dialog) {
+    if (typeof dialog.close === 'function') dialog.close();
+    else dialog.removeAttribute('open');
+}
+
+// User-entered text (asset names) is interpolated into innerHTML templates
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 function updateMicroStatus(msg) {
     const el = document.getElementById('microStatus');
     if (el) el.textContent = msg;
 }
 
+// Read out by screen readers (a polite live region, hidden on screen)
+function announce(msg) {
+    const el = document.getElementById('stepAnnouncer');
+    if (el) el.textContent = msg;
+}
+
 function getSliderLabel(type, val) {
     if (type === 'shock') {
         if (val <= 10) return 'calm markets';
@@ -702,38 +2840,498 @@ function setupEventListeners() {
     document.getElementById('btn-pause').addEventListener('click', stopSimulation);
     document.getElementById('btn-reset').addEventListener('click', resetSimulation);
 
+    // Step navigation: back, next, jump to a timeline step, scrub
+    document.getElementById('btn-back').addEventListener('click', () => {
+        stopSimulation();
+        previousStep();
+    });
+    document.getElementById('btn-next').addEventListener('click', nextStep);
+    document.getElementById('timelineContainer').addEventListener('click', (e) => {
+        const step = e.target.closest('[data-step]');
+        if (!step) return;
+        stopSimulation();
+        goToStep(parseInt(step.dataset.step));
+    });
+    // Log: filter chips toggle a type; clicking a record highlights its step in the timeline
+    document.getElementById('logFilters').addEventListener('click', (e) => {
+        const type = e.target.dataset.logType;
+        if (!type) return;
+        state.hiddenLogTypes = state.hiddenLogTypes.includes(type)
+            ? state.hiddenLogTypes.filter(t => t !== type)
+            : state.hiddenLogTypes.concat(type);
+        renderLogs();
+    });
+    document.getElementById('simLogList').addEventListener('click', (e) => {
+        const entry = e.target.closest('[data-step]');
+        if (!entry) return;
+        const step = parseInt(entry.dataset.step);
+        state.highlightStep = state.highlightStep === step ? null : step;
+        renderTimeline();
+        renderLogs();
+    });
+    document.getElementById('slider-scrub').addEventListener('input', (e) => {
+        const index = parseInt(e.target.value); // read before stopping re-renders the controls
+        stopSimulation();
+        goToStep(index);
+    });
+    document.getElementById('timelineContainer').addEventListener('keydown', (e) => {
+        if (!['ArrowUp', 'ArrowDown', 'Home', 'End'].includes(e.key) || !e.target.matches('.step-title')) return;
+        e.preventDefault();
+        moveTimelineFocus(e.key);
+    });
+
+    // Keyboard shortcuts: Space plays or pauses, the arrows step back and forward, R resets.
+    // Keys typed into a field or a dialog, or held with a modifier, are left alone, and so is
+    // Space on a button (it presses the button).
+    document.addEventListener('keydown', (e) => {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (document.querySelector('dialog[open]') || e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        const lastStep = state.periods.length - 1;
+
+        if (e.key === ' ') {
+            if (e.target.closest('button, a, summary')) return;
+            e.preventDefault();
+            if (state.isPlaying) {
+                stopSimulation();
+                announce(`Paused at ${state.periods[state.currentStep].label}.`);
+            } else {
+                playSimulation();
+                announce('Playing.');
+            }
+        } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            e.preventDefault();
+            stopSimulation();
+            const edge = e.key === 'ArrowLeft' ? 0 : lastStep;
+            if (state.currentStep === edge) announce(`${state.periods[edge].title} is the ${edge === 0 ? 'first' : 'last'} step.`);
+            else if (e.key === 'ArrowLeft') previousStep();
+            else nextStep();
+        } else if (e.key === 'r' || e.key === 'R') {
+            e.preventDefault();
+            resetSimulation();
+        }
+    });
+
     // Sliders
     const sShock = document.getElementById('slider-shock');
     const sReserve = document.getElementById('slider-reserve');
     const sDist = document.getElementById('slider-dist');
 
     sShock.addEventListener('input', (e) => {
-        state.params.shockMagnitude = parseInt(e.target.value);
+        setParam('shockMagnitude', parseInt(e.target.value));
         renderRules();
         renderTreasury(); // Update Risk Score live
     });
     sReserve.addEventListener('input', (e) => {
-        state.params.targetReserveRatio = parseInt(e.target.value);
+        setParam('targetReserveRatio', parseInt(e.target.value));
         renderRules();
     });
     sDist.addEventListener('input', (e) => {
-        state.params.yieldDistribution = parseInt(e.target.value);
+        setParam('yieldDistribution', parseInt(e.target.value));
+        renderRules();
+    });
+    sShock.addEventListener('change', () => commitParamChange('shockMagnitude'));
+
+    // Shock scenario: takes effect at the next shock event
+    document.getElementById('select-shock-scenario').addEventListener('change', (e) => {
+        setParam('shockScenario', e.target.value);
+        commitParamChange('shockScenario');
+        renderRules();
+        renderTimeline();
+    });
+    document.getElementById('select-shock-asset').addEventListener('change', (e) => {
+        setParam('shockAsset', e.target.value);
+        commitParamChange('shockAsset');
+        renderRules();
+        renderTimeline();
+    });
+    document.getElementById('input-shock-duration').addEventListener('change', (e) => {
+        setParam('shockDuration', Math.min(730, Math.max(0, parseInt(e.target.value) || 0)));
+        commitParamChange('shockDuration');
         renderRules();
+        renderTimeline();
     });
+    sReserve.addEventListener('change', () => commitParamChange('targetReserveRatio'));
+    sDist.addEventListener('change', () => commitParamChange('yieldDistribution'));
 
-    // Presets
-    document.querySelectorAll('.btn-preset').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const preset = e.target.dataset.preset;
-            applyPreset(preset);
+    document.getElementById('toggle-principal').addEventListener('change', (e) => {
+        setParam('allowPrincipalDip', e.target.checked);
+        commitParamChange('allowPrincipalDip');
+        renderRules();
+    });
+
+    // Rebalancer: applies from the next policy check, like the sliders
+    document.getElementById('select-rebalance-strategy').addEventListener('change', (e) => {
+        setParam('rebalanceStrategy', e.target.value);
+        commitParamChange('rebalanceStrategy');
+        renderRules();
+    });
+    document.getElementById('input-min-trade').addEventListener('change', (e) => {
+        setParam('minTradeSize', Math.max(0, parseFloat(e.target.value) || 0) * 1000);
+        commitParamChange('minTradeSize');
+        renderRules();
+    });
 
-            // Update slider inputs visually
-            sShock.value = state.params.shockMagnitude;
-            sReserve.value = state.params.targetReserveRatio;
-            sDist.value = state.params.yieldDistribution;
-            renderRules();
+    // Risk model behind the score; the breakdown shows on hover or focus
+    document.getElementById('select-risk-model').addEventListener('change', (e) => {
+        setParam('riskModel', e.target.value);
+        commitParamChange('riskModel');
+        renderTreasury();
+    });
+
+    // Presets and saved scenarios (buttons are re-rendered, so listen on the container)
+    document.getElementById('presetButtons').addEventListener('click', (e) => {
+        const { preset, scenario, deleteScenario: toDelete } = e.target.dataset;
+        if (preset) applyPreset(preset);
+        if (scenario) loadScenario(state.savedScenarios.find(s => s.name === scenario));
+        if (toDelete) deleteScenario(toDelete);
+    });
+
+    // Scenario save / export / import / share
+    const scenarioName = () => document.getElementById('input-scenario-name').value.trim() || 'My scenario';
+    document.getElementById('btn-scenario-save').addEventListener('click', () => saveScenario(scenarioName()));
+    document.getElementById('btn-scenario-export').addEventListener('click', () => exportScenario(scenarioName()));
+    document.getElementById('btn-scenario-share').addEventListener('click', () => shareScenario(scenarioName()));
+    document.getElementById('btn-run-csv').addEventListener('click', () => exportRun(scenarioName(), 'csv'));
+    document.getElementById('btn-run-json').addEventListener('click', () => exportRun(scenarioName(), 'json'));
+    document.getElementById('btn-run-report').addEventListener('click', () => printRunReport(scenarioName()));
+    document.getElementById('input-scenario-import').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => importScenario(reader.result);
+        reader.readAsText(file);
+        e.target.value = '';
+    });
+
+    // Time Horizon: any change rebuilds the period sequence and restarts the run
+    const clampInput = (el, min, max) => Math.min(max, Math.max(min, parseInt(el.value) || min));
+    document.getElementById('select-horizon').addEventListener('change', (e) => {
+        // A replay needs a series: keep the one loaded, or start with the first bundled dataset
+        if (e.target.value === 'replay') {
+            if (state.horizon.replay) startReplay(state.horizon.replay, []);
+            else loadReplayDataset(Object.keys(MARKET_DATASETS)[0]);
+            if (state.horizon.mode !== 'replay') renderHorizon();
+            return;
+        }
+        state.horizon.mode = e.target.value;
+        const defaultPeriods = HORIZONS[state.horizon.mode].defaultPeriods;
+        if (defaultPeriods) state.horizon.periods = defaultPeriods;
+        resetSimulation();
+    });
+    document.getElementById('input-periods').addEventListener('change', (e) => {
+        state.horizon.periods = clampInput(e.target, 1, 730);
+        resetSimulation();
+    });
+    document.getElementById('input-shock-period').addEventListener('change', (e) => {
+        state.horizon.shockPeriod = clampInput(e.target, 1, 730);
+        resetSimulation();
+    });
+    document.getElementById('select-shock-repeat').addEventListener('change', (e) => {
+        state.horizon.shockRepeat = e.target.value;
+        resetSimulation();
+    });
+    document.getElementById('select-replay-dataset').addEventListener('change', (e) => {
+        if (e.target.value) loadReplayDataset(e.target.value);
+    });
+    document.getElementById('btn-replay-import').addEventListener('click', () => {
+        document.getElementById('input-replay-import').click();
+    });
+    document.getElementById('input-replay-import').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => importReplay(reader.result, file.name);
+        reader.readAsText(file);
+        e.target.value = '';
+    });
+
+    // Liabilities: like the horizon, a change restarts the run from T+0
+    const clampFloat = (el, min, max) => Math.min(max, Math.max(min, parseFloat(el.value) || 0));
+    document.getElementById('input-liabilities').addEventListener('change', (e) => {
+        state.liabilities.amount = clampFloat(e.target, 1, 1000000) * 1000;
+        resetSimulation();
+    });
+    document.getElementById('input-liability-growth').addEventListener('change', (e) => {
+        state.liabilities.growthRate = clampFloat(e.target, 0, 100);
+        resetSimulation();
+    });
+    document.getElementById('input-redemption-rate').addEventListener('change', (e) => {
+        state.liabilities.redemptionRate = clampFloat(e.target, 0, 100);
+        resetSimulation();
+    });
+    document.getElementById('select-redemption-schedule').addEventListener('change', (e) => {
+        state.liabilities.redemptionSchedule = e.target.value;
+        resetSimulation();
+    });
+
+    // Oracle: like the liabilities, a change restarts the run from T+0
+    Object.keys(ORACLE_INPUTS).forEach(id => {
+        document.getElementById(id).addEventListener('change', (e) => {
+            const key = ORACLE_INPUTS[id];
+            const min = parseFloat(e.target.min);
+            const max = parseFloat(e.target.max);
+            const value = e.target.step === '1' ? Math.min(max, Math.max(min, parseInt(e.target.value) || 0)) : clampFloat(e.target, min, max);
+            state.oracle = { ...state.oracle, [key]: value };
+            resetSimulation();
+        });
+    });
+    document.getElementById('select-oracle-incident').addEventListener('change', (e) => {
+        state.oracle = { ...state.oracle, incident: e.target.value };
+        resetSimulation();
+    });
+    document.getElementById('select-oracle-asset').addEventListener('change', (e) => {
+        state.oracle = { ...state.oracle, incidentAsset: e.target.value };
+        resetSimulation();
+    });
+
+    // Governance: like the oracle, a change restarts the run from T+0
+    document.getElementById('select-governance-mode').addEventListener('change', (e) => {
+        state.governance = { ...state.governance, mode: e.target.value };
+        resetSimulation();
+    });
+    document.getElementById('input-governance-threshold').addEventListener('change', (e) => {
+        state.governance = { ...state.governance, threshold: clampFloat(e.target, 0, 1000000) * 1000 };
+        resetSimulation();
+    });
+    Object.keys(GOVERNANCE_INPUTS).forEach(id => {
+        document.getElementById(id).addEventListener('change', (e) => {
+            const key = GOVERNANCE_INPUTS[id];
+            const value = key === 'signChance' ? clampFloat(e.target, 0, 100) : clampInput(e.target, parseInt(e.target.min), parseInt(e.target.max));
+            const next = { ...state.governance, [key]: value };
+            // Keep the quorum reachable
+            if (key === 'signers') next.quorum = Math.min(next.quorum, value);
+            if (key === 'quorum') next.quorum = Math.min(value, next.signers);
+            state.governance = next;
+            resetSimulation();
         });
     });
+
+    // Tool dialogs
+    document.querySelectorAll('[data-close-dialog]').forEach(btn => {
+        btn.addEventListener('click', () => closeDialog(btn.closest('dialog')));
+    });
+
+    // Asset Registry: every edit restarts the run with the new universe
+    document.getElementById('btn-assets').addEventListener('click', () => {
+        renderAssetEditor();
+        openDialog('assetsDialog');
+    });
+    document.getElementById('btn-asset-add').addEventListener('click', addAsset);
+    document.getElementById('assetEditorRows').addEventListener('change', (e) => {
+        const { asset, field } = e.target.dataset;
+        if (!asset) return;
+        if (field === 'name') updateAsset(asset, field, e.target.value.trim() || asset);
+        else if (field === 'color' || field === 'liquidity') updateAsset(asset, field, e.target.value);
+        else if (field === 'riskWeight' || field === 'targetWeight' || field === 'band') updateAsset(asset, field, clampFloat(e.target, 0, 100));
+        else if (field === 'feeBps' || field === 'spreadBps' || field === 'impactBps') updateAsset(asset, field, clampFloat(e.target, 0, 1000));
+        else if (field === 'volatility') updateAsset(asset, field, clampFloat(e.target, 0, 500));
+        else if (field === 'yield') updateAsset(asset, field, clampFloat(e.target, -100, 100));
+        else updateAsset(asset, field, clampFloat(e.target, 0, 1000000));
+    });
+    document.getElementById('assetEditorRows').addEventListener('click', (e) => {
+        const id = e.target.dataset.removeAsset;
+        if (id) removeAsset(id);
+    });
+
+    // Holder Ledger: registry and payout terms restart the run, like the assets
+    document.getElementById('btn-holders').addEventListener('click', () => {
+        renderHolders();
+        openDialog('holdersDialog');
+    });
+    document.getElementById('input-holder-vesting').addEventListener('change', (e) => {
+        state.holders = { ...state.holders, vestingPeriods: clampInput(e.target, 0, 730) };
+        applyHolderChange();
+    });
+    document.getElementById('input-holder-window').addEventListener('change', (e) => {
+        state.holders = { ...state.holders, claimWindow: clampInput(e.target, 0, 730) };
+        applyHolderChange();
+    });
+    document.getElementById('btn-holder-add').addEventListener('click', addHolder);
+    document.getElementById('holderEditorRows').addEventListener('change', (e) => {
+        const { holder, field } = e.target.dataset;
+        if (holder === undefined) return;
+        const index = parseInt(holder);
+        if (field === 'label') updateHolder(index, field, e.target.value.trim() || state.holders.registry[index].address);
+        else if (field === 'address') updateHolder(index, field, e.target.value.trim());
+        else if (field === 'shares') updateHolder(index, field, clampFloat(e.target, 0, 1e12));
+        else updateHolder(index, field, e.target.value.trim() === '' ? null : clampInput(e.target, 0, 730));
+    });
+    document.getElementById('holderEditorRows').addEventListener('click', (e) => {
+        const index = e.target.dataset.removeHolder;
+        if (index !== undefined) removeHolder(parseInt(index));
+    });
+    document.getElementById('btn-holders-import').addEventListener('click', () => {
+        document.getElementById('input-holders-import').click();
+    });
+    document.getElementById('input-holders-import').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => importHolders(reader.result, file.name);
+        reader.readAsText(file);
+        e.target.value = '';
+    });
+    document.getElementById('btn-ledger-export').addEventListener('click', exportLedger);
+
+    // Story Editor
+    document.getElementById('btn-story').addEventListener('click', () => {
+        renderStoryEditor();
+        openDialog('storyDialog');
+    });
+    document.getElementById('input-story-title').addEventListener('change', (e) => updateStoryTitle(e.target.value.trim()));
+    document.getElementById('storyPalette').addEventListener('click', (e) => {
+        const type = e.target.dataset.addStep;
+        if (type) addStoryStep(type);
+    });
+    document.getElementById('storyEditorSteps').addEventListener('change', (e) => {
+        const { storyStep, field } = e.target.dataset;
+        if (storyStep === undefined) return;
+        const index = parseInt(storyStep);
+        if (field === 'type') changeStoryStepType(index, e.target.value);
+        else if (field === 'rate') updateStoryStep(index, field, clampFloat(e.target, 0, 100));
+        else if (field === 'move') updateStoryStep(index, field, clampFloat(e.target, -95, 500));
+        else if (field === 'noteTitle' || field === 'notePoints') updateStoryStep(index, 'note', readStoryNote(e.target.closest('.story-step')));
+        else updateStoryStep(index, field, e.target.value);
+    });
+    document.getElementById('storyEditorSteps').addEventListener('click', (e) => {
+        const { moveStep, offset, removeStep } = e.target.dataset;
+        if (moveStep !== undefined) moveStoryStep(parseInt(moveStep), parseInt(offset));
+        if (removeStep !== undefined) removeStoryStep(parseInt(removeStep));
+    });
+    document.getElementById('btn-story-import').addEventListener('click', () => {
+        document.getElementById('input-story-import').click();
+    });
+    document.getElementById('input-story-import').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => importStory(reader.result, file.name);
+        reader.readAsText(file);
+        e.target.value = '';
+    });
+    document.getElementById('btn-story-export').addEventListener('click', exportStory);
+    document.getElementById('btn-story-share').addEventListener('click', () => {
+        shareScenario(document.getElementById('input-scenario-name').value.trim() || getStory().title);
+    });
+    document.getElementById('btn-story-reset').addEventListener('click', resetStory);
+
+    // Monte Carlo Stress Test
+    document.getElementById('btn-montecarlo').addEventListener('click', () => {
+        renderMonteCarlo();
+        openDialog('monteCarloDialog');
+    });
+    document.getElementById('mc-paths').addEventListener('change', (e) => {
+        state.monteCarlo.paths = clampInput(e.target, 100, 20000);
+        e.target.value = state.monteCarlo.paths;
+    });
+    document.getElementById('mc-seed').addEventListener('change', (e) => {
+        state.monteCarlo.seed = parseInt(e.target.value) || 0;
+        e.target.value = state.monteCarlo.seed;
+    });
+    document.getElementById('mcDistributions').addEventListener('change', (e) => {
+        const { asset, field } = e.target.dataset;
+        if (!asset) return;
+        if (field === 'type') {
+            state.monteCarlo.distributions[asset] = { type: e.target.value, ...SHOCK_DISTRIBUTION_TYPES[e.target.value].defaults };
+            renderMonteCarloDistributions();
+        } else if (field === 'df') {
+            // Each draw sums df squared normals; scenario files hold it to the same range
+            state.monteCarlo.distributions[asset].df = clampFloat(e.target, 1, 100);
+            e.target.value = state.monteCarlo.distributions[asset].df;
+        } else {
+            state.monteCarlo.distributions[asset][field] = parseFloat(e.target.value) || 0;
+        }
+    });
+    document.getElementById('btn-mc-run').addEventListener('click', runMonteCarlo);
+
+    document.getElementById('select-run-chart').addEventListener('change', (e) => {
+        state.chart = e.target.value;
+        renderRunChart();
+    });
+
+    // Compare: re-runs whenever the selection changes
+    document.getElementById('btn-compare').addEventListener('click', () => {
+        runComparison();
+        openDialog('compareDialog');
+    });
+    document.getElementById('compareOptions').addEventListener('change', (e) => {
+        const key = e.target.dataset.compareKey;
+        if (!key) return;
+        const { selected } = state.compare;
+        state.compare.selected = e.target.checked ? selected.concat(key) : selected.filter(k => k !== key);
+        runComparison();
+    });
+    document.getElementById('select-compare-metric').addEventListener('change', (e) => {
+        state.compare.metric = e.target.value;
+        renderCompare();
+    });
+
+    // Optimizer: settings edits only update the plan; Run Search starts the batches
+    document.getElementById('btn-optimizer').addEventListener('click', () => {
+        renderOptimizer();
+        openDialog('optimizerDialog');
+    });
+    document.getElementById('optimizerDialog').addEventListener('change', (e) => {
+        const search = state.optimizer.search;
+        const el = e.target;
+        const { optRange, optBound, optStrategy, optScenario } = el.dataset;
+        if (optRange) {
+            const range = search[optRange];
+            const [min, max] = SEARCH_LIMITS[optRange];
+            if (optBound === 'step') {
+                range.step = clampInput(el, 1, Math.max(1, max - min));
+            } else {
+                range[optBound] = clampInput(el, min, max);
+                // Keep min <= max by moving the other bound
+                if (range.min > range.max) range[optBound === 'min' ? 'max' : 'min'] = range[optBound];
+            }
+        } else if (optStrategy) {
+            search.strategies = Object.keys(REBALANCE_STRATEGIES).filter(key => (key === optStrategy ? el.checked : search.strategies.includes(key)));
+        } else if (optScenario) {
+            search.scenarios = Object.keys(SHOCK_SCENARIOS).filter(key => (key === optScenario ? el.checked : search.scenarios.includes(key)));
+        } else if (el.id === 'opt-method') {
+            search.method = el.value;
+        } else if (el.id === 'opt-samples') {
+            search.samples = clampInput(el, 1, 2000);
+        } else if (el.id === 'opt-seed') {
+            search.seed = parseInt(el.value) || 0;
+        } else if (el.id === 'opt-magnitudes') {
+            search.magnitudes = el.value.split(/[\s,;]+/)
+                .map(Number)
+                .filter((v, i, all) => v > 0 && v <= 100 && all.indexOf(v) === i);
+        } else if (el.id === 'opt-objective') {
+            search.objective = el.value;
+        } else if (el.id === 'opt-tradeoff') {
+            search.tradeOff = el.value;
+        } else if (el.id === 'opt-min-ratio') {
+            search.minRatio = clampFloat(el, 0, 1000);
+        } else if (el.id === 'opt-max-risk') {
+            search.maxRisk = clampFloat(el, 0, 100);
+        } else {
+            return;
+        }
+        state.optimizer.errors = [];
+        renderOptimizer();
+    });
+    document.getElementById('btn-opt-run').addEventListener('click', runOptimizer);
+    document.getElementById('optResults').addEventListener('click', (e) => {
+        const key = e.target.dataset.optApply;
+        if (key) applyOptimizerPoint(key);
+    });
+
+    // Policy Editor: typing compiles the policy live; the next step runs it
+    document.getElementById('policyPreviewCode').addEventListener('input', (e) => {
+        state.policy.isCustom = true;
+        setPolicySource(e.target.value);
+        renderRules();
+        renderTreasury();
+    });
+    document.getElementById('btn-policy-reset').addEventListener('click', () => {
+        state.policy.isCustom = false;
+        syncPolicyFromParams();
+        renderRules();
+        renderTreasury();
+    });
 }
 
 // Start
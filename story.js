@@ -0,0 +1,265 @@
+/**
+ * Autonomous Finance Storyboard (RialoFlow)
+ * Stories: the storyboard horizon as a list of narrated steps
+ *
+ * A story is a title and a list of steps, T+0 first. Each step's type (see
+ * STEP_TYPES) decides what happens in its period: a shock, a policy check, a month
+ * end, a redemption or an oracle update. Its narrative is the step's own: a title,
+ * a description, the traditional and the Rialo way of handling it, a metrics label
+ * and an optional note. engine.js turns the steps into periods; simulation.js edits
+ * stories and saves them with scenarios, as story files and in share links.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RialoStory = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // --- Step Types ---
+
+    // The palette. `events` fire in order (see EVENT_TYPES in engine.js); `tags` then fire
+    // matching `at every <tag>` policies. `settings` are the type's own numbers, with defaults.
+    // `narrative` is the text a new step of the type starts with. In notes, `backticks` mark code.
+    const STEP_TYPES = {
+        initial: {
+            label: 'Initial state',
+            desc: 'T+0: the treasury before anything happens. Every story starts with it.',
+            events: [],
+            tags: [],
+            settings: {},
+            narrative: {
+                title: 'Initial State',
+                description: 'Treasury is balanced. Policies are active but not triggered.',
+                traditionalText: 'Manual monitoring or fragmented scripts.',
+                rialoText: 'Native scheduler monitoring price feeds.',
+                metricsLabel: 'Healthy Reserve',
+                note: null
+            }
+        },
+        shock: {
+            label: 'Shock',
+            desc: 'The shock scenario picked in the controls hits.',
+            events: ['shock'],
+            tags: ['period'],
+            settings: {},
+            narrative: {
+                title: 'Market Shock',
+                description: 'Sudden market drop impacts corporate bond values.',
+                traditionalText: 'Alerts fire. Humans scramble to assess impact.',
+                rialoText: 'Oracle update triggers atomic policy check.',
+                metricsLabel: 'Value Dropped',
+                note: null
+            }
+        },
+        rebalance: {
+            label: 'Rebalance',
+            desc: 'A policy check: every "when" rule is evaluated and may trade.',
+            events: ['policy_check'],
+            tags: ['period'],
+            settings: {},
+            narrative: {
+                title: 'Auto-Rebalance',
+                description: 'Reserve ratio dipped below target. Protocol sells bonds, buys T-Bills.',
+                traditionalText: 'Manual trades, multi-sig delays, execution risk.',
+                rialoText: 'Single atomic transaction rebalances portfolio instantly.',
+                metricsLabel: 'Risk Reduced',
+                note: {
+                    title: 'On Rialo, this step could be:',
+                    points: [
+                        'A small on‑chain program that watches a real‑world price feed,',
+                        'Checks if `reserve_ratio < target_ratio`,',
+                        'And schedules a single atomic rebalance transaction via native infrastructure.'
+                    ]
+                }
+            }
+        },
+        distribution: {
+            label: 'Distribution',
+            desc: 'A month end: "at every month_end" policies pay out, and scheduled redemptions fall due.',
+            events: [],
+            tags: ['period', 'month_end'],
+            settings: {},
+            narrative: {
+                title: 'Yield Distribution',
+                description: 'Scheduled event distributes accumulated yield to holders.',
+                traditionalText: 'Off-chain calculation, batch transfers, high gas.',
+                rialoText: 'Scheduled event executes distribution logic natively.',
+                metricsLabel: 'Yield Paid',
+                note: {
+                    title: 'On Rialo, this could map to:',
+                    points: [
+                        'A scheduled on‑chain action that runs at month‑end,',
+                        'Calculates yield from protocol data,',
+                        'And distributes it in a single native transaction.'
+                    ]
+                }
+            }
+        },
+        redemption: {
+            label: 'Redemption',
+            desc: 'Holders redeem a share of liabilities, paid from the most liquid assets first.',
+            events: ['redemption'],
+            tags: ['period'],
+            settings: { rate: 10 },
+            narrative: {
+                title: 'Redemption Wave',
+                description: 'Holders ask for part of what they are owed, all at once.',
+                traditionalText: 'Operations unwind positions by hand to meet withdrawals.',
+                rialoText: 'Redemptions settle from the most liquid assets in one transaction.',
+                metricsLabel: 'Liquidity Tested',
+                note: null
+            }
+        },
+        oracle: {
+            label: 'Oracle update',
+            desc: 'The price feed reports a move in one asset, and the policy check acts on it in the same period.',
+            events: ['price_update', 'policy_check'],
+            tags: ['period'],
+            settings: { move: -5, asset: '' },
+            narrative: {
+                title: 'Oracle Update',
+                description: 'The price feed publishes a new mark for a risky asset.',
+                traditionalText: 'Someone notices the new price hours later and opens a ticket.',
+                rialoText: 'The oracle update itself triggers the policy check, atomically.',
+                metricsLabel: 'Prices Refreshed',
+                note: null
+            }
+        }
+    };
+
+    // Limits for the numeric settings: [min, max]
+    const SETTING_LIMITS = {
+        rate: [0, 100], // % of liabilities redeemed
+        move: [-95, 500] // % price move the feed reports
+    };
+
+    // Longest text each narrative field takes
+    const TEXT_LIMITS = {
+        title: 80,
+        description: 500,
+        traditionalText: 300,
+        rialoText: 300,
+        metricsLabel: 40
+    };
+
+    // A note's heading and each of its points
+    const NOTE_LIMITS = {
+        title: 80,
+        point: 200
+    };
+
+    const MAX_STEPS = 24;
+    const MAX_NOTE_POINTS = 8;
+
+    // A new step of a type, with its default narrative and settings
+    function createStep(type) {
+        const def = STEP_TYPES[type];
+        return JSON.parse(JSON.stringify({ type, ...def.narrative, ...def.settings }));
+    }
+
+    // The original four-step story
+    const DEFAULT_STORY = {
+        title: 'Autonomous Finance Storyboard',
+        steps: ['initial', 'shock', 'rebalance', 'distribution'].map(createStep)
+    };
+
+    // --- Validation ---
+
+    /**
+     * Check and normalize an untrusted story (a story file, a scenario, a link).
+     * Missing narrative fields and settings use the step type's defaults; unknown fields are dropped.
+     * assets (optional) are the registry an oracle step's asset must be in.
+     * Returns { story, errors }; story is null when there are errors.
+     */
+    function normalizeStory(data, assets) {
+        if (!isObject(data)) return { story: null, errors: ['expected a story with a list of steps'] };
+        const errors = [];
+        const title = typeof data.title === 'string' && data.title.trim() ? data.title.trim().slice(0, TEXT_LIMITS.title) : 'Untitled story';
+
+        if (!Array.isArray(data.steps) || data.steps.length < 2) {
+            return { story: null, errors: ['steps: expected a list of at least 2 steps, T+0 first'] };
+        }
+        if (data.steps.length > MAX_STEPS) {
+            return { story: null, errors: [`steps: too many steps: ${data.steps.length} (at most ${MAX_STEPS})`] };
+        }
+        const steps = data.steps.map((raw, i) => normalizeStep(raw, i, assets, errors));
+        return { story: errors.length ? null : { title, steps }, errors };
+    }
+
+    function normalizeStep(raw, i, assets, errors) {
+        const at = `steps[${i}]`;
+        if (!isObject(raw)) {
+            errors.push(`${at}: expected an object with a type`);
+            return null;
+        }
+        if (!STEP_TYPES[raw.type]) {
+            errors.push(`${at}.type: unknown step type "${raw.type}"`);
+            return null;
+        }
+        if (i === 0 && raw.type !== 'initial') errors.push(`${at}.type: the first step must be the initial state`);
+        if (i > 0 && raw.type === 'initial') errors.push(`${at}.type: only the first step can be the initial state`);
+
+        const def = STEP_TYPES[raw.type];
+        const step = createStep(raw.type);
+        Object.keys(TEXT_LIMITS).forEach(field => {
+            if (raw[field] === undefined) return;
+            if (typeof raw[field] !== 'string') errors.push(`${at}.${field}: expected text`);
+            else if (raw[field].length > TEXT_LIMITS[field]) errors.push(`${at}.${field}: at most ${TEXT_LIMITS[field]} characters`);
+            else if (raw[field].trim() || field !== 'title') step[field] = raw[field].trim();
+        });
+
+        if (raw.note !== undefined) {
+            const note = raw.note;
+            const valid = note === null || (isObject(note) && typeof note.title === 'string' && note.title.length <= NOTE_LIMITS.title
+                && Array.isArray(note.points) && note.points.length <= MAX_NOTE_POINTS
+                && note.points.every(point => typeof point === 'string' && point.length <= NOTE_LIMITS.point));
+            if (!valid) {
+                errors.push(`${at}.note: expected null or { title, points }: a heading of at most ${NOTE_LIMITS.title} characters and at most ${MAX_NOTE_POINTS} points of ${NOTE_LIMITS.point}`);
+            } else {
+                // A note with neither a title nor a point is no note
+                const points = note ? note.points.map(point => point.trim()).filter(Boolean) : [];
+                step.note = note && (note.title.trim() || points.length) ? { title: note.title.trim(), points } : null;
+            }
+        }
+
+        Object.keys(def.settings).forEach(key => {
+            const value = raw[key];
+            if (value === undefined) return;
+            if (key === 'asset') {
+                if (value !== '' && (typeof value !== 'string' || (assets && !assets.some(a => a.id === value)))) {
+                    errors.push(`${at}.asset: unknown asset "${value}"`);
+                } else {
+                    step.asset = value;
+                }
+                return;
+            }
+            const [min, max] = SETTING_LIMITS[key];
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+                errors.push(`${at}.${key}: expected a number from ${min} to ${max}`);
+            } else {
+                step[key] = value;
+            }
+        });
+        return step;
+    }
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    return {
+        STEP_TYPES,
+        SETTING_LIMITS,
+        TEXT_LIMITS,
+        NOTE_LIMITS,
+        MAX_STEPS,
+        MAX_NOTE_POINTS,
+        DEFAULT_STORY,
+        createStep,
+        normalizeStory
+    };
+}));